@@ -0,0 +1,330 @@
+/**
+ * audit.js
+ * Curator data-quality audit: finds problems in the (preprocessed) hierarchy
+ * that the schema check in validate.js lets through - near-duplicate tags,
+ * type spelling variants, empty categories, undated items and URLs filed in
+ * several categories - plus dead and moved links from the link report of
+ * scripts/check-links.mjs, and exports them as a CSV fix list. No DOM; the
+ * Audit view (visualizations/auditView.js) lists the report.
+ */
+
+import { getItemId, slugify } from './utilities.js';
+import { DATASET_SCHEMA } from './validate.js';
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+// Kinds of problem, in report order (linkReport: only known with a link report)
+export const AUDIT_KINDS = [
+  { key: 'tag-variant', label: 'Near-duplicate tags' },
+  { key: 'type-variant', label: 'Type spelling variants' },
+  { key: 'empty-category', label: 'Empty categories' },
+  { key: 'missing-date', label: 'Items without a date' },
+  { key: 'multi-filed-url', label: 'URLs filed in several categories' },
+  { key: 'dead-link', label: 'Dead or unreachable links', linkReport: true },
+  { key: 'moved-link', label: 'Permanently moved links', linkReport: true }
+];
+
+// Edit distance allowed between near-duplicate tags, by the shorter tag's length:
+// short tags differ by one letter all the time ("wind", "kind")
+const TAG_DISTANCE_RULES = [
+  { minLength: 10, maxDistance: 2 },
+  { minLength: 5, maxDistance: 1 }
+];
+
+// Columns of the CSV fix list
+const CSV_COLUMNS = ['kind', 'message', 'path', 'item_id', 'title', 'url', 'value', 'suggestion'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Edit distance between two strings, or Infinity once it exceeds max
+ * (rows are abandoned early, which keeps all-pairs tag checks fast)
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+function maxTagDistance(a, b) {
+  const length = Math.min(a.length, b.length);
+  const rule = TAG_DISTANCE_RULES.find(r => length >= r.minLength);
+  return rule ? rule.maxDistance : 0;
+}
+
+// Type as written in the dataset: normalizeDataset unifies spellings, so read the
+// raw record (non-enumerable, so only items of the main thread's hierarchy have it)
+function writtenType(item) {
+  const raw = item.raw;
+  const type = raw ? raw.type_ ?? raw.type ?? raw.category : item.type;
+  return type == null ? '' : String(type).replace(/\s+/g, ' ').trim();
+}
+
+// Category path for messages; items directly under the root have none
+function categoryLabel(names) {
+  return names.length > 0 ? names.join(' › ') : '(top level)';
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Every item occurrence with the category it is filed under
+ * @returns {Array<Object>} [{ item, id, names (category path), nodeId (category id) }]
+ */
+function collectOccurrences(tree) {
+  const occurrences = [];
+  (function walk(node, names) {
+    (node.children || []).forEach(child => {
+      if (child.isLeaf && !child.isEmpty) {
+        occurrences.push({ item: child.urls[0], id: getItemId(child.urls[0]), names, nodeId: node.id });
+      } else {
+        walk(child, [...names, child.name]);
+      }
+    });
+  })(tree, []);
+  return occurrences;
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+// Tags that differ only in case or punctuation, or by a letter or two
+function checkTags(occurrences, addIssue) {
+  const tagItems = new Map(); // tag -> Set of item ids
+  occurrences.forEach(({ item, id }) => {
+    (item.tags || []).forEach(tag => {
+      if (!tagItems.has(tag)) tagItems.set(tag, new Set());
+      tagItems.get(tag).add(id);
+    });
+  });
+
+  const tags = Array.from(tagItems.keys()).map(tag => ({ tag, lower: tag.toLowerCase(), slug: slugify(tag), count: tagItems.get(tag).size }));
+  for (let i = 0; i < tags.length; i++) {
+    for (let j = i + 1; j < tags.length; j++) {
+      const a = tags[i];
+      const b = tags[j];
+      let distance = a.slug === b.slug ? 0 : Infinity;
+      if (distance !== 0) {
+        // Numbered series ("scope 1", "scope 2") are distinct on purpose
+        if (a.lower.replace(/\d/g, '') === b.lower.replace(/\d/g, '')) continue;
+        distance = editDistance(a.lower, b.lower, maxTagDistance(a.lower, b.lower));
+      }
+      if (distance === Infinity) continue;
+
+      // Report the rarer spelling; suggest the more used one
+      const [rare, common] = a.count < b.count || (a.count === b.count && a.tag > b.tag) ? [a, b] : [b, a];
+      addIssue('tag-variant', {
+        message: `Tag “${rare.tag}” (${plural(rare.count, 'listing')}) ` +
+          (distance === 0 ? 'differs only in case or punctuation from' : 'is spelled almost like') +
+          ` “${common.tag}” (${plural(common.count, 'listing')})`,
+        value: rare.tag,
+        suggestion: common.tag,
+        facet: { key: 'tag', value: rare.tag }
+      });
+    }
+  }
+}
+
+/**
+ * Types spelled differently from the schema (or from their most used spelling),
+ * as written in the raw records
+ * @param {Array<Object>} occurrences - Of the audited hierarchy
+ * @param {Array<Object>} writtenOccurrences - Occurrences whose items still have `raw`
+ */
+function checkTypes(occurrences, writtenOccurrences, addIssue) {
+  const audited = new Set(occurrences.map(occurrence => occurrence.id));
+  const spellings = new Map(); // lower-case type -> Map(spelling -> { ids: Set, locations: Map(nodeId -> path) })
+  writtenOccurrences.forEach(({ item, id, names, nodeId }) => {
+    const type = writtenType(item);
+    if (!type || !audited.has(id)) return;
+    const key = type.toLowerCase();
+    if (!spellings.has(key)) spellings.set(key, new Map());
+    const variants = spellings.get(key);
+    if (!variants.has(type)) variants.set(type, { ids: new Set(), locations: new Map() });
+    variants.get(type).ids.add(id);
+    variants.get(type).locations.set(nodeId, names);
+  });
+
+  spellings.forEach((variants, key) => {
+    const known = DATASET_SCHEMA.knownTypes.find(type => type.toLowerCase() === key);
+    const preferred = known || Array.from(variants.keys()).sort((a, b) => variants.get(b).ids.size - variants.get(a).ids.size)[0];
+    variants.forEach(({ ids, locations }, spelling) => {
+      if (spelling === preferred) return;
+      // The loaded data already reads "preferred" there: point at the categories to fix in the sheet
+      const [[, path]] = locations;
+      addIssue('type-variant', {
+        message: `Type “${spelling}” (${plural(ids.size, 'listing')}) should be written “${preferred}”`,
+        path,
+        value: spelling,
+        suggestion: preferred,
+        locations: Array.from(locations, ([nodeId, names]) => ({ path: names, nodeId }))
+      });
+    });
+  });
+}
+
+// Placeholder categories with neither items nor subcategories
+function checkEmptyCategories(tree, addIssue) {
+  (function walk(node, names) {
+    (node.children || []).forEach(child => {
+      const path = [...names, child.name];
+      if (child.isEmpty) {
+        addIssue('empty-category', {
+          message: `Category “${child.name}” has no items and no subcategories`,
+          path,
+          nodeId: node.id
+        });
+      } else if (!child.isLeaf) {
+        walk(child, path);
+      }
+    });
+  })(tree, []);
+}
+
+// Link check result as text: the HTTP status or the network error
+function linkProblem(link) {
+  return link.error || `HTTP ${link.status}`;
+}
+
+/**
+ * Items (once each) without a date, filed under more than one category, or
+ * with a dead or permanently moved link
+ * @param {Object|null} linkReport - From scripts/check-links.mjs: { items: { [itemId]: result } }
+ */
+function checkItems(occurrences, linkReport, addIssue) {
+  const byId = new Map(); // item id -> occurrences
+  occurrences.forEach(occurrence => {
+    if (!byId.has(occurrence.id)) byId.set(occurrence.id, []);
+    byId.get(occurrence.id).push(occurrence);
+  });
+
+  byId.forEach((filed, id) => {
+    const [{ item, names, nodeId }] = filed;
+    const itemFields = { path: names, nodeId, itemId: id, title: item.title, url: item.url };
+
+    if (filed.every(occurrence => !occurrence.item.date)) {
+      addIssue('missing-date', { ...itemFields, message: `“${item.title || item.url}” has no date` });
+    }
+
+    const categories = [...new Set(filed.map(occurrence => categoryLabel(occurrence.names)))];
+    if (categories.length > 1) {
+      addIssue('multi-filed-url', {
+        ...itemFields,
+        message: `“${item.title || item.url}” is filed in ${categories.length} categories: ${categories.join(' · ')}`,
+        value: item.url,
+        locations: filed.map(occurrence => ({ path: occurrence.names, nodeId: occurrence.nodeId }))
+      });
+    }
+
+    // Items added since the links were checked have no result yet
+    const link = linkReport && linkReport.items[id];
+    if (!link || link.url !== item.url) return;
+    if (link.outcome === 'dead' || link.outcome === 'error') {
+      addIssue('dead-link', {
+        ...itemFields,
+        message: `“${item.title || item.url}” ${link.outcome === 'dead' ? 'is dead' : 'could not be reached'}: ${linkProblem(link)}`,
+        value: linkProblem(link)
+      });
+    } else if (link.outcome === 'redirected' && link.permanent) {
+      addIssue('moved-link', {
+        ...itemFields,
+        message: `“${item.title || item.url}” has moved to ${link.finalUrl}`,
+        value: item.url,
+        suggestion: link.finalUrl
+      });
+    }
+  });
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Audit a preprocessed hierarchy (see preprocessDataForD3)
+ * @param {Object} tree
+ * @param {Object} [options]
+ * @param {Object} [options.linkReport] - Link report (scripts/check-links.mjs); without it no link issues
+ * @param {Object} [options.source] - The unfiltered hierarchy of the main thread, when the audited
+ *   tree is a copy from the search worker (its items have lost `raw`, which the type check reads)
+ * @returns {{generatedAt, summary: {items, categories, issues}, counts: {[kind]: number}, linksCheckedAt,
+ *   issues: Array<{kind, message, path, nodeId?, itemId?, title?, url?, value?, suggestion?, facet?, locations?}>}}
+ *   path is an array of category names; nodeId the category to show for the issue
+ */
+export function auditDataset(tree, { linkReport = null, source = null } = {}) {
+  const issues = [];
+  const addIssue = (kind, issue) => issues.push({ kind, path: [], ...issue });
+
+  const occurrences = collectOccurrences(tree);
+  checkTags(occurrences, addIssue);
+  checkTypes(occurrences, source ? collectOccurrences(source) : occurrences, addIssue);
+  checkEmptyCategories(tree, addIssue);
+  checkItems(occurrences, linkReport, addIssue);
+
+  const counts = {};
+  AUDIT_KINDS.forEach(({ key }) => { counts[key] = issues.filter(issue => issue.kind === key).length; });
+
+  let categories = 0;
+  (function countCategories(node) {
+    (node.children || []).forEach(child => {
+      if (child.isLeaf && !child.isEmpty) return;
+      categories++;
+      countCategories(child);
+    });
+  })(tree);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    summary: { items: new Set(occurrences.map(occurrence => occurrence.id)).size, categories, issues: issues.length },
+    counts,
+    linksCheckedAt: linkReport ? linkReport.generatedAt : null,
+    issues
+  };
+  log('Audit:', report.summary, counts);
+  return report;
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The report as a CSV fix list, one row per issue
+ * @param {Object} report - From auditDataset
+ * @returns {string}
+ */
+export function auditToCsv(report) {
+  const rows = report.issues.map(issue => [
+    issue.kind,
+    issue.message,
+    issue.path.join(' > '),
+    issue.itemId,
+    issue.title,
+    issue.url,
+    issue.value,
+    issue.suggestion
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,263 @@
+/**
+ * datasetImport.js
+ * Local dataset preview: turns dropped or picked files into the same JSON
+ * structure as db/latest/CD_Solution_map_2_content.json, in the browser.
+ *
+ * Accepted input is one JSON file, or the two sheet exports:
+ *   - Taxonomy TSV: one row per category path, one column per level
+ *     ("Level 1", "Level 2", ... or, without such headers, every column).
+ *     An empty leading cell repeats the cell above (outline layout).
+ *   - Content TSV: one row per item (title, url, type_, author, ...) with its
+ *     category as a "path"/"category" column ("Power > Solar"; several paths
+ *     separated by ";") or as the same level columns as the taxonomy. Rows
+ *     without a category are filed under the root.
+ */
+
+import { slugify } from './utilities.js';
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+export const ROOT_NAME = 'Climate Solutions';
+
+const LEVEL_HEADER = /^(level|lvl|l|tier)[\s_-]*\d+$/i;
+const PATH_HEADERS = ['path', 'category', 'categories', 'taxonomy', 'node'];
+const PATH_SEPARATOR = /\s*>\s*/;
+const PATH_LIST_SEPARATOR = /\s*;\s*/;
+
+// A file that cannot be turned into a dataset; `code` is a validate.js issue code
+export class DatasetImportError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DatasetImportError';
+    this.code = code;
+  }
+}
+
+// ============================================================================
+// TSV PARSING
+// ============================================================================
+
+/**
+ * Parse TSV text into rows of cells. Cells may be double-quoted to hold tabs,
+ * newlines or quotes ("" inside quotes); blank lines are dropped.
+ */
+export function parseTSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const str = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (quoted) {
+      if (ch === '"' && str[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === '\t') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && str[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Rows as objects keyed by the trimmed, lowercased header
+function toRecords(rows) {
+  const [header = [], ...body] = rows;
+  const keys = header.map(h => h.trim().toLowerCase());
+  return {
+    keys,
+    records: body.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()])))
+  };
+}
+
+// Level column keys, or null when no header is named like a level
+function levelKeys(keys) {
+  const levels = keys.filter(key => LEVEL_HEADER.test(key));
+  return levels.length > 0 ? levels : null;
+}
+
+// ============================================================================
+// TAXONOMY
+// ============================================================================
+
+function createNode(name) {
+  return { name, children: [] };
+}
+
+// Child of `node` named `name` (slug match), created when missing
+function childNamed(node, name) {
+  const slug = slugify(name);
+  let child = node.children.find(c => slugify(c.name) === slug);
+  if (!child) {
+    child = createNode(name);
+    node.children.push(child);
+  }
+  return child;
+}
+
+/**
+ * Build the category tree from the taxonomy TSV
+ * @returns {Object} Root node { name, children }
+ */
+export function buildTaxonomy(text) {
+  const { keys, records } = toRecords(parseTSV(text));
+  if (keys.length === 0) throw new DatasetImportError('Taxonomy TSV is empty', 'invalid-tsv');
+
+  const levels = levelKeys(keys) || keys;
+  const root = createNode(ROOT_NAME);
+  let previous = [];
+
+  records.forEach(record => {
+    const cells = levels.map(key => record[key]);
+    // Outline layout: leading blanks repeat the previous row's path
+    const firstFilled = cells.findIndex(Boolean);
+    if (firstFilled === -1) return;
+    const path = [...previous.slice(0, firstFilled), ...cells.slice(firstFilled)];
+    const lastFilled = path.length - 1 - [...path].reverse().findIndex(Boolean);
+    const names = path.slice(0, lastFilled + 1);
+    if (names.some(name => !name)) return; // Gap inside the path
+
+    let node = root;
+    names.forEach(name => { node = childNamed(node, name); });
+    previous = names;
+  });
+
+  log(`Taxonomy: ${records.length} rows`);
+  return root;
+}
+
+// ============================================================================
+// CONTENT
+// ============================================================================
+
+// Lookup of every category by full slug path and by its own name
+function indexTaxonomy(root) {
+  const byPath = new Map();
+  const byName = new Map();
+  (function walk(node, path, names) {
+    byPath.set(path.join('/'), { node, names });
+    if (path.length > 0) {
+      const key = path[path.length - 1];
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push({ node, names });
+    }
+    node.children.forEach(child => walk(child, [...path, slugify(child.name)], [...names, child.name]));
+  })(root, [], [ROOT_NAME]);
+  return { byPath, byName };
+}
+
+// Category paths an item row is filed under (each a list of names)
+function rowPaths(record, pathKey, levels) {
+  if (pathKey) {
+    return record[pathKey].split(PATH_LIST_SEPARATOR).filter(Boolean).map(path => path.split(PATH_SEPARATOR));
+  }
+  const names = levels.map(key => record[key]).filter(Boolean);
+  return names.length > 0 ? [names] : [];
+}
+
+/**
+ * Attach the content TSV's items to the taxonomy
+ * @returns {Array} Problems found: { code, message, path, extra }
+ */
+export function attachContent(root, text) {
+  const { keys, records } = toRecords(parseTSV(text));
+  if (!keys.includes('title') || !keys.includes('url')) {
+    throw new DatasetImportError('Content TSV needs "title" and "url" columns', 'invalid-tsv');
+  }
+
+  const pathKey = PATH_HEADERS.find(key => keys.includes(key));
+  const levels = pathKey ? [] : (levelKeys(keys) || []);
+  const itemKeys = keys.filter(key => key && key !== pathKey && !levels.includes(key));
+  const { byPath, byName } = indexTaxonomy(root);
+  const problems = [];
+
+  records.forEach((record, index) => {
+    const item = Object.fromEntries(itemKeys.map(key => [key, record[key]]));
+    const extra = { item: index + 1, title: item.title || undefined };
+    // Rows without a category are filed under the root
+    const paths = rowPaths(record, pathKey, levels);
+    if (paths.length === 0) paths.push([]);
+
+    paths.forEach(names => {
+      // Paths may repeat the root name; a single name matches a category anywhere
+      const slugs = names.map(slugify);
+      if (slugs[0] === slugify(ROOT_NAME)) slugs.shift();
+      let target = byPath.get(slugs.join('/'));
+      if (!target && slugs.length === 1) {
+        const matches = byName.get(slugs[0]) || [];
+        target = matches[0];
+        if (matches.length > 1) {
+          problems.push({ code: 'ambiguous-category', message: `"${names[0]}" names ${matches.length} categories; used the first`,
+            path: target.names, extra });
+        }
+      }
+      if (!target) {
+        problems.push({ code: 'unplaced-item', message: `Category "${names.join(' > ')}" is not in the taxonomy`, path: [ROOT_NAME], extra });
+        return;
+      }
+      if (!target.node.url_data) target.node.url_data = [];
+      target.node.url_data.push({ ...item });
+    });
+  });
+
+  log(`Content: ${records.length} rows, ${problems.length} problems`);
+  return problems;
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+// Whether TSV text is the content sheet (it has item columns)
+function isContentTSV(text) {
+  const header = (parseTSV(text.slice(0, 4096))[0] || []).map(h => h.trim().toLowerCase());
+  return header.includes('url') && header.includes('title');
+}
+
+/**
+ * Read dropped or picked files into a raw dataset
+ * @param {FileList|File[]} files - One .json file, or the taxonomy and content TSVs
+ * @returns {Promise<{rawData: Object, source: string, problems: Array}>}
+ * @throws {DatasetImportError|SyntaxError} When the files cannot form a dataset
+ */
+export async function readDatasetFiles(files) {
+  const list = Array.from(files || []);
+  const json = list.find(file => /\.json$/i.test(file.name) || file.type === 'application/json');
+
+  if (json) {
+    return { rawData: JSON.parse(await json.text()), source: json.name, problems: [] };
+  }
+
+  const tsvs = await Promise.all(list.map(async file => ({ name: file.name, text: await file.text() })));
+  const content = tsvs.find(file => isContentTSV(file.text));
+  const taxonomy = tsvs.find(file => file !== content);
+  if (!content || !taxonomy) {
+    throw new DatasetImportError('Drop one JSON file, or both the taxonomy TSV and the content TSV', 'missing-file');
+  }
+
+  const rawData = buildTaxonomy(taxonomy.text);
+  const problems = attachContent(rawData, content.text);
+  return { rawData, source: `${taxonomy.name} + ${content.name}`, problems };
+}
@@ -0,0 +1,137 @@
+/**
+ * diagnostics.js
+ * Dataset diagnostics panel: lists the issues from a validate.js report with
+ * their node paths and exports the full report as JSON.
+ */
+
+import { sanitizeText } from './utilities.js';
+
+// Issues listed per severity; the exported report always has all of them
+const MAX_LISTED = 200;
+
+const SEVERITIES = [
+  { key: 'error', label: 'Errors', icon: '⛔' },
+  { key: 'warning', label: 'Warnings', icon: '⚠️' },
+  { key: 'info', label: 'Notes', icon: 'ℹ️' }
+];
+
+let currentReport = null;
+
+// One list item per issue: message, then where it is
+function issueHtml(issue) {
+  const where = [issue.path, issue.item ? `item ${issue.item}${issue.title ? ` “${issue.title}”` : ''}` : '']
+    .filter(Boolean)
+    .join(' · ');
+  return `<li class="diagnostics-issue">
+    <div class="diagnostics-message">${sanitizeText(issue.message)}</div>
+    ${where ? `<div class="diagnostics-path">${sanitizeText(where)}</div>` : ''}
+  </li>`;
+}
+
+function renderPanel(panel, report) {
+  const { summary } = report;
+  let html = `
+    <div class="diagnostics-header">
+      <h3 id="diagnosticsTitle">Dataset diagnostics</h3>
+      <div class="diagnostics-actions">
+        <button class="download-btn" id="diagnosticsExportBtn" title="Export the full report as JSON">
+          <span>📥</span>
+          <span>Export JSON</span>
+        </button>
+        <button class="close-btn" id="diagnosticsCloseBtn" aria-label="Dismiss diagnostics">×</button>
+      </div>
+    </div>
+    <div class="diagnostics-summary">
+      ${summary.errors} error${summary.errors === 1 ? '' : 's'} ·
+      ${summary.warnings} warning${summary.warnings === 1 ? '' : 's'} ·
+      ${summary.info} note${summary.info === 1 ? '' : 's'}
+      <span class="diagnostics-counts">(${summary.nodes} categories, ${summary.items} items checked)</span>
+    </div>
+    <div class="diagnostics-body">
+  `;
+
+  SEVERITIES.forEach(({ key, label, icon }) => {
+    const issues = report.issues.filter(issue => issue.severity === key);
+    if (issues.length === 0) return;
+    // Notes start collapsed: they are expected in a growing taxonomy
+    html += `<details class="diagnostics-group diagnostics-${key}"${key === 'info' ? '' : ' open'}>
+      <summary>${icon} ${label} (${issues.length})</summary>
+      <ul>${issues.slice(0, MAX_LISTED).map(issueHtml).join('')}</ul>
+      ${issues.length > MAX_LISTED ? `<div class="diagnostics-more">…and ${issues.length - MAX_LISTED} more (see the exported report)</div>` : ''}
+    </details>`;
+  });
+
+  html += `</div>`;
+  panel.innerHTML = html;
+
+  document.getElementById('diagnosticsExportBtn').addEventListener('click', () => downloadDiagnostics(report));
+  document.getElementById('diagnosticsCloseBtn').addEventListener('click', hideDiagnostics);
+}
+
+// Reflect the report on the sidebar button (hidden when there is nothing to report)
+function updateButton(report) {
+  const button = document.getElementById('diagnosticsBtn');
+  if (!button) return;
+  const count = report ? report.summary.errors + report.summary.warnings : 0;
+  button.hidden = !report || report.issues.length === 0;
+  button.classList.toggle('has-errors', !!report && report.summary.errors > 0);
+  const badge = button.querySelector('.diagnostics-badge');
+  if (badge) badge.textContent = count > 0 ? String(count) : '';
+}
+
+/**
+ * Set the current validation report
+ * @param {Object} report - From validateDataset / invalidJsonReport
+ * @param {Object} [options]
+ * @param {boolean} [options.open] - Open the panel (defaults to: the report has errors)
+ */
+export function setDiagnosticsReport(report, { open = report.summary.errors > 0 } = {}) {
+  currentReport = report;
+  updateButton(report);
+  if (open) {
+    showDiagnostics();
+  } else {
+    hideDiagnostics();
+  }
+}
+
+export function getDiagnosticsReport() {
+  return currentReport;
+}
+
+export function showDiagnostics() {
+  const panel = document.getElementById('diagnosticsPanel');
+  if (!panel || !currentReport) return;
+  renderPanel(panel, currentReport);
+  panel.hidden = false;
+}
+
+export function hideDiagnostics() {
+  const panel = document.getElementById('diagnosticsPanel');
+  if (panel) panel.hidden = true;
+}
+
+// Download a report as JSON
+export function downloadDiagnostics(report = currentReport) {
+  if (!report) return;
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `dataset-diagnostics_${report.generatedAt.split('T')[0]}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Sidebar button reopens the panel; Escape dismisses it
+const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+if (diagnosticsBtn) {
+  diagnosticsBtn.addEventListener('click', showDiagnostics);
+}
+
+document.addEventListener('keydown', (e) => {
+  const panel = document.getElementById('diagnosticsPanel');
+  if (e.key === 'Escape' && panel && !panel.hidden) {
+    hideDiagnostics();
+  }
+});
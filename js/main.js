@@ -8,12 +8,19 @@ import {
   hideTooltip,
   clearTooltipTimeout,
   preprocessDataForD3,
+  getItemId,
+  migrateFavorites,
   countNodes,
   extractTypesAndTags,
   populateTypeDropdown,
   populateTagDropdown,
   populateAuthorDropdown,
   populateLocationDropdown,
+  syncFacetDropdown,
+  updateFacetCounts,
+  normalizeFacet,
+  formatFacet,
+  FACET_KEYS,
   setupDropdown,
   closeAllDropdowns,
   downloadJSON,
@@ -34,25 +41,41 @@ import {
   sanitizeAttr
 } from './utilities.js';
 
+import { normalizeDataset } from './normalize.js';
+import { FACET_URL_KEYS, parseURLState, completeURLState } from './urlState.js';
+import { validateDataset, invalidJsonReport, fileErrorReport, isFatalReport, addIssue } from './validate.js';
+import { readDatasetFiles } from './datasetImport.js';
+import { setDiagnosticsReport } from './diagnostics.js';
+import { registerServiceWorker } from './pwa.js';
 import {
-  initializeSearch,
+  fetchDatasetVersion,
+  listArchivedVersions,
+  loadSnapshot,
+  getLoadedSnapshot,
+  diffDatasets,
+  setActiveDiff,
+  getActiveDiff
+} from './versionDiff.js';
+
+import {
+  createSuggestionSource,
   updateSearchInfo,
-  getFilteredData,
   getSearchSuggestions,
   saveRecentSearch,
   highlightMatch,
   clearRecentSearches
-} from './search.js';
+} from './searchUI.js';
 
-import { renderCirclePacking } from './visualizations/circlePacking.js';
-import { renderDendrogram } from './visualizations/dendrogram.js';
-import { renderTreemap } from './visualizations/treemap.js';
-import { renderSunburst } from './visualizations/sunburst.js';
-import { renderTable } from './visualizations/tableView.js';
+import { loadSearchData, filterSearchData } from './searchClient.js';
+
+import {
+  getVisualization,
+  listVisualizations,
+  cleanupVisualizations,
+  provideRenderContext,
+  createRenderContext
+} from './visualizations/index.js';
 import { trackEvent, trackSearch } from './analytics.js';
-// Force Network temporarily disabled (needs rework) — keeping the import commented
-// also protects the app from module-graph breakage while forceNetwork.js is edited
-// import { renderForceNetwork } from './visualizations/forceNetwork.js';
 
 // Debug mode flag - set to false for production
 const DEBUG = false;
@@ -61,21 +84,34 @@ const log = DEBUG ? console.log.bind(console) : () => {};
 // Global state
 let currentTooltipNode = null; // Track node for tooltip click → side panel
 let globalData = null;
-let searchIndex = null;
-let lastFilteredData = null; // Cache for export (avoids re-running getFilteredData)
+let lastFilteredData = null; // Last rendered filter result, for export
+let suggestionSource = null; // Node names and field values for search suggestions
 let searchQuery = '';
-let currentType = 'all';
-let currentTag = 'all';
-let currentAuthor = 'all';
-let currentLocation = 'all';
+// Facet filters: { mode: 'include' | 'exclude', values: [] } - no values means "All"
+let currentType = normalizeFacet('all');
+let currentTag = normalizeFacet('all');
+let currentAuthor = normalizeFacet('all');
+let currentLocation = normalizeFacet('all');
 let currentDateFrom = '';
 let currentDateTo = '';
-let currentViz = 'sunburst';
+let currentSince = ''; // "Added since" archived version ('' = off)
+let currentRefinements = []; // Exact filters added from the Stats charts: [{ key, value }]
+const DEFAULT_VIZ = 'sunburst';
+let currentViz = DEFAULT_VIZ;
 const allTypes = new Set();
 const allTags = new Set();
 const allAuthors = new Set();
 const allLocations = new Set();
 
+// Dataset versions for "What's new": the published one, the archived ones
+// (newest first) and the normalized published data they are compared with
+let datasetVersion = '';
+let archivedVersions = [];
+let publishedData = null;
+// Versions load after the first render; an "added since" set before then waits here
+let versionInfoLoaded = false;
+let pendingSince = '';
+
 // Search suggestions state
 let selectedSuggestionIndex = -1;
 let currentSuggestions = { recent: [], matching: [] };
@@ -83,6 +119,31 @@ let currentSuggestions = { recent: [], matching: [] };
 // URL state management flag
 let isApplyingURLState = false;
 
+// Item permalink (#item=<id>) waiting for the next render to focus it
+let pendingItemFocus = null;
+
+// Stable id of the node the visualization is drilled into (null = root)
+let currentFocusId = null;
+// True while renderVisualization builds a view (focus changes don't add history entries)
+let isRendering = false;
+
+// Facet filter wiring: state accessors and dropdown/label elements (URL hash keys in FACET_URL_KEYS)
+const FACETS = {
+  type: { dropdownId: 'typeDropdown', valueId: 'typeValue',
+    get: () => currentType, set: facet => { currentType = facet; } },
+  tag: { dropdownId: 'tagDropdown', valueId: 'tagValue',
+    get: () => currentTag, set: facet => { currentTag = facet; } },
+  author: { dropdownId: 'authorDropdown', valueId: 'authorValue',
+    get: () => currentAuthor, set: facet => { currentAuthor = facet; } },
+  location: { dropdownId: 'locationDropdown', valueId: 'locationValue',
+    get: () => currentLocation, set: facet => { currentLocation = facet; } }
+};
+
+// Refinement chip labels (see REFINEMENT_KEYS)
+const REFINEMENT_LABELS = {
+  sector: 'Sector', affiliation: 'Affiliation', type: 'Type', tag: 'Tag', author: 'Author', location: 'Location'
+};
+
 // ============================================================================
 // LOADING STATE MANAGEMENT
 // ============================================================================
@@ -140,10 +201,11 @@ function updateBreadcrumbs(path = []) {
   const breadcrumbNav = document.getElementById('breadcrumbNav');
   const breadcrumbTrail = document.getElementById('breadcrumbTrail');
 
-  if (!breadcrumbNav || !breadcrumbTrail) return;
-
   // Store path globally
   breadcrumbPath = path;
+  syncFocusFromBreadcrumbs(path);
+
+  if (!breadcrumbNav || !breadcrumbTrail) return;
 
   // Clear existing trail
   breadcrumbTrail.innerHTML = '';
@@ -191,6 +253,22 @@ function updateBreadcrumbs(path = []) {
   });
 }
 
+/**
+ * Keep the URL focus path in step with the breadcrumb trail. A user drill-down
+ * adds a history entry, so back/forward step through drill-downs.
+ * @param {Array} path - Array of {name, node} objects
+ */
+function syncFocusFromBreadcrumbs(path) {
+  const last = path[path.length - 1];
+  const focusId = last?.node?.data?.id || null;
+  if (focusId === currentFocusId) return;
+
+  currentFocusId = focusId;
+  if (!isRendering) {
+    updateURL({ push: true });
+  }
+}
+
 /**
  * Navigate to a specific breadcrumb level
  * @param {number} index - Index in breadcrumbPath to navigate to
@@ -213,16 +291,6 @@ function navigateToBreadcrumb(index) {
   updateBreadcrumbs(breadcrumbPath.slice(0, index + 1));
 }
 
-/**
- * Push a new item to breadcrumb path
- * @param {string} name - Display name
- * @param {object} node - Data node object
- */
-function pushBreadcrumb(name, node) {
-  breadcrumbPath.push({ name, node });
-  updateBreadcrumbs(breadcrumbPath);
-}
-
 /**
  * Reset breadcrumbs to root (empty path)
  */
@@ -231,12 +299,6 @@ function resetBreadcrumbs() {
   updateBreadcrumbs([]);
 }
 
-// Make breadcrumb functions globally available
-window.updateBreadcrumbs = updateBreadcrumbs;
-window.pushBreadcrumb = pushBreadcrumb;
-window.resetBreadcrumbs = resetBreadcrumbs;
-window.navigateToBreadcrumb = navigateToBreadcrumb;
-
 // Home button listener
 document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('breadcrumbHome')?.addEventListener('click', () => {
@@ -250,17 +312,14 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================================================
 
 /**
- * Update URL hash with current application state
- * Format: #viz=sunburst&search=query&type=article&tag=renewable...
+ * Build hash params for the current view state (everything except the focus path)
+ * @returns {URLSearchParams}
  */
-function updateURL() {
-  // Don't update URL if we're currently applying URL state (prevents loops)
-  if (isApplyingURLState) return;
-
+function buildStateParams() {
   const params = new URLSearchParams();
 
   // Add visualization type
-  if (currentViz && currentViz !== 'sunburst') {
+  if (currentViz && currentViz !== DEFAULT_VIZ) {
     params.set('viz', currentViz);
   }
 
@@ -269,19 +328,14 @@ function updateURL() {
     params.set('search', searchQuery.trim());
   }
 
-  // Add filters
-  if (currentType && currentType !== 'all') {
-    params.set('type', currentType);
-  }
-  if (currentTag && currentTag !== 'all') {
-    params.set('tag', currentTag);
-  }
-  if (currentAuthor && currentAuthor !== 'all') {
-    params.set('author', currentAuthor);
-  }
-  if (currentLocation && currentLocation !== 'all') {
-    params.set('location', currentLocation);
-  }
+  // Add facet filters (one entry per selected value)
+  FACET_KEYS.forEach(key => {
+    const { urlKey, excludeUrlKey } = FACET_URL_KEYS[key];
+    const facet = FACETS[key].get();
+    facet.values.forEach(value => {
+      params.append(facet.mode === 'exclude' ? excludeUrlKey : urlKey, value);
+    });
+  });
 
   // Add date range
   if (currentDateFrom) {
@@ -291,169 +345,130 @@ function updateURL() {
     params.set('dateTo', currentDateTo);
   }
 
-  // Update URL hash
-  const hash = params.toString();
-  if (hash) {
-    history.replaceState(null, '', `#${hash}`);
-  } else {
-    history.replaceState(null, '', window.location.pathname);
+  // Add refinements (#refine=tag:Solar, one entry each)
+  currentRefinements.forEach(({ key, value }) => {
+    params.append('refine', `${key}:${value}`);
+  });
+
+  // Add "added since" version (kept while the versions are still loading)
+  const since = currentSince || pendingSince;
+  if (since) {
+    params.set('since', since);
   }
+
+  return params;
 }
 
 /**
- * Parse URL hash and return state object
- * @returns {Object} Parsed state from URL
+ * Update URL hash with current application state
+ * Format: #viz=sunburst&search=query&type=article&tag=renewable...&focus=power.renewables
+ * @param {Object} [options]
+ * @param {boolean} [options.push=false] - Add a history entry instead of replacing the current one
  */
-function parseURL() {
-  const hash = window.location.hash.substring(1); // Remove #
-  if (!hash) return null;
+function updateURL({ push = false } = {}) {
+  // Don't update URL if we're currently applying URL state (prevents loops)
+  if (isApplyingURLState) return;
 
-  const params = new URLSearchParams(hash);
-  const state = {};
+  const params = buildStateParams();
 
-  // Parse visualization type
-  if (params.has('viz')) {
-    state.viz = params.get('viz');
+  // Add drill-down focus (stable node id, see getNodeId)
+  if (currentFocusId && currentFocusId !== 'root') {
+    params.set('focus', currentFocusId);
   }
 
-  // Parse search query
-  if (params.has('search')) {
-    state.search = params.get('search');
+  // Update URL hash
+  const hash = params.toString();
+  const url = hash ? `#${hash}` : window.location.pathname;
+  if (push && `#${hash}` !== window.location.hash) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
   }
+}
 
-  // Parse filters
-  if (params.has('type')) {
-    state.type = params.get('type');
-  }
-  if (params.has('tag')) {
-    state.tag = params.get('tag');
-  }
-  if (params.has('author')) {
-    state.author = params.get('author');
-  }
-  if (params.has('location')) {
-    state.location = params.get('location');
-  }
+/**
+ * True if the URL hash differs from the current state only in its focus path,
+ * i.e. back/forward stepped between drill-downs of the same view
+ * @returns {boolean}
+ */
+function isFocusOnlyChange() {
+  const params = new URLSearchParams(window.location.hash.substring(1));
+  if (params.has('item')) return false;
+  params.delete('focus');
+  return params.toString() === buildStateParams().toString();
+}
 
-  // Parse date range
-  if (params.has('dateFrom')) {
-    state.dateFrom = params.get('dateFrom');
-  }
-  if (params.has('dateTo')) {
-    state.dateTo = params.get('dateTo');
+/**
+ * Move the rendered visualization to a focus path without re-rendering
+ * @param {string|null} focusId - Stable node id, or null for the root
+ */
+function restoreFocus(focusId) {
+  isApplyingURLState = true;
+  try {
+    currentFocusId = focusId;
+    if (focusId) {
+      window.dispatchEvent(new CustomEvent('focusNode', { detail: { id: focusId } }));
+    } else {
+      window.dispatchEvent(new CustomEvent('resetVisualization'));
+      resetBreadcrumbs();
+    }
+  } finally {
+    isApplyingURLState = false;
   }
+}
 
-  return Object.keys(state).length > 0 ? state : null;
+/**
+ * Parse URL hash and return state object
+ * @returns {Object|null} Parsed state from URL (see parseURLState)
+ */
+function parseURL() {
+  return parseURLState(window.location.hash.substring(1));
 }
 
 /**
- * Apply URL state to the application
- * @param {Object} state - Parsed URL state
+ * Apply URL state to the application: the hash describes the whole view, so
+ * filters it leaves out are reset (back to a bare "#" shows everything)
+ * @param {Object|null} urlState - Parsed URL state
  */
-function applyURLState(state) {
-  if (!state) return;
+function applyURLState(urlState) {
+  const state = completeURLState(urlState);
 
   isApplyingURLState = true;
 
   try {
-    // Apply visualization type (validate against whitelist to prevent DOM injection)
-    const validVizTypes = ['circle', 'dendrogram', 'treemap', 'sunburst', 'table']; // 'network' temporarily disabled
-    if (state.viz && validVizTypes.includes(state.viz)) {
-      currentViz = state.viz;
-
-      // Update UI
-      const vizButtons = document.querySelectorAll('[data-viz]');
-      vizButtons.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.viz === state.viz);
-      });
-
-      // Update selector display
-      const vizValue = document.getElementById('vizValue');
-      const activeBtn = document.querySelector(`[data-viz="${state.viz}"]`);
-      if (vizValue && activeBtn) {
-        vizValue.textContent = activeBtn.dataset.name;
-      }
-    }
+    // Apply visualization type (only registered views, to prevent DOM injection)
+    setActiveViz(state.viz && getVisualization(state.viz) ? state.viz : DEFAULT_VIZ);
 
     // Apply search query
-    if (state.search) {
-      searchQuery = state.search;
-      const searchInput = document.getElementById('searchInput');
-      if (searchInput) {
-        searchInput.value = state.search;
-      }
+    searchQuery = state.search;
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+      searchInput.value = state.search;
     }
 
-    // Apply type filter
-    if (state.type) {
-      currentType = state.type;
-      const typeValue = document.getElementById('typeValue');
-      if (typeValue) {
-        typeValue.textContent = state.type === 'all' ? 'All' : state.type;
-      }
-      // Update dropdown active state
-      const typeButtons = document.querySelectorAll('#typeDropdown [data-type]');
-      typeButtons.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.type === state.type);
-      });
-    }
+    // Apply facet filters
+    FACET_KEYS.forEach(key => setFacet(key, state[key]));
 
-    // Apply tag filter
-    if (state.tag) {
-      currentTag = state.tag;
-      const tagValue = document.getElementById('tagValue');
-      if (tagValue) {
-        tagValue.textContent = state.tag === 'all' ? 'All' : state.tag;
-      }
-      // Update dropdown active state
-      const tagButtons = document.querySelectorAll('#tagDropdown [data-tag]');
-      tagButtons.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.tag === state.tag);
-      });
-    }
+    // Apply date range
+    currentDateFrom = state.dateFrom;
+    currentDateTo = state.dateTo;
+    const dateFromInput = document.getElementById('dateFrom');
+    const dateToInput = document.getElementById('dateTo');
+    if (dateFromInput) dateFromInput.value = state.dateFrom;
+    if (dateToInput) dateToInput.value = state.dateTo;
 
-    // Apply author filter
-    if (state.author) {
-      currentAuthor = state.author;
-      const authorValue = document.getElementById('authorValue');
-      if (authorValue) {
-        authorValue.textContent = state.author === 'all' ? 'All' : state.author;
-      }
-      // Update dropdown active state
-      const authorButtons = document.querySelectorAll('#authorDropdown [data-author]');
-      authorButtons.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.author === state.author);
-      });
-    }
+    // Apply refinements
+    setRefinements(state.refinements);
 
-    // Apply location filter
-    if (state.location) {
-      currentLocation = state.location;
-      const locationValue = document.getElementById('locationValue');
-      if (locationValue) {
-        locationValue.textContent = state.location === 'all' ? 'All' : state.location;
-      }
-      // Update dropdown active state
-      const locationButtons = document.querySelectorAll('#locationDropdown [data-location]');
-      locationButtons.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.location === state.location);
-      });
-    }
+    // Apply "added since" version (only archived ones)
+    setSince(state.since);
 
-    // Apply date range
-    if (state.dateFrom) {
-      currentDateFrom = state.dateFrom;
-      const dateFromInput = document.getElementById('dateFrom');
-      if (dateFromInput) {
-        dateFromInput.value = state.dateFrom;
-      }
-    }
-    if (state.dateTo) {
-      currentDateTo = state.dateTo;
-      const dateToInput = document.getElementById('dateTo');
-      if (dateToInput) {
-        dateToInput.value = state.dateTo;
-      }
+    // Drill-down focus is part of the view: no focus in the URL means the root
+    currentFocusId = state.focus;
+
+    // Focus the linked item once the visualization has rendered
+    if (state.item) {
+      pendingItemFocus = state.item;
     }
 
     // Render visualization with applied state
@@ -472,7 +487,7 @@ const sidePanel = document.getElementById('sidePanel');
 // Add click handler to tooltip for opening side panel
 tooltip.on('click', function() {
   if (currentTooltipNode && currentTooltipNode.data) {
-    const items = currentTooltipNode.data?.urls || currentTooltipNode.data?.content || currentTooltipNode.data?.items || [];
+    const items = currentTooltipNode.data?.urls || [];
     if (items && items.length > 0) {
       log('Tooltip clicked, opening side panel');
       showSidePanel(sidePanel, currentTooltipNode);
@@ -716,31 +731,142 @@ function handleSuggestionKeyboard(e) {
   }
 }
 
+const DATA_URL = 'db/latest/CD_Solution_map_2_content.json';
+
+// Fetch and parse the published dataset (SyntaxError when the file is malformed)
+async function fetchPublishedDataset() {
+  const response = await fetch(DATA_URL);
+  if (!response.ok) throw new Error('HTTP ' + response.status);
+  return { rawData: JSON.parse(await response.text()), source: DATA_URL, problems: [] };
+}
+
+/**
+ * Validate, normalize and index a dataset, replacing the current one
+ * @param {Object} rawData - Solution map as loaded (JSON or converted TSVs)
+ * @param {string} source - File name or URL, shown in the sidebar and the report
+ * @param {Array} [problems] - Conversion problems from datasetImport.js
+ * @returns {Object} Validation report; nothing is replaced when it is fatal
+ */
+function applyDataset(rawData, source, problems = []) {
+  const report = validateDataset(rawData, source);
+  problems.forEach(p => addIssue(report, p.code, p.message, p.path, p.extra));
+  setDiagnosticsReport(report);
+  if (isFatalReport(report)) return report;
+  log('Dataset validation:', report.summary);
+
+  // Normalize into the canonical node/item shape every module reads
+  const data = normalizeDataset(rawData);
+
+  // Only the published data has archived versions to compare with
+  publishedData = source === DATA_URL ? data : null;
+  updateVersionDiff();
+
+  // Extract types, tags, authors, locations and build search index from the item tree (with urls arrays)
+  [allTypes, allTags, allAuthors, allLocations].forEach(values => values.clear());
+  extractTypesAndTags(data, allTypes, allTags, allAuthors, allLocations);
+  populateTypeDropdown(allTypes, selectType);
+  populateTagDropdown(allTags, selectTag);
+  populateAuthorDropdown(allAuthors, selectAuthor);
+  populateLocationDropdown(allLocations, selectLocation);
+  // Full-text index and filtering live in the search worker; filter requests wait for it
+  loadSearchData(data).catch(error => console.error('Error indexing data for search:', error));
+
+  // THEN preprocess data to convert urls arrays into D3-compatible hierarchy
+  globalData = preprocessDataForD3(data);
+  lastFilteredData = null;
+  log('Preprocessed data structure:', globalData);
+  migrateFavorites(globalData);
+  suggestionSource = createSuggestionSource(data, globalData);
+
+  const count = countNodes(globalData);
+  document.getElementById('searchInfo').textContent = `${count.toLocaleString()} solutions`;
+  updateDatasetStatus(source);
+
+  return report;
+}
+
+// Sidebar "Dataset" section: which dataset is shown
+function updateDatasetStatus(source) {
+  const isPublished = source === DATA_URL;
+  const status = document.getElementById('datasetStatus');
+  if (status) status.textContent = isPublished ? 'Published data' : `Preview: ${source}`;
+  const publishedBtn = document.getElementById('publishedDatasetBtn');
+  if (publishedBtn) publishedBtn.hidden = isPublished;
+  const sinceSelect = document.getElementById('addedSince');
+  if (sinceSelect) sinceSelect.disabled = !isPublished;
+}
+
+// ============================================================================
+// WHAT'S NEW (archived dataset versions)
+// ============================================================================
+
+// Find the published and archived versions and fetch the newest archived snapshot
+// (the default comparison). Never rejects: without an archive nothing is new.
+async function loadVersionInfo() {
+  datasetVersion = await fetchDatasetVersion();
+  archivedVersions = datasetVersion ? await listArchivedVersions(datasetVersion) : [];
+  if (archivedVersions.length > 0) await loadSnapshot(archivedVersions[0]);
+  log('Dataset version:', datasetVersion, 'archived:', archivedVersions);
+
+  // "Added since" options, one per archived version (hidden without an archive)
+  const select = document.getElementById('addedSince');
+  archivedVersions.forEach(version => {
+    const option = document.createElement('option');
+    option.value = version;
+    option.textContent = `Version ${version}`;
+    select.appendChild(option);
+  });
+  document.getElementById('addedSinceFilter').hidden = archivedVersions.length === 0;
+}
+
+// Versions are known: apply an "added since" waiting for them and show the comparison
+function applyVersionInfo() {
+  versionInfoLoaded = true;
+  const since = pendingSince;
+  pendingSince = '';
+  setSince(since);
+  // Badges, the What's New view and the filter only change when there is something to compare
+  if (globalData && (getActiveDiff() || since || currentViz === 'whatsnew')) renderVisualization();
+}
+
+// Compare the published data with the "added since" version, or else the newest
+// archived one; the result drives the badges, the What's New view and the filter
+function updateVersionDiff() {
+  const baseVersion = currentSince || archivedVersions[0];
+  const snapshot = publishedData && baseVersion ? getLoadedSnapshot(baseVersion) : null;
+  setActiveDiff(snapshot ? diffDatasets(snapshot, publishedData, { from: baseVersion, to: datasetVersion }) : null);
+}
+
+// Set the "added since" version ('', an unknown or an unloadable version turn the filter off)
+function setSince(version) {
+  if (!versionInfoLoaded) {
+    pendingSince = version;
+    return;
+  }
+  const usable = archivedVersions.includes(version) && getLoadedSnapshot(version) !== null;
+  currentSince = usable ? version : '';
+  const select = document.getElementById('addedSince');
+  if (select) select.value = currentSince;
+  updateVersionDiff();
+}
+
 // Load and initialize data
 async function loadData() {
   showLoading('Loading climate solutions data...');
 
   try {
-    const response = await fetch('db/latest/CD_Solution_map_2_content.json');
-    if (!response.ok) throw new Error('HTTP ' + response.status);
-    const rawData = await response.json();
+    // Validate before use: a malformed file stops here with a report instead of a bare error
+    let dataset;
+    try {
+      dataset = await fetchPublishedDataset();
+    } catch (error) {
+      if (error instanceof SyntaxError) setDiagnosticsReport(invalidJsonReport(error, DATA_URL));
+      throw error;
+    }
 
     showLoading('Processing data...');
-
-    // Extract types, tags, authors, locations and build search index from RAW data (with urls arrays)
-    extractTypesAndTags(rawData, allTypes, allTags, allAuthors, allLocations);
-    populateTypeDropdown(allTypes, selectType);
-    populateTagDropdown(allTags, selectTag);
-    populateAuthorDropdown(allAuthors, selectAuthor);
-    populateLocationDropdown(allLocations, selectLocation);
-    searchIndex = initializeSearch(rawData);
-
-    // THEN preprocess data to convert urls arrays into D3-compatible hierarchy
-    globalData = preprocessDataForD3(rawData);
-    log('Preprocessed data structure:', globalData);
-
-    const count = countNodes(globalData);
-    document.getElementById('searchInfo').textContent = `${count.toLocaleString()} solutions`;
+    const report = applyDataset(dataset.rawData, dataset.source);
+    if (isFatalReport(report)) throw new Error('Dataset failed validation');
 
     showLoading('Rendering visualization...');
 
@@ -754,6 +880,10 @@ async function loadData() {
 
     // Hide loading after render completes
     hideLoading();
+
+    // Versions for "What's new" (and the archived snapshot they compare with) load
+    // in the background so the archive never delays the map
+    loadVersionInfo().then(applyVersionInfo);
   } catch (error) {
     console.error('Error loading data:', error);
     hideLoading();
@@ -766,31 +896,127 @@ async function loadData() {
   }
 }
 
+/**
+ * Swap in another dataset without a page reload (local preview, or back to the
+ * published file). When it cannot be used, the current one stays and the
+ * diagnostics panel says why.
+ * @param {Function} readDataset - async () => { rawData, source, problems }
+ * @param {string} label - Names the input in the report if reading fails
+ */
+async function replaceDataset(readDataset, label) {
+  showLoading('Loading dataset...');
+
+  try {
+    const { rawData, source, problems } = await readDataset();
+    const report = applyDataset(rawData, source, problems);
+    hideLoading();
+    if (isFatalReport(report)) return;
+
+    // Filters, drill-down and permalinks referred to the previous dataset
+    currentFocusId = null;
+    pendingItemFocus = null;
+    resetAllFilters();
+  } catch (error) {
+    console.error('Error loading dataset:', error);
+    hideLoading();
+    setDiagnosticsReport(error instanceof SyntaxError
+      ? invalidJsonReport(error, label)
+      : fileErrorReport(error.code || 'missing-file', error.message, label));
+  }
+}
+
+// Preview local files: one JSON file, or the taxonomy and content TSVs
+function loadLocalDataset(files) {
+  if (!files || files.length === 0) return;
+  const label = Array.from(files).map(file => file.name).join(' + ');
+  trackEvent('dataset:local');
+  replaceDataset(() => readDatasetFiles(files), label);
+}
+
+// The selected visualization (the default one when the id is unknown)
+function getActiveVisualization() {
+  return getVisualization(currentViz) || getVisualization(DEFAULT_VIZ);
+}
+
+/**
+ * The app's members of the render context every view receives (see
+ * provideRenderContext in registry.js): the one place they are defined, each
+ * with the description describeRenderContext() lists. Setters apply a filter
+ * and re-render.
+ */
+function provideAppContext() {
+  const members = [
+    ['showTooltip', () => (event, d) => { currentTooltipNode = d; showTooltip(tooltip, event, d); },
+      'showTooltip(event, node): show the tooltip for a node (a click on it opens the side panel)'],
+    ['hideTooltip', () => () => hideTooltip(tooltip), 'hideTooltip()'],
+    ['initialFocus', () => (getActiveVisualization().capabilities.zoom ? currentFocusId : null),
+      'Stable id of the node to re-open the drill-down on (views with zoom; null = root)'],
+    ['dateRange', () => ({ from: currentDateFrom, to: currentDateTo }), '{ from, to }: the date filter (YYYY-MM-DD or \'\')'],
+    ['searchQuery', () => searchQuery, 'The current search query'],
+    ['facets', () => ({ type: currentType, tag: currentTag, author: currentAuthor, location: currentLocation }),
+      '{ type, tag, author, location }: the current facet selections ({ mode, values })'],
+    ['setDateRange', () => setDateRange, 'setDateRange(from, to)'],
+    ['selectType', () => selectType, 'selectType(selection): a type, \'all\' or { mode, values }'],
+    ['selectTag', () => selectTag, 'selectTag(selection)'],
+    ['selectAuthor', () => selectAuthor, 'selectAuthor(selection)'],
+    ['setSearchQuery', () => setSearchQuery, 'setSearchQuery(query): replace the search'],
+    ['addRefinement', () => addRefinement, 'addRefinement(key, value): add an exact filter (see REFINEMENT_KEYS)'],
+    ['showCategory', () => showCategory, 'showCategory(id): open a category (stable node id, null = root) in the default view'],
+    ['updateBreadcrumbs', () => updateBreadcrumbs, 'updateBreadcrumbs(path): show the drill-down trail, [{ name, node }] below the root'],
+    ['resetBreadcrumbs', () => resetBreadcrumbs, 'resetBreadcrumbs(): back to the root trail (views without drill-down)'],
+    ['sourceData', () => globalData, 'The unfiltered hierarchy, whose items keep their raw records'],
+    ['versionInfoLoaded', () => versionInfoLoaded, 'False until the archived dataset versions are known (What\'s New)']
+  ];
+  members.forEach(([key, provide, description]) => provideRenderContext(key, provide, description));
+}
+provideAppContext();
+
 // Render visualization based on current selection
 function renderVisualization() {
+  // The "added since" snapshot is fetched on first use; render once it is in
+  if (currentSince && getLoadedSnapshot(currentSince) === undefined) {
+    showLoading(`Loading version ${currentSince}...`);
+    loadSnapshot(currentSince).then(snapshot => {
+      if (!snapshot) console.warn(`Dataset version ${currentSince} could not be loaded from the archive`);
+      setSince(currentSince);
+      renderVisualization();
+    });
+    return;
+  }
+
+  const viz = getActiveVisualization();
+
   // Show loading for visualization switches (brief)
-  const vizNames = {
-    'circle': 'Bubbles',
-    'dendrogram': 'Branches',
-    'treemap': 'Mosaic',
-    'sunburst': 'Sunburst',
-    'table': 'List',
-    'network': 'Force Network'
-  };
-  showLoading(`Rendering ${vizNames[currentViz] || 'visualization'}...`);
-
-  // Use setTimeout to allow loading UI to render before heavy computation
-  setTimeout(() => {
+  showLoading(`Rendering ${viz ? viz.label : 'visualization'}...`);
+
+  // Filtering runs in the search worker; a render superseded by a newer one gets null
+  const diff = getActiveDiff();
+  const addedSinceIds = currentSince && diff && diff.from === currentSince ? diff.addedItemIds : null;
+  filterSearchData({
+    query: searchQuery,
+    type: currentType,
+    tag: currentTag,
+    author: currentAuthor,
+    location: currentLocation,
+    dateFrom: currentDateFrom,
+    dateTo: currentDateTo,
+    addedSinceIds,
+    refinements: currentRefinements
+  }).then(result => {
+    if (!result) return;
+    isRendering = true;
     try {
       // Clean up previous visualization (remove event listeners, stop simulations, cancel timers)
-      ['_circlePackingCleanup', '_sunburstCleanup', '_treemapCleanup', '_dendrogramCleanup', '_forceNetworkCleanup', '_tableViewCleanup'].forEach(key => {
-        if (window[key]) { window[key](); window[key] = null; }
-      });
+      cleanupVisualizations();
       d3.select('#visualization').selectAll('*').remove();
 
-      const filteredData = getFilteredData(globalData, searchQuery, currentType, currentTag, currentAuthor, currentLocation, currentDateFrom, currentDateTo, searchIndex);
+      const filteredData = result.data;
       lastFilteredData = filteredData;
 
+      // Refresh the live counts in the facet dropdowns
+      const facetCounts = result.facetCounts;
+      FACET_KEYS.forEach(key => updateFacetCounts(FACETS[key].dropdownId, facetCounts && facetCounts[key]));
+
       if (!filteredData) {
         hideLoading();
         document.getElementById('visualization').innerHTML = `
@@ -802,36 +1028,18 @@ function renderVisualization() {
         return;
       }
 
-      // Create wrapped tooltip functions with tooltip reference
-      const wrappedShowTooltip = (event, d) => { currentTooltipNode = d; showTooltip(tooltip, event, d); };
-      const wrappedHideTooltip = () => hideTooltip(tooltip);
+      // Taken before the breadcrumbs reset (which clears the focus): initialFocus re-opens
+      // the current drill-down and the renderers rebuild the breadcrumbs
+      const context = createRenderContext();
+      resetBreadcrumbs();
 
       // Clean up any lingering visualization elements before rendering
       d3.selectAll('.dendrogram-home').remove();
       d3.selectAll('.zoom-controls').remove();
       d3.selectAll('.treemap-zoom-controls').remove();
 
-      switch (currentViz) {
-        case 'circle':
-          renderCirclePacking(filteredData, wrappedShowTooltip, wrappedHideTooltip);
-          break;
-        case 'dendrogram':
-          renderDendrogram(filteredData, wrappedShowTooltip, wrappedHideTooltip);
-          break;
-        case 'treemap':
-          renderTreemap(filteredData, wrappedShowTooltip, wrappedHideTooltip);
-          break;
-        case 'sunburst':
-          renderSunburst(filteredData, wrappedShowTooltip, wrappedHideTooltip);
-          break;
-        case 'table':
-          renderTable(filteredData);
-          break;
-        // Force Network temporarily disabled (needs rework)
-        // case 'network':
-        //   renderForceNetwork(filteredData, wrappedShowTooltip, wrappedHideTooltip);
-        //   break;
-      }
+      viz.render(filteredData, context);
+      updateExportButtons(viz);
 
       // DISABLED - Show the home and up buttons after rendering visualization
       // Uncomment to re-enable home and up arrow navigation buttons
@@ -844,18 +1052,118 @@ function renderVisualization() {
       }
       */
 
-      updateSearchInfo(filteredData);
+      updateSearchInfo(filteredData, result.searchError);
 
       // Hide loading after render completes
       hideLoading();
 
+      if (pendingItemFocus) {
+        const itemId = pendingItemFocus;
+        pendingItemFocus = null;
+        focusItem(filteredData, itemId);
+      }
+
       // Update URL with current state after successful render
       updateURL();
     } catch (error) {
       console.error('Error rendering visualization:', error);
       hideLoading();
+    } finally {
+      isRendering = false;
     }
-  }, 50); // Small delay to let loading UI render
+  }).catch(error => {
+    console.error('Error filtering data:', error);
+    hideLoading();
+  });
+}
+
+/**
+ * Focus an item permalink: zoom the visualization to the first category that
+ * holds the item and open the side panel scrolled to it
+ * @param {Object} data - Filtered hierarchy that was just rendered
+ * @param {string} itemId - Stable item id (see getItemId)
+ */
+function focusItem(data, itemId) {
+  const hierarchy = d3.hierarchy(data);
+  const owner = hierarchy.find(node =>
+    node.children && (node.data.urls || []).some(item => getItemId(item) === itemId));
+
+  if (!owner) {
+    console.warn(`Linked item ${itemId} is not in the current view`);
+    return;
+  }
+
+  window.dispatchEvent(new CustomEvent('focusNode', {
+    detail: { id: owner.data.id, itemId }
+  }));
+
+  showSidePanel(sidePanel, owner);
+  const entry = sidePanel.querySelector(`.side-panel-item[data-item-id="${CSS.escape(itemId)}"]`);
+  if (entry) {
+    entry.classList.add('is-permalinked');
+    entry.scrollIntoView({ block: 'center' });
+  }
+}
+
+/**
+ * Mark a registered visualization as current and reflect it in the viz selector
+ * @param {string} vizId - Registered visualization id
+ */
+function setActiveViz(vizId) {
+  const viz = getVisualization(vizId);
+  if (!viz) return;
+  currentViz = vizId;
+
+  document.querySelectorAll('#vizDropdown [data-viz]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.viz === vizId);
+  });
+  const vizValue = document.getElementById('vizValue');
+  if (vizValue) {
+    vizValue.textContent = viz.label;
+  }
+}
+
+/**
+ * Build the viz selector options from the visualization registry
+ */
+function buildVizSelector() {
+  const dropdown = document.getElementById('vizDropdown');
+  if (!dropdown) return;
+
+  dropdown.innerHTML = '';
+  listVisualizations().filter(viz => !viz.hidden).forEach(viz => {
+    const btn = document.createElement('button');
+    btn.className = 'dropdown-option';
+    btn.dataset.viz = viz.id;
+
+    const icon = document.createElement('span');
+    icon.className = 'option-icon';
+    icon.textContent = viz.icon;
+    const label = document.createElement('span');
+    label.textContent = viz.label;
+    btn.append(icon, label);
+
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setActiveViz(viz.id);
+      trackEvent(`viz:${viz.id}`);
+      closeAllDropdowns();
+      renderVisualization();
+    });
+    dropdown.appendChild(btn);
+  });
+
+  setActiveViz(currentViz);
+}
+
+// SVG/PNG export only makes sense for views that declare the capability
+function updateExportButtons(viz) {
+  ['exportSVG', 'exportPNG'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+    btn.disabled = !viz.capabilities.export;
+    btn.title = viz.capabilities.export ? '' : `${viz.label} view can't be exported as an image`;
+  });
 }
 
 // Handle home button click - simply re-render the visualization to reset state
@@ -863,63 +1171,99 @@ window.addEventListener('resetVisualization', () => {
   renderVisualization();
 });
 
-// Type filter selection
-function selectType(type, btn) {
-  currentType = type;
-  document.getElementById('typeValue').textContent = type === 'all' ? 'All' : type;
+// Store a facet selection and reflect it in its dropdown and selector label
+function setFacet(key, selection) {
+  const { dropdownId, valueId, set } = FACETS[key];
+  const facet = normalizeFacet(selection);
+  set(facet);
 
-  // Update active state
-  document.querySelectorAll('#typeDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-  });
-  btn.classList.add('active');
+  syncFacetDropdown(dropdownId, key, facet);
+  const valueEl = document.getElementById(valueId);
+  if (valueEl) valueEl.textContent = formatFacet(facet);
+}
 
-  closeAllDropdowns();
+// Type filter selection ('all', a single type or a { mode, values } facet)
+function selectType(selection) {
+  setFacet('type', selection);
   renderVisualization();
 }
 
 // Tag filter selection
-function selectTag(tag, btn) {
-  currentTag = tag;
-  document.getElementById('tagValue').textContent = tag === 'all' ? 'All' : tag;
+function selectTag(selection) {
+  setFacet('tag', selection);
+  renderVisualization();
+}
 
-  // Update active state
-  document.querySelectorAll('#tagDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-  });
-  btn.classList.add('active');
+// Author filter selection
+function selectAuthor(selection) {
+  setFacet('author', selection);
+  renderVisualization();
+}
 
-  closeAllDropdowns();
+// Location filter selection
+function selectLocation(selection) {
+  setFacet('location', selection);
   renderVisualization();
 }
 
-// Author filter selection
-function selectAuthor(author, btn) {
-  currentAuthor = author;
-  document.getElementById('authorValue').textContent = author === 'all' ? 'All' : author;
+// Set the From/To date filter (YYYY-MM-DD, '' for open-ended) and re-render
+function setDateRange(from, to) {
+  currentDateFrom = from || '';
+  currentDateTo = to || '';
 
-  // Update active state
-  document.querySelectorAll('#authorDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-  });
-  btn.classList.add('active');
+  const dateFromEl = document.getElementById('dateFrom');
+  const dateToEl = document.getElementById('dateTo');
+  if (dateFromEl) dateFromEl.value = currentDateFrom;
+  if (dateToEl) dateToEl.value = currentDateTo;
 
-  closeAllDropdowns();
   renderVisualization();
 }
 
-// Location filter selection
-function selectLocation(location, btn) {
-  currentLocation = location;
-  document.getElementById('locationValue').textContent = location === 'all' ? 'All' : location;
+// Replace the search query (e.g. from a view's chart) and re-render
+function setSearchQuery(query) {
+  const searchInput = document.getElementById('searchInput');
+  if (searchInput) searchInput.value = query;
+  searchQuery = query;
+  renderVisualization();
+}
 
-  // Update active state
-  document.querySelectorAll('#locationDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-  });
-  btn.classList.add('active');
+// Store the refinements and list them in the sidebar, each with a button removing it
+function setRefinements(refinements) {
+  currentRefinements = refinements.map(({ key, value }) => ({ key, value }));
+
+  const list = document.getElementById('refinementList');
+  if (!list) return;
+  list.replaceChildren(...currentRefinements.map((refinement, index) => {
+    // Sectors are stored by id: show the category name
+    const sector = refinement.key === 'sector' && globalData
+      ? (globalData.children || []).find(child => child.id === refinement.value)
+      : null;
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'refinement-chip';
+    chip.title = 'Remove this filter';
+    chip.textContent = `${REFINEMENT_LABELS[refinement.key]}: ${sector ? sector.name : refinement.value} ×`;
+    chip.addEventListener('click', () => {
+      setRefinements(currentRefinements.filter((_, i) => i !== index));
+      renderVisualization();
+    });
+    return chip;
+  }));
+  document.getElementById('refinementsFilter').hidden = currentRefinements.length === 0;
+}
 
-  closeAllDropdowns();
+// Narrow to items whose value for `key` is exactly `value` (see REFINEMENT_KEYS) and re-render
+function addRefinement(key, value) {
+  if (!currentRefinements.some(r => r.key === key && r.value === value)) {
+    setRefinements([...currentRefinements, { key, value }]);
+  }
+  renderVisualization();
+}
+
+// Open a category (stable node id) in the default drill-down view
+function showCategory(id) {
+  setActiveViz(DEFAULT_VIZ);
+  currentFocusId = id;
   renderVisualization();
 }
 
@@ -927,10 +1271,6 @@ function selectLocation(location, btn) {
 function resetAllFilters() {
   // Reset state variables
   searchQuery = '';
-  currentType = 'all';
-  currentTag = 'all';
-  currentAuthor = 'all';
-  currentLocation = 'all';
   currentDateFrom = '';
   currentDateTo = '';
 
@@ -944,33 +1284,14 @@ function resetAllFilters() {
   if (dateFromEl) dateFromEl.value = '';
   if (dateToEl) dateToEl.value = '';
 
-  // Reset filter display values
-  const typeVal = document.getElementById('typeValue');
-  const tagVal = document.getElementById('tagValue');
-  const authorVal = document.getElementById('authorValue');
-  const locationVal = document.getElementById('locationValue');
-  if (typeVal) typeVal.textContent = 'All';
-  if (tagVal) tagVal.textContent = 'All';
-  if (authorVal) authorVal.textContent = 'All';
-  if (locationVal) locationVal.textContent = 'All';
-
-  // Reset active states in dropdowns
-  document.querySelectorAll('#typeDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-    if (opt.dataset.type === 'all') opt.classList.add('active');
-  });
-  document.querySelectorAll('#tagDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-    if (opt.dataset.tag === 'all') opt.classList.add('active');
-  });
-  document.querySelectorAll('#authorDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-    if (opt.dataset.author === 'all') opt.classList.add('active');
-  });
-  document.querySelectorAll('#locationDropdown .dropdown-option').forEach(opt => {
-    opt.classList.remove('active');
-    if (opt.dataset.location === 'all') opt.classList.add('active');
-  });
+  // Reset facet filters and their dropdowns
+  FACET_KEYS.forEach(key => setFacet(key, 'all'));
+
+  // Clear "added since" version
+  setSince('');
+
+  // Clear refinements
+  setRefinements([]);
 
   // Re-render visualization
   renderVisualization();
@@ -985,24 +1306,8 @@ document.addEventListener('DOMContentLoaded', () => {
   setupDropdown('authorSelector', 'authorDropdown');
   setupDropdown('locationSelector', 'locationDropdown');
 
-  // Setup visualization selector
-  document.querySelectorAll('#vizDropdown .dropdown-option').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      currentViz = btn.dataset.viz;
-      trackEvent(`viz:${currentViz}`);
-      document.getElementById('vizValue').textContent = btn.textContent;
-
-      // Update active state
-      document.querySelectorAll('#vizDropdown .dropdown-option').forEach(opt => {
-        opt.classList.remove('active');
-      });
-      btn.classList.add('active');
-
-      closeAllDropdowns();
-      renderVisualization();
-    });
-  });
+  // Setup visualization selector (options come from the visualization registry)
+  buildVizSelector();
 
   // Setup search with suggestions
   const searchInput = document.getElementById('searchInput');
@@ -1013,7 +1318,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Render suggestions immediately (lightweight)
     if (globalData) {
-      currentSuggestions = getSearchSuggestions(searchQuery, globalData);
+      currentSuggestions = getSearchSuggestions(searchQuery, suggestionSource);
       renderSearchSuggestions(currentSuggestions);
     }
 
@@ -1033,7 +1338,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Show recent searches when search input is focused
   searchInput.addEventListener('focus', () => {
     if (globalData && searchInput.value.trim().length === 0) {
-      currentSuggestions = getSearchSuggestions('', globalData);
+      currentSuggestions = getSearchSuggestions('', suggestionSource);
       renderSearchSuggestions(currentSuggestions);
     }
   });
@@ -1089,12 +1394,18 @@ document.addEventListener('DOMContentLoaded', () => {
     renderVisualization();
   });
 
+  // Setup "added since" version filter (options are added once versions are known)
+  document.getElementById('addedSince').addEventListener('change', (e) => {
+    setSince(e.target.value);
+    renderVisualization();
+  });
+
   // Setup reset filters button
   document.getElementById('resetFilters').addEventListener('click', () => {
     resetAllFilters();
   });
 
-  // Setup export buttons - use cached filtered data (avoids re-running getFilteredData which wipes highlights)
+  // Setup export buttons - export the filtered data that is on screen
   const getExportFilters = () => ({
     search: searchQuery,
     type: currentType,
@@ -1102,7 +1413,43 @@ document.addEventListener('DOMContentLoaded', () => {
     author: currentAuthor,
     location: currentLocation,
     dateFrom: currentDateFrom,
-    dateTo: currentDateTo
+    dateTo: currentDateTo,
+    since: currentSince
+  });
+
+  // Dataset preview: file picker, drag-and-drop anywhere, and the way back
+  const datasetFileInput = document.getElementById('datasetFileInput');
+  document.getElementById('loadDatasetBtn').addEventListener('click', () => datasetFileInput.click());
+  datasetFileInput.addEventListener('change', () => {
+    loadLocalDataset(datasetFileInput.files);
+    datasetFileInput.value = ''; // Picking the same files again still fires change
+  });
+  document.getElementById('publishedDatasetBtn').addEventListener('click', () => {
+    replaceDataset(fetchPublishedDataset, DATA_URL);
+  });
+
+  const dropOverlay = document.getElementById('dropOverlay');
+  let dragDepth = 0; // dragenter/dragleave fire for every child element crossed
+  const isFileDrag = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+  document.addEventListener('dragenter', (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth++;
+    dropOverlay.hidden = false;
+  });
+  document.addEventListener('dragleave', (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) dropOverlay.hidden = true;
+  });
+  document.addEventListener('dragover', (e) => {
+    if (isFileDrag(e)) e.preventDefault(); // Allow dropping
+  });
+  document.addEventListener('drop', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    dropOverlay.hidden = true;
+    loadLocalDataset(e.dataTransfer.files);
   });
 
   document.getElementById('exportJSON').addEventListener('click', () => {
@@ -1122,7 +1469,8 @@ document.addEventListener('DOMContentLoaded', () => {
       author: currentAuthor,
       location: currentLocation,
       dateFrom: currentDateFrom,
-      dateTo: currentDateTo
+      dateTo: currentDateTo,
+      since: currentSince
     };
 
     exportVisualizationAsSVG(filters);
@@ -1137,7 +1485,8 @@ document.addEventListener('DOMContentLoaded', () => {
       author: currentAuthor,
       location: currentLocation,
       dateFrom: currentDateFrom,
-      dateTo: currentDateTo
+      dateTo: currentDateTo,
+      since: currentSince
     };
 
     exportVisualizationAsPNG(filters);
@@ -1172,15 +1521,20 @@ document.addEventListener('DOMContentLoaded', () => {
   // Setup browser navigation (back/forward buttons)
   window.addEventListener('popstate', () => {
     log('Popstate event - restoring state from URL');
-    const urlState = parseURL();
-    if (urlState) {
-      applyURLState(urlState);
+    // Back/forward between drill-downs: move the current view instead of re-rendering
+    if (globalData && getVisualization(currentViz)?.capabilities.breadcrumbs && isFocusOnlyChange()) {
+      restoreFocus(parseURL()?.focus || null);
+      return;
     }
+    applyURLState(parseURL());
   });
 
   // Load data
   loadData();
 
+  // Offline support and update prompts
+  registerServiceWorker();
+
   // Apply URL state after data is loaded (if URL has parameters)
   // This will be called after loadData completes
   const initialURLState = parseURL();
@@ -1190,7 +1544,7 @@ document.addEventListener('DOMContentLoaded', () => {
     let pollCount = 0;
     const checkDataLoaded = setInterval(() => {
       pollCount++;
-      if (globalData && searchIndex) {
+      if (globalData) {
         clearInterval(checkDataLoaded);
         applyURLState(initialURLState);
       } else if (pollCount > 300) {
@@ -0,0 +1,187 @@
+/**
+ * normalize.js
+ * Canonical data model: turns the raw solution map into one node and item shape
+ * on load, so no other module has to guess property names or clean values.
+ *
+ * Node: { name, type, tags: [], urls: [Item], children: [Node] }
+ * Item: { title, url, type, author, description, keywords: [], tags: [],
+ *         date, affiliation, location, driftie: boolean }
+ *
+ * `date` is ISO ('YYYY-MM-DD', 'YYYY-MM' or 'YYYY') or '' when missing.
+ * Placeholder values ("N/A", "none", "-", ...) become ''. Values that differ
+ * only by case ("Person" / "person") take the dataset's most common spelling.
+ * The original record stays reachable as the non-enumerable `raw` property.
+ */
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+// Values that mean "no value" in the spreadsheet exports
+const PLACEHOLDERS = new Set(['', 'n/a', 'na', 'none', 'null', 'undefined', 'unknown', '-', '--', '?']);
+
+// Fields whose spelling is unified across the dataset (list fields per entry)
+const CASE_FIELDS = ['type', 'author', 'affiliation', 'location', 'tags', 'keywords'];
+
+// ============================================================================
+// VALUE CLEANERS
+// ============================================================================
+
+// Trimmed, whitespace-collapsed text; placeholders become ''
+function cleanText(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return PLACEHOLDERS.has(text.toLowerCase()) ? '' : text;
+}
+
+// Array or comma-separated string -> cleaned, de-duplicated entries
+function cleanList(value) {
+  if (!value) return [];
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const seen = new Set();
+  return entries.map(cleanText).filter(entry => {
+    const key = entry.toLowerCase();
+    if (!entry || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// "Yes"/"true"/"1" (any case) or a boolean -> boolean
+function cleanFlag(value) {
+  if (typeof value === 'boolean') return value;
+  return /^(yes|y|true|1)$/i.test(cleanText(value));
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// Two-digit years are this century (the dataset starts in the 2010s)
+const fullYear = y => (y.length === 2 ? 2000 + Number(y) : Number(y));
+
+/**
+ * Parse the date forms found in the data to ISO, keeping only the precision given:
+ * M/D/YYYY and M/D/YY -> 'YYYY-MM-DD', M/YYYY and M/YY -> 'YYYY-MM',
+ * ISO dates/timestamps, 'YYYY-MM' and 'YYYY' pass through. Anything else is ''.
+ */
+export function parseItemDate(value) {
+  const text = cleanText(value);
+  let m;
+
+  if ((m = /^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})$/.exec(text))) {
+    const [month, day] = [Number(m[1]), Number(m[2])];
+    if (month < 1 || month > 12 || day < 1 || day > 31) return '';
+    return `${fullYear(m[3])}-${pad(month)}-${pad(day)}`;
+  }
+  if ((m = /^(\d{1,2})\/(\d{4}|\d{2})$/.exec(text))) {
+    const month = Number(m[1]);
+    return month >= 1 && month <= 12 ? `${fullYear(m[2])}-${pad(month)}` : '';
+  }
+  if ((m = /^(\d{4})-(\d{2})(?:-(\d{2}))?(?:[T ].*)?$/.exec(text))) {
+    return m[3] ? `${m[1]}-${m[2]}-${m[3]}` : `${m[1]}-${m[2]}`;
+  }
+  if (/^\d{4}$/.test(text)) return text;
+  return '';
+}
+
+/**
+ * Local Date for a canonical (possibly partial) ISO date; partial dates resolve
+ * to their first day. Returns null for ''.
+ */
+export function itemDateToDate(isoDate) {
+  const m = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(isoDate || '');
+  if (!m) return null;
+  return new Date(Number(m[1]), Number(m[2] || 1) - 1, Number(m[3] || 1));
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+// Canonical item from a raw record (before case unification)
+function normalizeItem(raw) {
+  const item = {
+    title: cleanText(raw.title ?? raw.name),
+    url: cleanText(raw.url ?? raw.link),
+    type: cleanText(raw.type_ ?? raw.type ?? raw.category),
+    author: cleanText(raw.author ?? raw.creator ?? raw.source),
+    description: cleanText(raw.description ?? raw.abstract),
+    keywords: cleanList(raw.keywords),
+    tags: cleanList(raw.tags ?? raw.categories),
+    date: parseItemDate(raw.date ?? raw.published_date ?? raw.publish_date),
+    affiliation: cleanText(raw.affiliation),
+    location: cleanText(raw.location ?? raw.country ?? raw.region),
+    driftie: cleanFlag(raw.driftie)
+  };
+  // Kept for diagnostics and exports; hidden from JSON.stringify and spreads
+  Object.defineProperty(item, 'raw', { value: raw, enumerable: false });
+  return item;
+}
+
+// Canonical node (recursive); items come from whichever array the source used
+function normalizeNode(raw, items) {
+  const rawItems = raw.url_data || raw.urls || raw.content || raw.items || [];
+  const node = {
+    name: cleanText(raw.name ?? raw.entity_name) || 'Unnamed',
+    type: cleanText(raw.type),
+    tags: cleanList(raw.tags),
+    urls: (Array.isArray(rawItems) ? rawItems : [])
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => {
+        const item = normalizeItem(entry);
+        items.push(item);
+        return item;
+      }),
+    children: (Array.isArray(raw.children) ? raw.children : [])
+      .filter(child => child && typeof child === 'object')
+      .map(child => normalizeNode(child, items))
+  };
+  Object.defineProperty(node, 'raw', { value: raw, enumerable: false });
+  return node;
+}
+
+// Most common spelling per lowercased value, ties going to the first seen
+function preferredSpellings(items, field) {
+  const counts = new Map(); // lowercased -> Map(spelling -> count)
+  items.forEach(item => {
+    const values = Array.isArray(item[field]) ? item[field] : [item[field]];
+    values.forEach(value => {
+      if (!value) return;
+      const key = value.toLowerCase();
+      if (!counts.has(key)) counts.set(key, new Map());
+      const spellings = counts.get(key);
+      spellings.set(value, (spellings.get(value) || 0) + 1);
+    });
+  });
+
+  const preferred = new Map();
+  counts.forEach((spellings, key) => {
+    let best = null;
+    spellings.forEach((count, spelling) => {
+      if (!best || count > spellings.get(best)) best = spelling;
+    });
+    preferred.set(key, best);
+  });
+  return preferred;
+}
+
+/**
+ * Normalize the raw solution map into the canonical node/item shape
+ * @param {Object} rawData - Root node as loaded from the JSON file
+ * @returns {Object} Canonical root node
+ */
+export function normalizeDataset(rawData) {
+  const items = [];
+  const root = normalizeNode(rawData || {}, items);
+
+  CASE_FIELDS.forEach(field => {
+    const preferred = preferredSpellings(items, field);
+    items.forEach(item => {
+      item[field] = Array.isArray(item[field])
+        ? item[field].map(value => preferred.get(value.toLowerCase()))
+        : (item[field] && preferred.get(item[field].toLowerCase()));
+    });
+  });
+
+  log(`Normalized ${items.length} items`);
+  return root;
+}
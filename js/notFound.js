@@ -0,0 +1,221 @@
+/**
+ * notFound.js
+ * 404 page: looks the requested path up in the browse page index
+ * (browse/index.json, written by scripts/build-browse.mjs) so mistyped or
+ * guessed links like /browse/energy/ still lead somewhere. A confident match
+ * redirects; otherwise the closest category, tag and author pages are listed,
+ * next to a search of the explorer for the requested words.
+ */
+
+import { slugify } from './utilities.js';
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+const PAGE_INDEX_URL = '/browse/index.json';
+
+// Redirect when the best match scores at least this and leads the runner-up by MIN_LEAD
+const REDIRECT_SCORE = 0.8;
+const MIN_LEAD = 0.1;
+// Candidates listed otherwise
+const MAX_CANDIDATES = 5;
+const MIN_CANDIDATE_SCORE = 0.45;
+// Added for a category under the requested parent path (/browse/power/solr/ → Power › … › Solar)
+const PARENT_BONUS = 0.05;
+// Taken off tag and author pages unless the path asked for them: /browse/<name>/ is a category URL
+const OTHER_KIND_PENALTY = 0.15;
+
+// Path segments that only route to pages: /browse/tags/<slug>/ narrows the lookup to tags
+const KIND_SEGMENTS = { tags: 'tag', authors: 'author' };
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * What the missing URL asked for
+ * @returns {Object|null} { slug (last segment), parents (slugs before it), kind, words },
+ *   or null for the browse root and missing assets (images, scripts…)
+ */
+function parseRequestedPath(pathname) {
+  if (/\.(?!html?$)[a-z0-9]+$/i.test(pathname)) return null;
+
+  let segments = pathname.split('/')
+    .map(segment => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (e) {
+        return segment;
+      }
+    })
+    .map(segment => segment.replace(/\.html?$/i, ''))
+    .filter(segment => segment && segment.toLowerCase() !== 'index');
+
+  if (segments[0] && segments[0].toLowerCase() === 'browse') segments = segments.slice(1);
+  const kind = segments.length > 1 ? KIND_SEGMENTS[segments[0].toLowerCase()] || null : null;
+  if (kind) segments = segments.slice(1);
+  if (segments.length === 0) return null;
+
+  const last = segments[segments.length - 1];
+  return {
+    slug: slugify(last),
+    parents: segments.slice(0, -1).map(slugify),
+    kind,
+    words: last.replace(/[-_+]+/g, ' ').trim()
+  };
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function bigrams(text) {
+  const compact = text.replace(/-/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+}
+
+// Dice coefficient of character pairs: tolerant of reordered or extra words
+function bigramSimilarity(a, b) {
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) return 0;
+  const remaining = [...gramsB];
+  let shared = 0;
+  gramsA.forEach(gram => {
+    const index = remaining.indexOf(gram);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (gramsA.length + gramsB.length);
+}
+
+/**
+ * How well two slugs match, 0–1: the best of edit distance (typos),
+ * character pairs (partial names) and shared words
+ */
+function slugSimilarity(a, b) {
+  if (a === b) return 1;
+  const edit = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  const wordsA = new Set(a.split('-'));
+  const wordsB = new Set(b.split('-'));
+  const sharedWords = [...wordsA].filter(word => wordsB.has(word)).length;
+  const words = sharedWords / new Set([...wordsA, ...wordsB]).size;
+  return Math.max(edit, bigramSimilarity(a, b), words);
+}
+
+/**
+ * Browse pages ranked against the requested path
+ * @param {Object} request - From parseRequestedPath
+ * @param {Array<Object>} pages - browse/index.json entries: { path, name, kind, label, count, explore }
+ * @returns {Array<Object>} [{ page, score }], best first
+ */
+function rankPages(request, pages) {
+  const parentPath = `/browse/${request.parents.join('/')}/`;
+  return pages
+    .filter(page => !request.kind || page.kind === request.kind)
+    .map(page => {
+      const pathSlug = page.path.split('/').filter(Boolean).pop();
+      let score = Math.max(slugSimilarity(request.slug, pathSlug), slugSimilarity(request.slug, slugify(page.name)));
+      if (request.parents.length > 0 && page.kind === 'category' && page.path.startsWith(parentPath)) {
+        score = Math.min(1, score + PARENT_BONUS);
+      }
+      if (!request.kind && page.kind !== 'category') score -= OTHER_KIND_PENALTY;
+      return { page, score };
+    })
+    .sort((a, b) => b.score - a.score || b.page.count - a.page.count);
+}
+
+/**
+ * The page to redirect to, if one match clearly wins
+ * @param {Array<Object>} ranked - From rankPages
+ * @returns {Object|null} Page index entry
+ */
+function findConfidentMatch(ranked) {
+  const [best, runnerUp] = ranked;
+  if (!best || best.score < REDIRECT_SCORE) return null;
+  if (runnerUp && best.score - runnerUp.score < MIN_LEAD) return null;
+  return best.page;
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+function renderCandidates(ranked) {
+  const list = document.getElementById('candidateList');
+  ranked.forEach(({ page }) => {
+    const li = document.createElement('li');
+
+    const link = document.createElement('a');
+    link.href = page.path;
+    link.textContent = page.kind === 'category' ? page.label : page.name;
+    li.appendChild(link);
+
+    const meta = document.createElement('span');
+    meta.className = 'candidate-meta';
+    meta.textContent = `${page.kind === 'category' ? 'Category' : page.label} · ${page.count} unique resource${page.count !== 1 ? 's' : ''} · `;
+    const explore = document.createElement('a');
+    explore.href = `/#${page.explore}`;
+    explore.textContent = 'open in explorer';
+    meta.appendChild(explore);
+    li.appendChild(meta);
+
+    list.appendChild(li);
+  });
+  document.getElementById('candidates').hidden = false;
+}
+
+function showSearchLink(words) {
+  const link = document.getElementById('searchLink');
+  if (!link || !words) return;
+  link.href = `/#${new URLSearchParams([['search', words]])}`;
+  link.textContent = `Search the explorer for “${words}”`;
+  link.hidden = false;
+}
+
+async function resolveMissingPage() {
+  const request = parseRequestedPath(window.location.pathname);
+  if (!request) return;
+  showSearchLink(request.words);
+
+  let pages;
+  try {
+    const response = await fetch(PAGE_INDEX_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    pages = await response.json();
+  } catch (error) {
+    log('Browse page index unavailable:', error);
+    return;
+  }
+
+  const ranked = rankPages(request, pages);
+  log('Best matches for', request, ranked.slice(0, MAX_CANDIDATES));
+  const match = findConfidentMatch(ranked);
+  if (match && match.path !== window.location.pathname) {
+    document.getElementById('notFoundMessage').textContent = `Redirecting to ${match.kind === 'category' ? match.label : match.name}…`;
+    window.location.replace(match.path + window.location.search + window.location.hash);
+    return;
+  }
+
+  const candidates = ranked.filter(({ score }) => score >= MIN_CANDIDATE_SCORE).slice(0, MAX_CANDIDATES);
+  if (candidates.length > 0) renderCandidates(candidates);
+}
+
+resolveMissingPage();
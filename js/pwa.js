@@ -0,0 +1,90 @@
+/**
+ * pwa.js
+ * Registers the service worker (sw.js) that keeps the explorer usable offline,
+ * and shows the "update available" prompt: for a new app version waiting to
+ * take over, or for newer data the worker has cached in the background.
+ */
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+const SW_URL = 'sw.js';
+
+// What the prompt's Reload button does for the update it currently shows
+let reloadAction = null;
+// Set once the user accepts an app update, so only that controller change reloads
+let updateAccepted = false;
+
+function showUpdatePrompt(message, action) {
+  const prompt = document.getElementById('updatePrompt');
+  if (!prompt) return;
+  document.getElementById('updatePromptText').textContent = message;
+  reloadAction = action;
+  prompt.hidden = false;
+}
+
+function hideUpdatePrompt() {
+  const prompt = document.getElementById('updatePrompt');
+  if (prompt) prompt.hidden = true;
+}
+
+// A new worker is installed and waiting: activate it on request, then reload
+function promptAppUpdate(worker) {
+  showUpdatePrompt('A new version of the explorer is available.', () => {
+    updateAccepted = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+}
+
+/**
+ * Register the service worker once the page has loaded (so its precaching
+ * does not compete with the first data download)
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) window.location.reload();
+  });
+
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'DATA_UPDATED') {
+      log('Newer dataset cached:', e.data.version);
+      showUpdatePrompt(`New data (version ${e.data.version}) is available.`, () => window.location.reload());
+    }
+  });
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SW_URL).then(registration => {
+      // The first install has nothing to replace: prompt only when a worker already controls the page
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        promptAppUpdate(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            promptAppUpdate(worker);
+          }
+        });
+      });
+    }).catch(error => {
+      console.warn('Service worker registration failed (no offline support):', error);
+    });
+  });
+}
+
+// Prompt buttons
+const updateReloadBtn = document.getElementById('updateReloadBtn');
+if (updateReloadBtn) {
+  updateReloadBtn.addEventListener('click', () => {
+    hideUpdatePrompt();
+    if (reloadAction) reloadAction();
+  });
+}
+
+const updateDismissBtn = document.getElementById('updateDismissBtn');
+if (updateDismissBtn) {
+  updateDismissBtn.addEventListener('click', hideUpdatePrompt);
+}
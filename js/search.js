@@ -1,163 +1,251 @@
 /**
  * search.js
- * Search indexing and filtering functionality
+ * Search engine: query parser, index builder and tree filters.
+ *
+ * DOM-free and without module state, so the same engine runs in the page, the
+ * search worker and Node scripts: dependencies (MiniSearch) are passed in and
+ * everything returns plain data. The search box UI lives in searchUI.js.
  */
 
-import { countNodes } from './utilities.js';
+import { FACET_KEYS, getItemFacetValues, getItemId, isFacetActive, itemMatchesFacet, normalizeFacet } from './utilities.js';
+import { itemDateToDate } from './normalize.js';
 
 // Debug mode flag - set to false for production
 const DEBUG = false;
 const log = DEBUG ? console.log.bind(console) : () => {};
 
-let searchIndex = null;
-let nodeByDocId = new Map(); // Lookup: doc id → raw data node
+// Filter results kept per tree (oldest dropped first)
+const MAX_CACHED_FILTERS = 20;
 
-// Initialize search index with MiniSearch
-export function initializeSearch(data) {
-  nodeByDocId = new Map();
+/**
+ * Build the search indexes for a dataset.
+ * Two indexes are built: one document per taxonomy node (matched by name/path)
+ * and one document per content item (title, description, author, tags, ...),
+ * so a query can resolve to the specific article, podcast or person.
+ * @param {Object} data - Canonical tree from normalizeDataset (normalize.js)
+ * @param {Object} deps
+ * @param {Function} deps.MiniSearch - The MiniSearch class (UMD global, ES module or npm package)
+ * @returns {Object} Search index for getFilteredData: { nodes, items } with each
+ *   { miniSearch, docItems: Map(doc id → content items the doc covers) }
+ */
+export function createSearchIndex(data, { MiniSearch }) {
   const documents = [];
+  const itemDocuments = [];
+  const nodeDocItems = new Map();
+  const itemDocItems = new Map();
 
   function extractDocs(node, path = []) {
-    const nodeName = node.name || node.entity_name || '';
+    const nodeName = node.name;
     const currentPath = [...path, nodeName];
+    const pathStr = currentPath.join(' > ');
 
-    // Collect ALL text content from this node and its content items
-    const items = node.url_data || node.urls || node.content || node.items || [];
-    const allContentText = [];
-
-    // Add node info
-    if (nodeName) allContentText.push(nodeName);
-    if (node.description) allContentText.push(node.description);
-    if (node.tags) allContentText.push(Array.isArray(node.tags) ? node.tags.join(' ') : node.tags);
-
-    // Add ALL content item text
-    if (Array.isArray(items)) {
-      items.forEach(item => {
-        if (item && typeof item === 'object') {
-          if (item.title || item.name) allContentText.push(item.title || item.name);
-          if (item.description || item.abstract) allContentText.push(item.description || item.abstract);
-          if (item.author || item.creator) allContentText.push(item.author || item.creator);
-          if (item.type_ || item.type) allContentText.push(item.type_ || item.type);
-          if (item.tags) allContentText.push(Array.isArray(item.tags) ? item.tags.join(' ') : item.tags);
-        }
-      });
-    }
-
-    // Add path for context
-    allContentText.push(currentPath.join(' '));
-
-    // Create ONE document per node with ALL its content
+    // One document per taxonomy node: its own name and position in the tree
     if (nodeName) {
-      const contentTextStr = allContentText.filter(t => t && String(t).trim()).join(' ');
-
       const docId = documents.length;
-      nodeByDocId.set(docId, node);
+      nodeDocItems.set(docId, []); // Node docs cover no items: field operators resolve per item
       documents.push({
         id: docId,
         name: nodeName,
-        description: contentTextStr,
-        content_text: contentTextStr,  // CRITICAL: All searchable content
-        type: node.type || '',
-        tags: node.tags ? (Array.isArray(node.tags) ? node.tags.join(' ') : node.tags) : '',
-        path: currentPath.join(' > ')
+        type: node.type,
+        tags: node.tags.join(' '),
+        path: pathStr
       });
     }
 
+    // One document per content item, carrying the path of the node it is filed under
+    node.urls.forEach(item => {
+      const docId = itemDocuments.length;
+      itemDocItems.set(docId, [item]);
+      itemDocuments.push({
+        id: docId,
+        title: item.title,
+        description: item.description,
+        keywords: item.keywords.join(' '),
+        author: item.author,
+        type: item.type,
+        tags: item.tags.join(' '),
+        affiliation: item.affiliation,
+        location: item.location,
+        driftie: item.driftie ? 'yes' : '',
+        path: pathStr
+      });
+    });
+
     // Recurse to children
-    if (node.children) {
-      node.children.forEach(child => extractDocs(child, currentPath));
-    }
+    node.children.forEach(child => extractDocs(child, currentPath));
   }
 
   extractDocs(data);
 
-  searchIndex = new MiniSearch({
-    fields: ['name', 'description', 'content_text', 'type', 'tags', 'path'],
+  const nodeSearch = new MiniSearch({
+    fields: ['name', 'type', 'tags', 'path'],
     storeFields: ['name', 'type', 'path'],
     searchOptions: {
-      boost: { name: 3, type: 2, path: 1.8, content_text: 1.5, description: 1.2, tags: 1.2 },
+      boost: { name: 3, type: 2, path: 1.8, tags: 1.2 },
       fuzzy: 0.2,
       combineWith: 'AND'  // CRITICAL: All search terms must match
     }
   });
+  nodeSearch.addAll(documents);
 
-  searchIndex.addAll(documents);
-  log(`Search index built with ${documents.length} items`);
-
-  return searchIndex;
-}
+  const itemSearch = new MiniSearch({
+    fields: ['title', 'description', 'keywords', 'author', 'type', 'tags', 'affiliation', 'location', 'driftie', 'path'],
+    storeFields: ['title', 'path'],
+    searchOptions: {
+      // driftie is only reachable through the driftie: operator
+      fields: ['title', 'description', 'keywords', 'author', 'type', 'tags', 'affiliation', 'location', 'path'],
+      boost: { title: 3, type: 2, author: 2, path: 1.5, tags: 1.2, keywords: 1.2, description: 1 },
+      fuzzy: 0.2,
+      combineWith: 'AND'  // CRITICAL: All search terms must match
+    }
+  });
+  itemSearch.addAll(itemDocuments);
 
-// Update search result count display
-export function updateSearchInfo(filteredData) {
-  const count = countNodes(filteredData);
-  document.getElementById('searchInfo').textContent = `${count.toLocaleString()} result${count !== 1 ? 's' : ''}`;
-}
+  log(`Search indexes built with ${documents.length} nodes and ${itemDocuments.length} items`);
 
-// Get filtered data based on search query, type, tag, author, location, and date range
-// Clear stale highlight markers from all nodes before re-marking
-function clearHighlightMarkers(node) {
-  if (!node) return;
-  delete node.isSearchMatch;
-  delete node.isTypeMatch;
-  delete node.isTagMatch;
-  delete node.isAuthorMatch;
-  delete node.isLocationMatch;
-  delete node.isDateMatch;
-  delete node.hasMatchingDescendant;
-  if (node.children) node.children.forEach(clearHighlightMarkers);
-  if (node.urls) node.urls.forEach(u => { delete u.isSearchMatch; });
-  if (node.content) node.content.forEach(u => { delete u.isSearchMatch; });
-  if (node.items) node.items.forEach(u => { delete u.isSearchMatch; });
+  return {
+    nodes: { miniSearch: nodeSearch, docItems: nodeDocItems },
+    items: { miniSearch: itemSearch, docItems: itemDocItems },
+    filterCache: new WeakMap() // tree → Map(filter state key → result), see getFilteredData
+  };
 }
 
-export function getFilteredData(globalData, searchQuery, currentType, currentTag, currentAuthor, currentLocation, dateFrom, dateTo, searchIndexInstance) {
-  clearHighlightMarkers(globalData);
-  let data = globalData;
-  let matchedNames = null;
+/**
+ * Each field operator's distinct values in a dataset (for autocomplete)
+ * @param {Object} data - Canonical tree from normalizeDataset
+ * @returns {Map<string, Set<string>>} field operator → values
+ */
+export function collectFieldValues(data) {
+  const fieldValues = new Map(['author', 'type', 'tag', 'keyword', 'affiliation', 'location']
+    .map(field => [field, new Set()]));
 
-  // Apply search
-  if (searchQuery) {
-    // Parse advanced search operators
-    const parsedQuery = parseAdvancedSearchQuery(searchQuery);
-    log('Parsed query:', parsedQuery);
+  // Remember a field's value (placeholders are already '')
+  const addFieldValue = (field, value) => {
+    if (value) fieldValues.get(field).add(value);
+  };
 
-    let results;
+  (function walk(node) {
+    node.urls.forEach(item => {
+      addFieldValue('author', item.author);
+      addFieldValue('type', item.type);
+      item.tags.forEach(tag => addFieldValue('tag', tag));
+      item.keywords.forEach(keyword => addFieldValue('keyword', keyword));
+      addFieldValue('affiliation', item.affiliation);
+      addFieldValue('location', item.location);
+    });
+    node.children.forEach(walk);
+  })(data);
+
+  return fieldValues;
+}
+
+// Item records under the item leaves of a (filtered) tree: one per category an item is filed in
+function collectLeafItems(node, items = new Set()) {
+  if (!node) return items;
+  if (isItemLeaf(node)) items.add(node.urls[0]);
+  (node.children || []).forEach(child => collectLeafItems(child, items));
+  return items;
+}
+
+// Count each facet's values over the items passing every other active facet.
+// An item filed in several categories has a leaf (and a record) in each: it counts once.
+function countFacetValues(items, activeFacets) {
+  const counts = {};
+  FACET_KEYS.forEach(key => {
+    const otherFacets = activeFacets.filter(([otherKey]) => otherKey !== key);
+    const valueItems = new Map(); // value -> Set of item ids
+    items.forEach(item => {
+      if (!otherFacets.every(([otherKey, facet]) => itemMatchesFacet(item, otherKey, facet))) return;
+      const id = getItemId(item);
+      getItemFacetValues(item, key).forEach(value => {
+        if (!valueItems.has(value)) valueItems.set(value, new Set());
+        valueItems.get(value).add(id);
+      });
+    });
+    counts[key] = new Map(Array.from(valueItems, ([value, ids]) => [value, ids.size]));
+  });
+  return counts;
+}
 
-    // Check if query contains boolean operators or advanced syntax
-    if (parsedQuery.hasAdvancedSyntax || containsBooleanOperators(searchQuery)) {
-      results = executeAdvancedSearch(parsedQuery, searchIndexInstance, globalData);
-    } else {
-      // Use searchSingleTerm for consistent behavior with combineWith: 'AND'
-      results = searchSingleTerm(searchQuery, searchIndexInstance);
-    }
+// Parse the query for getFilteredData: { ast, error } with any SearchSyntaxError.
+// An invalid query leaves the data unfiltered by search rather than returning nothing.
+function parseQueryForFilter(searchQuery) {
+  if (!searchQuery) return { ast: null, error: null };
 
-    // Extract matched names instead of node references (since preprocessing creates new nodes)
-    // Filter out empty names
-    matchedNames = new Set(results.map(r => r.name).filter(name => name && name.trim()));
-    log('Search results:', results.length, 'unique names:', matchedNames.size);
-    log('First 5 matched names:', Array.from(matchedNames).slice(0, 5));
-    log('Sample result:', results[0]);
-    data = filterBySearchNames(data, matchedNames);
+  try {
+    return { ast: parseSearchQuery(searchQuery), error: null };
+  } catch (error) {
+    if (!(error instanceof SearchSyntaxError)) throw error;
+    log('Search syntax error:', error.message, 'at', error.position);
+    return { ast: null, error };
   }
+}
 
-  // Apply type filter
-  if (currentType !== 'all') {
-    data = filterByType(data, currentType);
+/**
+ * Cache key for a filter state: equal keys give equal results for the same tree
+ * @param {Object} state - See getFilteredData
+ * @returns {string}
+ */
+export function getFilterStateKey(state) {
+  return JSON.stringify([
+    (state.query || '').trim(),
+    FACET_KEYS.map(key => normalizeFacet(state[key])),
+    state.dateFrom || '',
+    state.dateTo || '',
+    state.addedSinceIds ? [...state.addedSinceIds].sort() : null,
+    (state.refinements || []).map(({ key, value }) => [key, value])
+  ]);
+}
+
+/**
+ * Filter a preprocessed tree (see preprocessDataForD3).
+ * The tree is never modified: filters return new trees and the result is a new
+ * tree annotated for highlighting. Results are memoized per tree and filter state,
+ * so treat them as read-only.
+ * @param {Object} tree - Preprocessed hierarchy
+ * @param {Object} state - { query, type, tag, author, location, dateFrom, dateTo, addedSinceIds,
+ *   refinements }; facets accept 'all', a single value or a { mode: 'include' | 'exclude', values }
+ *   selection, addedSinceIds (optional Set of item ids) keeps only items added since an archived
+ *   version, refinements (optional [{ key, value }], see REFINEMENT_KEYS) are exact filters ANDed
+ *   with everything else
+ * @param {Object} searchIndex - From createSearchIndex for this tree's data (results are cached on it)
+ * @returns {Object} { data, facetCounts, searchError }: the annotated hierarchy (null when
+ *   nothing matches), facet value counts { type: Map(value → item count), tag, author, location }
+ *   and the query's SearchSyntaxError or null
+ */
+export function getFilteredData(tree, state, searchIndex) {
+  let cache = searchIndex.filterCache.get(tree);
+  if (!cache) {
+    cache = new Map();
+    searchIndex.filterCache.set(tree, cache);
   }
 
-  // Apply tag filter
-  if (currentTag !== 'all') {
-    data = filterByTag(data, currentTag);
+  const key = getFilterStateKey(state);
+  if (cache.has(key)) {
+    log('Filter cache hit:', key);
+    return cache.get(key);
   }
 
-  // Apply author filter
-  if (currentAuthor !== 'all') {
-    data = filterByAuthor(data, currentAuthor);
+  const result = runFilterPipeline(tree, state, searchIndex);
+  cache.set(key, result);
+  if (cache.size > MAX_CACHED_FILTERS) {
+    cache.delete(cache.keys().next().value);
   }
+  return result;
+}
+
+// Search, date range, "added since" and facets in turn, then highlight annotations
+function runFilterPipeline(tree, state, searchIndex) {
+  const { dateFrom, dateTo, addedSinceIds } = state;
+  let data = tree;
+  let searchMatches = null;
 
-  // Apply location filter
-  if (currentLocation !== 'all') {
-    data = filterByLocation(data, currentLocation);
+  // Apply search
+  const { ast, error: searchError } = parseQueryForFilter(state.query);
+  if (ast) {
+    log('Parsed query:', ast);
+    searchMatches = findSearchMatches(ast, searchIndex);
+    data = filterBySearchResults(data, searchMatches.names, searchMatches.items);
   }
 
   // Apply date range filter
@@ -165,262 +253,385 @@ export function getFilteredData(globalData, searchQuery, currentType, currentTag
     data = filterByDateRange(data, dateFrom, dateTo);
   }
 
-  // Mark nodes for highlighting if search was performed
-  if (matchedNames) {
-    markSearchHighlightsByName(data, matchedNames);
+  // Apply "added since version" filter
+  if (addedSinceIds) {
+    data = filterByItemIds(data, addedSinceIds);
   }
 
-  // Mark nodes for filter highlighting
-  if (currentType !== 'all') {
-    markTypeMatches(data, currentType);
-  }
-  if (currentTag !== 'all') {
-    markTagMatches(data, currentTag);
-  }
-  if (currentAuthor !== 'all') {
-    markAuthorMatches(data, currentAuthor);
-  }
-  if (currentLocation !== 'all') {
-    markLocationMatches(data, currentLocation);
+  // Apply refinements (exact filters added from the Stats charts)
+  (state.refinements || []).forEach(refinement => {
+    data = filterByRefinement(data, refinement);
+  });
+
+  // Count facet values over what search and dates left, before facets narrow it further
+  const activeFacets = FACET_KEYS
+    .map(key => [key, normalizeFacet(state[key])])
+    .filter(([, facet]) => isFacetActive(facet));
+  const facetCounts = countFacetValues(collectLeafItems(data), activeFacets);
+
+  // Apply facet filters: values OR within a facet, facets AND with each other
+  activeFacets.forEach(([key, facet]) => {
+    data = filterByFacet(data, key, facet);
+  });
+
+  // Highlight what matched the search and the filters (exclude mode has no positive matches to show)
+  const matchers = [];
+  if (searchMatches) {
+    matchers.push(searchMatcher(searchMatches.names, searchMatches.items));
   }
+  activeFacets
+    .filter(([, facet]) => facet.mode === 'include')
+    .forEach(([key, facet]) => matchers.push(facetMatcher(key, facet)));
   if (dateFrom || dateTo) {
-    markDateMatches(data, dateFrom, dateTo);
+    matchers.push(dateMatcher(dateFrom, dateTo));
   }
 
-  return data;
+  return { data: annotateTree(data, matchers), facetCounts, searchError };
 }
 
-// ============================================================================
-// ADVANCED SEARCH OPERATORS
-// ============================================================================
+// Run a query against the node index and the item index:
+// { names: matched category names, items: matched content items }
+function findSearchMatches(ast, searchIndex) {
+  const results = executeQuery(ast, searchIndex.nodes);
+  const itemResults = executeQuery(ast, searchIndex.items);
 
-/**
- * Parse advanced search query
- * Supports:
- * - Quotes for exact match: "solar power"
- * - Wildcard: solar* (not implemented in MiniSearch, but we can prefix search)
- * - Exclude with minus: -wind
- * - Field-specific: author:ClimateDrift, type:article, tag:renewable, date:2023
- */
-function parseAdvancedSearchQuery(query) {
-  const parsed = {
-    terms: [],          // Regular search terms
-    exactPhrases: [],   // "quoted phrases"
-    excludeTerms: [],   // -excluded
-    fieldSearches: {},  // field:value pairs
-    hasAdvancedSyntax: false,
-    originalQuery: query
-  };
+  // Extract matched names instead of node references (since preprocessing creates new nodes)
+  // Filter out empty names
+  const names = new Set(results
+    .map(r => searchIndex.nodes.miniSearch.getStoredFields(r.id)?.name)
+    .filter(name => name && name.trim()));
 
-  if (!query) return parsed;
+  // Items keep their identity through preprocessing, so match them by reference
+  const items = new Set(itemResults.flatMap(r => searchIndex.items.docItems.get(r.id) || []));
 
-  // Extract field-specific searches (author:, type:, tag:, date:)
-  const fieldPattern = /(author|type|tag|date):([^\s]+)/gi;
-  let remainingQuery = query;
+  log('Search results:', results.length, 'unique names:', names.size, 'items:', items.size);
+  log('First 5 matched names:', Array.from(names).slice(0, 5));
+  return { names, items };
+}
 
-  const fieldMatches = Array.from(query.matchAll(fieldPattern));
-  for (const match of fieldMatches) {
-    const field = match[1].toLowerCase();
-    const value = match[2];
+// ============================================================================
+// QUERY PARSER
+// ============================================================================
 
-    if (!parsed.fieldSearches[field]) {
-      parsed.fieldSearches[field] = [];
-    }
-    parsed.fieldSearches[field].push(value);
-    parsed.hasAdvancedSyntax = true;
-  }
-  // Remove all field operators from remaining query in one pass
-  remainingQuery = remainingQuery.replace(fieldPattern, '');
-
-  // Extract exact phrases (quoted text)
-  const phrasePattern = /"([^"]+)"/g;
-  let match;
-  while ((match = phrasePattern.exec(remainingQuery)) !== null) {
-    parsed.exactPhrases.push(match[1]);
-    parsed.hasAdvancedSyntax = true;
-    // Remove from remaining query
-    remainingQuery = remainingQuery.replace(match[0], '');
-  }
+// Field operators understood by the parser (field:value)
+export const SEARCH_FIELDS = ['author', 'type', 'tag', 'keyword', 'affiliation', 'location', 'driftie', 'date'];
 
-  // Extract exclude terms (words starting with -)
-  const excludePattern = /\s-(\w+)/g;
-  while ((match = excludePattern.exec(remainingQuery)) !== null) {
-    parsed.excludeTerms.push(match[1]);
-    parsed.hasAdvancedSyntax = true;
-    // Remove from remaining query
-    remainingQuery = remainingQuery.replace(match[0], '');
+/**
+ * Syntax error in a search query.
+ * `position` is the character offset in the query where it was detected.
+ */
+export class SearchSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchSyntaxError';
+    this.position = position;
   }
+}
 
-  // Handle exclude at start of query
-  if (remainingQuery.trim().startsWith('-')) {
-    const excludeMatch = remainingQuery.match(/^-(\w+)/);
-    if (excludeMatch) {
-      parsed.excludeTerms.push(excludeMatch[1]);
-      parsed.hasAdvancedSyntax = true;
-      remainingQuery = remainingQuery.replace(excludeMatch[0], '');
+/**
+ * Split a query into tokens:
+ * ( ) AND OR NOT, "-" (negation), "quoted phrase", field:value, field:"phrase", term
+ * Operators are case-insensitive; "-" negates when it starts a token.
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  // Read a quoted phrase starting at the opening quote
+  const readPhrase = start => {
+    const end = query.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new SearchSyntaxError('Missing closing quote', start);
     }
-  }
-
-  // Remaining terms are regular search terms
-  const terms = remainingQuery
-    .trim()
-    .split(/\s+/)
-    .filter(t => t && t.length > 0 && !t.match(/^(AND|OR|NOT)$/i));
+    const value = query.slice(start + 1, end).trim();
+    if (!value) {
+      throw new SearchSyntaxError('Empty quoted phrase', start);
+    }
+    i = end + 1;
+    return value;
+  };
 
-  if (terms.length > 0) {
-    parsed.terms = terms;
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'LPAREN' : 'RPAREN', text: ch, pos: i });
+      i++;
+    } else if (ch === '"') {
+      const pos = i;
+      tokens.push({ type: 'PHRASE', value: readPhrase(i), pos });
+    } else if (ch === '-') {
+      tokens.push({ type: 'NOT', text: '-', pos: i });
+      i++;
+    } else {
+      // A word runs until whitespace, a parenthesis or a quote
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+      const word = query.slice(start, i);
+
+      const fieldMatch = /^([a-z]+):(.*)$/i.exec(word);
+      if (fieldMatch && SEARCH_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+        const field = fieldMatch[1].toLowerCase();
+        let value = fieldMatch[2];
+        if (!value && query[i] === '"') {
+          value = readPhrase(i);
+        }
+        if (!value) {
+          throw new SearchSyntaxError(`Missing value after "${field}:"`, start);
+        }
+        if (field === 'driftie' && !/^(yes|no)$/i.test(value)) {
+          throw new SearchSyntaxError('"driftie:" expects yes or no', start);
+        }
+        tokens.push({ type: 'FIELD', field, value, pos: start });
+      } else if (/^(AND|OR|NOT)$/i.test(word)) {
+        tokens.push({ type: word.toUpperCase(), text: word, pos: start });
+      } else {
+        tokens.push({ type: 'TERM', value: word, pos: start });
+      }
+    }
   }
 
-  return parsed;
+  return tokens;
 }
 
 /**
- * Execute advanced search with parsed query
+ * Parse a search query into an AST.
+ *
+ * Grammar (lowest to highest precedence):
+ *   or      := and ( OR and )*
+ *   and     := unary ( [AND] unary )*      adjacent terms are ANDed
+ *   unary   := ( NOT | - ) unary | primary
+ *   primary := ( or ) | term | "phrase" | field:value
+ *
+ * Nodes: { type: 'or'|'and', children }, { type: 'not', child },
+ * { type: 'term'|'phrase', value }, { type: 'field', field, value }.
+ * Returns null for an empty query; throws SearchSyntaxError on invalid input.
  */
-function executeAdvancedSearch(parsedQuery, searchIndexInstance, globalData) {
-  let results = [];
-
-  // Start with field-specific searches
-  if (Object.keys(parsedQuery.fieldSearches).length > 0) {
-    results = executeFieldSearch(parsedQuery.fieldSearches, searchIndexInstance, globalData);
+export function parseSearchQuery(query) {
+  const text = query || '';
+  const tokens = tokenizeQuery(text);
+  if (tokens.length === 0) return null;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
   }
 
-  // Add results from regular terms
-  if (parsedQuery.terms.length > 0) {
-    const termQuery = parsedQuery.terms.join(' ');
-    let termResults;
-
-    if (containsBooleanOperators(termQuery)) {
-      termResults = executeBooleanSearch(termQuery, searchIndexInstance);
-    } else {
-      termResults = searchSingleTerm(termQuery, searchIndexInstance);
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== 'RPAREN') {
+      if (peek().type === 'AND') pos++;
+      children.push(parseUnary());
     }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
 
-    if (results.length === 0) {
-      results = termResults;
-    } else {
-      // Intersect with existing results
-      const resultIds = new Set(results.map(r => r.id));
-      termResults = termResults.filter(r => resultIds.has(r.id));
-      results = termResults;
+  function parseUnary() {
+    if (peek() && peek().type === 'NOT') {
+      pos++;
+      return { type: 'not', child: parseUnary() };
     }
+    return parsePrimary();
   }
 
-  // Add results from exact phrases
-  if (parsedQuery.exactPhrases.length > 0) {
-    parsedQuery.exactPhrases.forEach(phrase => {
-      const phraseResults = searchIndexInstance.search(phrase, {
-        prefix: false,
-        fuzzy: 0.1,
-        combineWith: 'AND'
-      });
+  function parsePrimary() {
+    const token = tokens[pos];
+    const previous = tokens[pos - 1];
 
-      if (results.length === 0) {
-        results = phraseResults;
-      } else {
-        // Intersect with existing results
-        const phraseIds = new Set(phraseResults.map(pr => pr.id));
-        results = results.filter(r => phraseIds.has(r.id));
+    if (!token) {
+      const after = previous.text || previous.value || previous.type;
+      throw new SearchSyntaxError(`Expected a search term after "${after}"`, text.length);
+    }
+    pos++;
+
+    switch (token.type) {
+      case 'TERM':
+        return { type: 'term', value: token.value };
+      case 'PHRASE':
+        return { type: 'phrase', value: token.value };
+      case 'FIELD':
+        return { type: 'field', field: token.field, value: token.value };
+      case 'LPAREN': {
+        if (peek() && peek().type === 'RPAREN') {
+          throw new SearchSyntaxError('Empty parentheses', token.pos);
+        }
+        const inner = parseOr();
+        if (!peek() || peek().type !== 'RPAREN') {
+          throw new SearchSyntaxError('Missing closing parenthesis', token.pos);
+        }
+        pos++;
+        return inner;
       }
-    });
+      case 'RPAREN':
+        throw new SearchSyntaxError('Unexpected ")"', token.pos);
+      default:
+        // AND / OR where a term was expected
+        throw new SearchSyntaxError(`Expected a search term before "${token.text}"`, token.pos);
+    }
   }
 
-  // If no positive terms, start with all results
-  if (results.length === 0 && parsedQuery.excludeTerms.length > 0) {
-    results = Array.from(nodeByDocId.keys()).map(id => ({ id, name: '' }));
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    // Only an unmatched ")" can stop the top-level parse early
+    throw new SearchSyntaxError('Unexpected ")"', tokens[pos].pos);
   }
+  return ast;
+}
 
-  // Apply exclusions
-  if (parsedQuery.excludeTerms.length > 0) {
-    parsedQuery.excludeTerms.forEach(term => {
-      const excludeResults = searchSingleTerm(term, searchIndexInstance);
-      const excludeIds = new Set(excludeResults.map(r => r.id));
-      results = results.filter(r => !excludeIds.has(r.id));
-    });
-  }
+// ============================================================================
+// QUERY EVALUATION
+// ============================================================================
 
-  log(`Advanced search returned ${results.length} results`);
-  return results;
+// Convert MiniSearch results to a Map of doc id → score
+function toScoreMap(results) {
+  const scores = new Map();
+  results.forEach(r => scores.set(r.id, r.score || 0));
+  return scores;
 }
 
 /**
- * Execute field-specific searches
+ * Evaluate a query AST against one index ({ miniSearch, docItems } from createSearchIndex).
+ * AND intersects (scores add up), OR unions (best score wins) and
+ * NOT complements against every document in the index.
+ * Returns results as [{ id, score }] sorted by score.
  */
-function executeFieldSearch(fieldSearches, searchIndexInstance, globalData) {
-  let results = [];
-
-  // Handle each field type
-  Object.keys(fieldSearches).forEach((field, index) => {
-    const values = fieldSearches[field];
-    let fieldResults = [];
-
-    values.forEach(value => {
-      let partialResults = [];
-
-      switch (field) {
-        case 'author':
-          // Post-filter on actual author data (not full-text search)
-          partialResults = Array.from(nodeByDocId.entries())
-            .filter(([id, node]) => {
-              const items = node.url_data || node.urls || node.content || node.items || [];
-              return Array.isArray(items) && items.some(item => {
-                const auth = (item.author || item.creator || '').toLowerCase();
-                return auth.includes(value.toLowerCase());
-              });
-            })
-            .map(([id]) => ({ id, score: 1 }));
-          break;
-
-        case 'type':
-          // Search in type field
-          partialResults = searchIndexInstance.search(value, {
-            fields: ['type'],
-            prefix: true,
-            fuzzy: 0.2
-          });
-          break;
-
-        case 'tag':
-          // Search in tags field
-          partialResults = searchIndexInstance.search(value, {
-            fields: ['tags'],
-            prefix: true,
-            fuzzy: 0.2
-          });
-          break;
-
-        case 'date':
-          // Handle date searches (date:2023, date:2023-2024)
-          partialResults = searchByDateOperator(value, searchIndexInstance, globalData);
-          break;
-
-        default:
-          // Generic field search
-          partialResults = searchIndexInstance.search(value, {
-            prefix: true,
-            fuzzy: 0.2
+function executeQuery(ast, index) {
+  const scores = evaluateNode(ast, index);
+  return Array.from(scores, ([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function evaluateNode(node, index) {
+  switch (node.type) {
+    case 'term':
+      return toScoreMap(searchSingleTerm(node.value, index));
+
+    case 'phrase':
+      return toScoreMap(searchPhrase(node.value, index));
+
+    case 'field':
+      return toScoreMap(executeFieldSearch(node.field, node.value, index));
+
+    case 'and': {
+      let scores = null;
+      for (const child of node.children) {
+        const childScores = evaluateNode(child, index);
+        if (scores === null) {
+          scores = childScores;
+        } else {
+          const intersection = new Map();
+          scores.forEach((score, id) => {
+            if (childScores.has(id)) intersection.set(id, score + childScores.get(id));
           });
+          scores = intersection;
+        }
+        if (scores.size === 0) break;
       }
+      return scores;
+    }
 
-      // Union results from same field
-      fieldResults = unionResults(fieldResults, partialResults);
-    });
+    case 'or': {
+      const scores = new Map();
+      node.children.forEach(child => {
+        evaluateNode(child, index).forEach((score, id) => {
+          if (!scores.has(id) || scores.get(id) < score) scores.set(id, score);
+        });
+      });
+      return scores;
+    }
 
-    // Intersect results from different fields
-    if (index === 0) {
-      results = fieldResults;
-    } else {
-      results = intersectResults(results, fieldResults);
+    case 'not': {
+      const excluded = evaluateNode(node.child, index);
+      const scores = new Map();
+      index.docItems.forEach((items, id) => {
+        if (!excluded.has(id)) scores.set(id, 0);
+      });
+      return scores;
     }
-  });
 
-  return results;
+    default:
+      throw new Error(`Unknown query node type: ${node.type}`);
+  }
+}
+
+/**
+ * Execute a field-specific search (author:, type:, tag:, date:)
+ */
+function executeFieldSearch(field, value, index) {
+  switch (field) {
+    case 'author':
+      // Post-filter on actual author data (not full-text search)
+      return Array.from(index.docItems.entries())
+        .filter(([id, items]) => {
+          return items.some(item => {
+            const auth = item.author.toLowerCase();
+            return auth.includes(value.toLowerCase());
+          });
+        })
+        .map(([id]) => ({ id, score: 1 }));
+
+    case 'type':
+      // Search in type field
+      return index.miniSearch.search(value, {
+        fields: ['type'],
+        prefix: true,
+        fuzzy: 0.2
+      });
+
+    case 'tag':
+      // Search in tags field
+      return index.miniSearch.search(value, {
+        fields: ['tags'],
+        prefix: true,
+        fuzzy: 0.2
+      });
+
+    case 'keyword':
+    case 'affiliation':
+    case 'location':
+      // Search in the matching item field (keyword: → keywords)
+      return index.miniSearch.search(value, {
+        fields: [field === 'keyword' ? 'keywords' : field],
+        prefix: true,
+        fuzzy: 0.2
+      });
+
+    case 'driftie': {
+      // Exact flag, no fuzzy matching; driftie:no is every item-bearing doc without it
+      const flagged = index.miniSearch.search('yes', { fields: ['driftie'], prefix: false, fuzzy: false });
+      if (value.toLowerCase() === 'yes') return flagged;
+      const flaggedIds = new Set(flagged.map(r => r.id));
+      return Array.from(index.docItems.entries())
+        .filter(([id, items]) => items.length > 0 && !flaggedIds.has(id))
+        .map(([id]) => ({ id, score: 1 }));
+    }
+
+    case 'date':
+      // Handle date searches (date:2023, date:2023-2024)
+      return searchByDateOperator(value, index);
+
+    default:
+      // Generic field search
+      return index.miniSearch.search(value, {
+        prefix: true,
+        fuzzy: 0.2
+      });
+  }
 }
 
 /**
  * Search by date operator (date:2023, date:2023-2024)
  */
-function searchByDateOperator(value, searchIndexInstance, globalData) {
+function searchByDateOperator(value, index) {
   // Parse date range from value
   let fromDate, toDate;
 
@@ -442,19 +653,12 @@ function searchByDateOperator(value, searchIndexInstance, globalData) {
     toDate = value;
   }
 
-  // Get all documents and filter by date
-  const allDocs = Array.from(nodeByDocId.keys()).map(id => ({ id, name: '' }));
+  // Check every document's items against the range
+  const matches = [];
 
-  return allDocs.filter(doc => {
-    const node = nodeByDocId.get(doc.id);
-    if (!node) return false;
-
-    const items = node.url_data || node.urls || node.content || node.items || [];
-    return Array.isArray(items) && items.some(item => {
-      const itemDateStr = item.date || item.published_date || item.publish_date;
-      if (!itemDateStr) return false;
-
-      const itemDate = parseDate(itemDateStr);
+  index.docItems.forEach((items, id) => {
+    const inRange = items.some(item => {
+      const itemDate = itemDateToDate(item.date);
       if (!itemDate) return false;
 
       const year = itemDate.getFullYear().toString();
@@ -466,584 +670,176 @@ function searchByDateOperator(value, searchIndexInstance, globalData) {
 
       return true;
     });
-  });
-}
-
-/**
- * Union two result sets (OR operation)
- */
-function unionResults(results1, results2) {
-  const map = new Map();
-
-  results1.forEach(r => map.set(r.id, r));
-  results2.forEach(r => {
-    if (!map.has(r.id) || map.get(r.id).score < r.score) {
-      map.set(r.id, r);
-    }
-  });
-
-  return Array.from(map.values()).sort((a, b) => b.score - a.score);
-}
-
-/**
- * Intersect two result sets (AND operation)
- */
-function intersectResults(results1, results2) {
-  const ids2 = new Set(results2.map(r => r.id));
-  return results1.filter(r => ids2.has(r.id));
-}
-
-// Check if query contains boolean operators
-function containsBooleanOperators(query) {
-  return /\b(AND|OR|NOT)\b/i.test(query);
-}
-
-// Execute boolean search
-function executeBooleanSearch(queryText, searchIndexInstance) {
-  log(`Executing boolean search for: "${queryText}"`);
-
-  // Handle OR operator first (lowest precedence)
-  if (/\bOR\b/i.test(queryText)) {
-    return handleOrSearch(queryText, searchIndexInstance);
-  }
-
-  // Handle AND operator
-  if (/\bAND\b/i.test(queryText)) {
-    return handleAndSearch(queryText, searchIndexInstance);
-  }
-
-  // Handle NOT operator
-  if (/\bNOT\b/i.test(queryText)) {
-    return handleNotSearch(queryText, searchIndexInstance);
-  }
-
-  // Fallback to simple search
-  return searchIndexInstance.search(queryText, { prefix: true });
-}
-
-// Handle OR searches - union of results
-function handleOrSearch(queryText, searchIndexInstance) {
-  const orParts = queryText.split(/\s+OR\s+/i).map(part => part.trim());
-  log('OR parts:', orParts);
-
-  const allResults = new Map();
-
-  orParts.forEach(part => {
-    let partResults = [];
-
-    if (/\b(AND|NOT)\b/i.test(part)) {
-      partResults = executeBooleanSearch(part, searchIndexInstance);
-    } else {
-      const cleanPart = part.trim();
-      if (cleanPart) {
-        partResults = searchSingleTerm(cleanPart, searchIndexInstance);
-      }
-    }
-
-    partResults.forEach(result => {
-      if (!allResults.has(result.id) || allResults.get(result.id).score < result.score) {
-        allResults.set(result.id, result);
-      }
-    });
+    if (inRange) matches.push({ id, score: 1 });
   });
 
-  const results = Array.from(allResults.values()).sort((a, b) => b.score - a.score);
-  log(`OR search combined ${orParts.length} parts into ${results.length} results`);
-  return results;
+  return matches;
 }
 
-// Handle AND searches - intersection of results
-function handleAndSearch(queryText, searchIndexInstance) {
-  const andParts = queryText.split(/\s+AND\s+/i).map(part => part.trim());
-  log('AND parts:', andParts);
-
-  if (andParts.length === 0) return [];
-
-  // Get results for first part (handle embedded NOT)
-  let results;
-  const firstNotMatch = andParts[0].match(/^(.+?)\s+NOT\s+(.+)$/i);
-  if (firstNotMatch) {
-    const includeResults = searchSingleTerm(firstNotMatch[1].trim(), searchIndexInstance);
-    const excludeResults = searchSingleTerm(firstNotMatch[2].trim(), searchIndexInstance);
-    const excludeIds = new Set(excludeResults.map(r => r.id));
-    results = includeResults.filter(r => !excludeIds.has(r.id));
-  } else {
-    results = searchSingleTerm(andParts[0], searchIndexInstance);
-  }
+// Search for a single term
+function searchSingleTerm(term, index) {
+  if (!term) return [];
 
-  // Intersect with results from remaining parts (handle embedded NOT)
-  for (let i = 1; i < andParts.length; i++) {
-    const part = andParts[i].trim();
-    if (!part) continue;
-
-    // Check if this AND part contains a NOT operator
-    const notMatch = part.match(/^(.+?)\s+NOT\s+(.+)$/i);
-    if (notMatch) {
-      // Handle "term NOT exclude" within AND
-      const includePart = notMatch[1].trim();
-      const excludePart = notMatch[2].trim();
-      const includeResults = searchSingleTerm(includePart, searchIndexInstance);
-      const excludeResults = searchSingleTerm(excludePart, searchIndexInstance);
-      const excludeIds = new Set(excludeResults.map(r => r.id));
-      const partIds = new Set(includeResults.filter(r => !excludeIds.has(r.id)).map(r => r.id));
-      results = results.filter(result => partIds.has(result.id));
-    } else {
-      const partResults = searchSingleTerm(part, searchIndexInstance);
-      const partIds = new Set(partResults.map(r => r.id));
-      results = results.filter(result => partIds.has(result.id));
-    }
-
-    if (results.length === 0) break;
-  }
-
-  log(`AND search intersected ${andParts.length} parts into ${results.length} results`);
-  return results.sort((a, b) => b.score - a.score);
-}
-
-// Search for a single term or phrase
-function searchSingleTerm(term, searchIndexInstance) {
-  if (!term || term.length < 1) return [];
-
-  const cleanTerm = cleanSearchTerm(term);
-  if (!cleanTerm) return [];
-
-  log(`Searching single term: "${cleanTerm}"`);
+  log(`Searching single term: "${term}"`);
 
   try {
-    // Handle quoted phrases
-    if (cleanTerm.startsWith('"') && cleanTerm.endsWith('"')) {
-      const phrase = cleanTerm.slice(1, -1);
-      return searchIndexInstance.search(phrase, {
-        prefix: false,
-        fuzzy: 0.1,
-        combineWith: 'AND'
-      });
-    }
-
-    // Regular term search with combineWith: 'AND' so "solar energy" requires BOTH words
-    return searchIndexInstance.search(cleanTerm, {
+    return index.miniSearch.search(term, {
       prefix: true,
       fuzzy: 0.2,
       combineWith: 'AND'
     });
   } catch (error) {
-    console.error(`Error searching for term "${cleanTerm}":`, error);
+    console.error(`Error searching for term "${term}":`, error);
     return [];
   }
 }
 
-// Clean search term by removing boolean operators
-function cleanSearchTerm(term) {
-  if (!term) return '';
-
-  // Remove boolean operators that might be left over
-  const cleaned = term
-    .replace(/\b(AND|OR|NOT)\b/gi, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  return cleaned;
-}
-
-// Handle NOT searches - exclude results
-function handleNotSearch(queryText, searchIndexInstance) {
-  const notMatch = queryText.match(/^(.+?)\s+NOT\s+(.+)$/i);
-
-  if (!notMatch) {
-    const notAtStart = queryText.match(/^NOT\s+(.+)$/i);
-    if (notAtStart) {
-      const excludeTerm = cleanSearchTerm(notAtStart[1]);
-      if (excludeTerm) {
-        // Get all results and exclude the NOT term
-        const allResults = Array.from(nodeByDocId.keys()).map(id => ({ id, name: '' }));
-        const excludeResults = searchSingleTerm(excludeTerm, searchIndexInstance);
-        const excludeIds = new Set(excludeResults.map(r => r.id));
-
-        const results = allResults.filter(result => !excludeIds.has(result.id));
-        log(`NOT search excluded ${excludeResults.length} results, returning ${results.length}`);
-        return results;
-      }
-    }
+// Search for a quoted phrase: every word must match, without prefix expansion
+function searchPhrase(phrase, index) {
+  try {
+    return index.miniSearch.search(phrase, {
+      prefix: false,
+      fuzzy: 0.1,
+      combineWith: 'AND'
+    });
+  } catch (error) {
+    console.error(`Error searching for phrase "${phrase}":`, error);
     return [];
   }
-
-  const [, includePart, excludePart] = notMatch;
-  log(`NOT search: include "${includePart}", exclude "${excludePart}"`);
-
-  let includeResults = [];
-  if (includePart.trim()) {
-    if (/\b(AND|OR)\b/i.test(includePart)) {
-      includeResults = executeBooleanSearch(includePart, searchIndexInstance);
-    } else {
-      includeResults = searchSingleTerm(includePart, searchIndexInstance);
-    }
-  }
-
-  let excludeResults = [];
-  if (excludePart.trim()) {
-    excludeResults = searchSingleTerm(excludePart, searchIndexInstance);
-  }
-
-  const excludeIds = new Set(excludeResults.map(r => r.id));
-  const results = includeResults.filter(result => !excludeIds.has(result.id));
-
-  log(`NOT search: ${includeResults.length} include - ${excludeResults.length} exclude = ${results.length} results`);
-  return results;
 }
 
-// Mark nodes that matched search for highlighting in visualizations (by name)
-// Returns true if this node or any descendant matched
-function markSearchHighlightsByName(node, matchedNames) {
-  if (!node) return false;
-
-  // Check if this node's name matched the search directly
-  const directMatch = matchedNames.has(node.name);
-  node.isSearchMatch = directMatch;
-
-  // Recursively mark children and check if any descendants matched
-  let hasMatchedDescendants = false;
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => {
-      const childOrDescendantMatched = markSearchHighlightsByName(child, matchedNames);
-      if (childOrDescendantMatched) {
-        hasMatchedDescendants = true;
-      }
-    });
-  }
-
-  // If any descendant matched, mark this node as having matched descendants
-  if (hasMatchedDescendants) {
-    node.hasMatchedDescendants = true;
-    // Also mark as search match so it gets highlighted (but we can distinguish in viz)
-    node.isSearchMatch = true;
-  }
+// Whether a preprocessed node is a generated per-item leaf (see preprocessDataForD3)
+function isItemLeaf(node) {
+  return node.isLeaf && !node.isEmpty && Array.isArray(node.urls) && node.urls.length === 1 && !node.children;
+}
 
-  return directMatch || hasMatchedDescendants;
+// Whether a node matched the search directly: item leaves by item, categories by name
+function isDirectSearchMatch(node, matchedNames, matchedItems) {
+  if (isItemLeaf(node)) return matchedItems.has(node.urls[0]);
+  return matchedNames.has(node.name);
 }
 
-// Filter by search results (by name instead of object reference)
-function filterBySearchNames(node, matchedNames, depth = 0) {
+// Filter by search results: categories by name, content items by reference
+function filterBySearchResults(node, matchedNames, matchedItems, depth = 0) {
   if (!node) return null;
 
-  // Check if this node's name matches
-  const nodeMatches = matchedNames.has(node.name);
+  const nodeMatches = isDirectSearchMatch(node, matchedNames, matchedItems);
 
   if (nodeMatches && depth < 3) {
     log(`  ${'  '.repeat(depth)}✓ Match: "${node.name}"`);
   }
 
+  if (isItemLeaf(node)) {
+    return nodeMatches ? { ...node } : null;
+  }
+
   // Check children recursively
   let filteredChildren = [];
   if (node.children && Array.isArray(node.children)) {
     filteredChildren = node.children
-      .map(child => filterBySearchNames(child, matchedNames, depth + 1))
+      .map(child => filterBySearchResults(child, matchedNames, matchedItems, depth + 1))
       .filter(child => child !== null);
   }
 
   // Include this node if:
   // 1. Its name matches the search, OR
   // 2. Any of its children matched (so we can show the hierarchy path)
+  // Its item list is narrowed to the matched items so panels and the list view show per-item results
   if (nodeMatches || filteredChildren.length > 0) {
-    return { ...node, children: filteredChildren };
-  }
-
-  return null;
-}
-
-// Mark nodes that match type filter for highlighting
-// Returns true if this node or any descendant matched
-function markTypeMatches(node, type) {
-  if (!node) return false;
-
-  const directMatch = node.type === type;
-  node.isTypeMatch = directMatch;
-
-  let hasMatchedDescendants = false;
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => {
-      if (markTypeMatches(child, type)) {
-        hasMatchedDescendants = true;
-      }
-    });
-  }
-
-  if (hasMatchedDescendants) {
-    node.hasTypeMatchedDescendants = true;
-    node.isTypeMatch = true;
-  }
-
-  return directMatch || hasMatchedDescendants;
-}
-
-// Filter by type
-function filterByType(node, type) {
-  const nodeMatches = node.type === type;
-
-  if (node.children) {
-    const filteredChildren = node.children
-      .map(child => filterByType(child, type))
-      .filter(child => child !== null);
-
-    if (nodeMatches || filteredChildren.length > 0) {
-      return { ...node, children: filteredChildren };
+    const filtered = { ...node, children: filteredChildren };
+    if (Array.isArray(node.urls)) {
+      filtered.urls = node.urls.filter(item => matchedItems.has(item));
     }
-  } else if (nodeMatches) {
-    return { ...node };
+    return filtered;
   }
 
   return null;
 }
 
-// Mark nodes that match tag filter for highlighting
-// Returns true if this node or any descendant matched
-function markTagMatches(node, tag) {
-  if (!node) return false;
-
-  const directMatch = node.tags && node.tags.includes(tag);
-  node.isTagMatch = directMatch;
-
-  let hasMatchedDescendants = false;
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => {
-      if (markTagMatches(child, tag)) {
-        hasMatchedDescendants = true;
-      }
-    });
-  }
-
-  if (hasMatchedDescendants) {
-    node.hasTagMatchedDescendants = true;
-    node.isTagMatch = true;
-  }
-
-  return directMatch || hasMatchedDescendants;
-}
-
-// Filter by tag
-function filterByTag(node, tag) {
-  const nodeMatches = node.tags && node.tags.includes(tag);
-
-  if (node.children) {
-    const filteredChildren = node.children
-      .map(child => filterByTag(child, tag))
-      .filter(child => child !== null);
+// Filter by a facet (type, tag, author, location): item leaves are kept when they pass
+// the facet (OR within its values, include or exclude mode) and categories when any
+// descendant is kept; each category's item list is narrowed the same way
+function filterByFacet(node, key, facet) {
+  if (!node) return null;
 
-    if (nodeMatches || filteredChildren.length > 0) {
-      return { ...node, children: filteredChildren };
-    }
-  } else if (nodeMatches) {
-    return { ...node };
+  if (isItemLeaf(node)) {
+    return itemMatchesFacet(node.urls[0], key, facet) ? { ...node } : null;
   }
 
-  return null;
-}
-
-// Mark nodes that match author filter for highlighting
-// Returns true if this node or any descendant matched
-function markAuthorMatches(node, author) {
-  if (!node) return false;
+  const filteredChildren = (node.children || [])
+    .map(child => filterByFacet(child, key, facet))
+    .filter(child => child !== null);
 
-  const items = node.urls || node.content || node.items || [];
-  const directMatch = Array.isArray(items) && items.some(item => {
-    const itemAuthor = item.author || item.creator || item.source;
-    return itemAuthor === author;
-  });
-  node.isAuthorMatch = directMatch;
+  if (filteredChildren.length === 0) return null;
 
-  let hasMatchedDescendants = false;
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => {
-      if (markAuthorMatches(child, author)) {
-        hasMatchedDescendants = true;
-      }
-    });
+  const filtered = { ...node, children: filteredChildren };
+  if (Array.isArray(node.urls)) {
+    filtered.urls = node.urls.filter(item => itemMatchesFacet(item, key, facet));
   }
-
-  if (hasMatchedDescendants) {
-    node.hasAuthorMatchedDescendants = true;
-    node.isAuthorMatch = true;
-  }
-
-  return directMatch || hasMatchedDescendants;
+  return filtered;
 }
 
-// Filter by author - check in content items
-function filterByAuthor(node, author) {
-  // Check if any content items match the author
-  const items = node.urls || node.content || node.items || [];
-  const nodeMatches = Array.isArray(items) && items.some(item => {
-    const itemAuthor = item.author || item.creator || item.source;
-    return itemAuthor === author;
-  });
-
-  if (node.children) {
-    const filteredChildren = node.children
-      .map(child => filterByAuthor(child, author))
-      .filter(child => child !== null);
-
-    if (nodeMatches || filteredChildren.length > 0) {
-      return { ...node, children: filteredChildren };
-    }
-  } else if (nodeMatches) {
-    return { ...node };
-  }
+// Filter by one refinement: a sector keeps that depth-1 category, any other key the
+// items whose value equals it (the facet filter with that one value)
+function filterByRefinement(node, { key, value }) {
+  if (!node) return null;
+  if (key !== 'sector') return filterByFacet(node, key, { mode: 'include', values: [value] });
 
-  return null;
+  // Items filed directly under the root belong to no sector
+  const children = (node.children || []).filter(child => child.id === value && !isItemLeaf(child));
+  if (children.length === 0) return null;
+  return Array.isArray(node.urls) ? { ...node, children, urls: [] } : { ...node, children };
 }
 
-// Mark nodes that match location filter for highlighting
-// Returns true if this node or any descendant matched
-function markLocationMatches(node, location) {
-  if (!node) return false;
-
-  const items = node.urls || node.content || node.items || [];
-  const directMatch = Array.isArray(items) && items.some(item => {
-    const itemLocation = item.location || item.country || item.region;
-    return itemLocation === location;
-  });
-  node.isLocationMatch = directMatch;
-
-  let hasMatchedDescendants = false;
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => {
-      if (markLocationMatches(child, location)) {
-        hasMatchedDescendants = true;
-      }
-    });
-  }
+// Filter to the items whose ids are in `ids`: item leaves by their id, categories
+// when any descendant is kept, with their item lists narrowed the same way
+function filterByItemIds(node, ids) {
+  if (!node) return null;
 
-  if (hasMatchedDescendants) {
-    node.hasLocationMatchedDescendants = true;
-    node.isLocationMatch = true;
+  if (isItemLeaf(node)) {
+    return ids.has(node.id) ? { ...node } : null;
   }
 
-  return directMatch || hasMatchedDescendants;
-}
-
-// Filter by location - check in content items
-function filterByLocation(node, location) {
-  // Check if any content items match the location
-  const items = node.urls || node.content || node.items || [];
-  const nodeMatches = Array.isArray(items) && items.some(item => {
-    const itemLocation = item.location || item.country || item.region;
-    return itemLocation === location;
-  });
+  const filteredChildren = (node.children || [])
+    .map(child => filterByItemIds(child, ids))
+    .filter(child => child !== null);
 
-  if (node.children) {
-    const filteredChildren = node.children
-      .map(child => filterByLocation(child, location))
-      .filter(child => child !== null);
+  if (filteredChildren.length === 0) return null;
 
-    if (nodeMatches || filteredChildren.length > 0) {
-      return { ...node, children: filteredChildren };
-    }
-  } else if (nodeMatches) {
-    return { ...node };
+  const filtered = { ...node, children: filteredChildren };
+  if (Array.isArray(node.urls)) {
+    filtered.urls = node.urls.filter(item => ids.has(getItemId(item)));
   }
-
-  return null;
+  return filtered;
 }
 
 // ============================================================================
 // DATE FILTERING
 // ============================================================================
 
-/**
- * Parse date string to Date object
- * Handles various formats: YYYY-MM-DD, YYYY-MM, YYYY, ISO strings
- */
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-
-  try {
-    // Handle various date formats
-    const str = String(dateStr).trim();
-
-    // ISO format or full date
-    if (str.match(/^\d{4}-\d{2}-\d{2}/)) {
-      return new Date(str);
-    }
-
-    // Year-month format (YYYY-MM)
-    if (str.match(/^\d{4}-\d{2}$/)) {
-      return new Date(str + '-01');
-    }
-
-    // Year only (YYYY)
-    if (str.match(/^\d{4}$/)) {
-      return new Date(str + '-01-01');
-    }
+// Whether any of a node's items is dated within the range
+function hasItemInDateRange(node, dateFrom, dateTo) {
+  const fromDate = itemDateToDate(dateFrom);
+  const toDate = itemDateToDate(dateTo);
 
-    // Try to parse as-is
-    const date = new Date(str);
-    if (!isNaN(date.getTime())) {
-      return date;
-    }
-  } catch (e) {
-    // Invalid date
-  }
-
-  return null;
-}
-
-/**
- * Mark nodes that match date range for highlighting
- * Returns true if this node or any descendant matched
- */
-function markDateMatches(node, dateFrom, dateTo) {
-  if (!node) return false;
-
-  const items = node.urls || node.content || node.items || [];
-  const directMatch = Array.isArray(items) && items.some(item => {
-    const itemDate = parseDate(item.date || item.published_date || item.publish_date);
+  return (node.urls || []).some(item => {
+    const itemDate = itemDateToDate(item.date);
     if (!itemDate) return false;
 
-    // Check if date is within range
-    const fromDate = dateFrom ? parseDate(dateFrom) : null;
-    const toDate = dateTo ? parseDate(dateTo) : null;
-
     if (fromDate && itemDate < fromDate) return false;
     if (toDate && itemDate > toDate) return false;
 
     return true;
   });
-
-  node.isDateMatch = directMatch;
-
-  let hasMatchedDescendants = false;
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => {
-      if (markDateMatches(child, dateFrom, dateTo)) {
-        hasMatchedDescendants = true;
-      }
-    });
-  }
-
-  if (hasMatchedDescendants) {
-    node.hasDateMatchedDescendants = true;
-    node.isDateMatch = true;
-  }
-
-  return directMatch || hasMatchedDescendants;
 }
 
 /**
  * Filter by date range - check content items
  */
 function filterByDateRange(node, dateFrom, dateTo) {
-  const items = node.urls || node.content || node.items || [];
-  const nodeMatches = Array.isArray(items) && items.some(item => {
-    const itemDate = parseDate(item.date || item.published_date || item.publish_date);
-    if (!itemDate) return false;
-
-    const fromDate = dateFrom ? parseDate(dateFrom) : null;
-    const toDate = dateTo ? parseDate(dateTo) : null;
-
-    if (fromDate && itemDate < fromDate) return false;
-    if (toDate && itemDate > toDate) return false;
+  if (!node) return null;
 
-    return true;
-  });
+  const nodeMatches = hasItemInDateRange(node, dateFrom, dateTo);
 
   if (node.children) {
     const filteredChildren = node.children
@@ -1061,135 +857,71 @@ function filterByDateRange(node, dateFrom, dateTo) {
 }
 
 // ============================================================================
-// SEARCH SUGGESTIONS
+// HIGHLIGHT ANNOTATIONS
 // ============================================================================
 
-const RECENT_SEARCHES_KEY = 'climateSolutions_recentSearches';
-const MAX_RECENT_SEARCHES = 5;
-const MAX_SUGGESTIONS = 5;
+// Matchers for annotateTree: the flag a node gets when it (or a descendant) matches,
+// plus an optional flag recording that a descendant matched
 
-/**
- * Get recent searches from localStorage
- */
-export function getRecentSearches() {
-  try {
-    const recent = localStorage.getItem(RECENT_SEARCHES_KEY);
-    const parsed = recent ? JSON.parse(recent) : [];
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (e) {
-    return [];
-  }
+function searchMatcher(matchedNames, matchedItems) {
+  return {
+    flag: 'isSearchMatch',
+    descendantFlag: 'hasMatchedDescendants',
+    matches: node => isDirectSearchMatch(node, matchedNames, matchedItems)
+  };
 }
 
-/**
- * Save a search query to recent searches
- */
-export function saveRecentSearch(query) {
-  if (!query || query.trim().length === 0) return;
-
-  try {
-    let recent = getRecentSearches();
-
-    // Remove if already exists (to move to top)
-    recent = recent.filter(q => q.toLowerCase() !== query.toLowerCase());
+// Highlight flag set on nodes matching each facet filter
+const FACET_MATCH_FLAGS = {
+  type: 'isTypeMatch',
+  tag: 'isTagMatch',
+  author: 'isAuthorMatch',
+  location: 'isLocationMatch'
+};
 
-    // Add to beginning
-    recent.unshift(query.trim());
-
-    // Keep only MAX_RECENT_SEARCHES
-    recent = recent.slice(0, MAX_RECENT_SEARCHES);
-
-    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent));
-  } catch (e) {
-    console.error('Error saving recent search:', e);
-  }
+// Item leaves matching an include-mode facet
+function facetMatcher(key, facet) {
+  return {
+    flag: FACET_MATCH_FLAGS[key],
+    matches: node => isItemLeaf(node) && itemMatchesFacet(node.urls[0], key, facet)
+  };
 }
 
-/**
- * Clear recent searches
- */
-export function clearRecentSearches() {
-  try {
-    localStorage.removeItem(RECENT_SEARCHES_KEY);
-  } catch (e) {
-    console.error('Error clearing recent searches:', e);
-  }
+function dateMatcher(dateFrom, dateTo) {
+  return {
+    flag: 'isDateMatch',
+    descendantFlag: 'hasDateMatchedDescendants',
+    matches: node => hasItemInDateRange(node, dateFrom, dateTo)
+  };
 }
 
 /**
- * Collect all node names from hierarchy for suggestions (cached after first call)
+ * Copy a (filtered) tree with the matchers' highlight flags and each node's
+ * `category` (its depth-1 ancestor name, used for colors; kept on the node so
+ * views re-rooted on a subtree still know it). The input tree is not modified.
  */
-let cachedNodeNames = null;
-function collectNodeNamesRecursive(node, names) {
-  if (!node) return;
-  if (node.name) names.add(node.name);
-  if (node.children && Array.isArray(node.children)) {
-    node.children.forEach(child => collectNodeNamesRecursive(child, names));
-  }
-}
-function collectNodeNames(node) {
-  if (cachedNodeNames) return cachedNodeNames;
-  const names = new Set();
-  collectNodeNamesRecursive(node, names);
-  cachedNodeNames = names;
-  return names;
-}
+function annotateTree(node, matchers, depth = 0, category = null) {
+  if (!node) return null;
+  if (depth === 1) category = node.name || '';
 
-/**
- * Get search suggestions based on current input
- * Returns object with { recent: [], matching: [] }
- */
-export function getSearchSuggestions(query, data) {
-  const suggestions = {
-    recent: [],
-    matching: []
-  };
+  const annotated = { ...node };
+  if (category) annotated.category = category;
 
-  // If no query, show recent searches only
-  if (!query || query.trim().length === 0) {
-    suggestions.recent = getRecentSearches();
-    return suggestions;
+  const descendantMatched = matchers.map(() => false);
+  if (node.children) {
+    annotated.children = node.children.map(child => {
+      const annotatedChild = annotateTree(child, matchers, depth + 1, category);
+      matchers.forEach((matcher, i) => {
+        if (annotatedChild[matcher.flag]) descendantMatched[i] = true;
+      });
+      return annotatedChild;
+    });
   }
 
-  const queryLower = query.trim().toLowerCase();
-
-  // Get recent searches that match current query
-  const recent = getRecentSearches();
-  suggestions.recent = recent.filter(r =>
-    r.toLowerCase().includes(queryLower)
-  ).slice(0, 3);  // Max 3 recent
-
-  // Get matching node names
-  const allNames = collectNodeNames(data);
-  const matchingNames = Array.from(allNames)
-    .filter(name => name.toLowerCase().includes(queryLower))
-    .sort((a, b) => {
-      // Prioritize matches that start with query
-      const aStarts = a.toLowerCase().startsWith(queryLower);
-      const bStarts = b.toLowerCase().startsWith(queryLower);
-
-      if (aStarts && !bStarts) return -1;
-      if (!aStarts && bStarts) return 1;
-
-      // Then sort by length (shorter first)
-      return a.length - b.length;
-    })
-    .slice(0, MAX_SUGGESTIONS);
-
-  suggestions.matching = matchingNames;
-
-  return suggestions;
-}
-
-/**
- * Highlight matching text in suggestion
- */
-export function highlightMatch(text, query) {
-  if (!query) return text;
+  matchers.forEach((matcher, i) => {
+    annotated[matcher.flag] = descendantMatched[i] || matcher.matches(node);
+    if (descendantMatched[i] && matcher.descendantFlag) annotated[matcher.descendantFlag] = true;
+  });
 
-  // Escape regex special characters to prevent ReDoS and injection
-  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const regex = new RegExp(`(${escaped})`, 'gi');
-  return text.replace(regex, '<strong>$1</strong>');
+  return annotated;
 }
-
@@ -0,0 +1,169 @@
+/**
+ * searchClient.js
+ * Page side of the search worker (searchWorker.js): index construction,
+ * queries and tree filtering run off the main thread behind a promise API,
+ * and the page only receives the filtered hierarchy and its match data.
+ *
+ * Filter requests are coalesced: while one runs, newer requests replace the
+ * queued one, so stale queries are never computed and superseded requests
+ * resolve to null. Answers are memoized by filter state, so re-rendering the
+ * same filters (e.g. switching views) needs no request. Without module worker
+ * support (or if the worker fails) the same requests run in the page.
+ */
+
+import { handleSearchMessage } from './searchWorker.js';
+import { getFilterStateKey } from './search.js';
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+// In-page fallback: let the loading indicator paint before the synchronous work
+const LOCAL_DELAY = 50;
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const pendingRequests = new Map(); // request id -> { message, resolve, reject }
+let lastLoad = null; // Replayed in the page if the worker fails after loading
+
+// Answers for the loaded data (filter state key → result), oldest dropped first
+const MAX_CACHED_RESULTS = 20;
+const resultCache = new Map();
+
+// Filter coalescing
+let latestFilterId = 0;
+let filterRunning = false;
+let queuedFilter = null; // { id, state, resolve, reject }
+
+function startWorker() {
+  if (worker || workerFailed || typeof Worker === 'undefined') return;
+  try {
+    worker = new Worker(new URL('./searchWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    fallBackToPage(error);
+    return;
+  }
+
+  worker.addEventListener('message', (e) => {
+    const { id, result, error } = e.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+    if (error !== undefined) {
+      fallBackToPage(new Error(error));
+      return;
+    }
+    pendingRequests.delete(id);
+    request.resolve(result);
+  });
+  worker.addEventListener('error', (e) => {
+    e.preventDefault();
+    fallBackToPage(e.error || new Error(e.message || 'Search worker failed to start'));
+  });
+}
+
+// Stop using the worker; rerun the loaded data and any unanswered requests in the page
+function fallBackToPage(error) {
+  console.warn('Search worker unavailable, searching on the main thread:', error);
+  workerFailed = true;
+  if (worker) worker.terminate();
+  worker = null;
+
+  const unanswered = [...pendingRequests.values()];
+  pendingRequests.clear();
+  if (lastLoad && !unanswered.some(request => request.message === lastLoad)) {
+    runInPage(lastLoad).catch(() => {});
+  }
+  unanswered.forEach(({ message, resolve, reject }) => runInPage(message).then(resolve, reject));
+}
+
+// In the page, MiniSearch is the global from the UMD <script>
+function runInPage(message) {
+  return new Promise((resolve, reject) => {
+    setTimeout(() => {
+      try {
+        resolve(handleSearchMessage(message, { MiniSearch }));
+      } catch (error) {
+        reject(error);
+      }
+    }, LOCAL_DELAY);
+  });
+}
+
+// Send a request to the worker (or run it in the page); answered in order
+function request(message) {
+  startWorker();
+  if (!worker) return runInPage(message);
+
+  const id = ++nextRequestId;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { message, resolve, reject });
+    worker.postMessage({ id, ...message });
+  });
+}
+
+/**
+ * Index a dataset for searching; filter requests made afterwards run against it
+ * @param {Object} data - Canonical tree from normalizeDataset
+ * @returns {Promise<void>}
+ */
+export function loadSearchData(data) {
+  lastLoad = { type: 'load', data };
+  resultCache.clear();
+  return request(lastLoad).then(() => log('Search data loaded'));
+}
+
+// Start the queued filter request unless one is running
+function runQueuedFilter() {
+  if (filterRunning || !queuedFilter) return;
+  const { id, state, resolve, reject } = queuedFilter;
+  queuedFilter = null;
+  filterRunning = true;
+
+  const load = lastLoad;
+  const key = getFilterStateKey(state);
+  request({ type: 'filter', state })
+    .then(result => {
+      if (lastLoad === load) cacheResult(key, result);
+      // A newer request arrived meanwhile: this answer is already stale
+      resolve(id === latestFilterId ? result : null);
+    }, reject)
+    .finally(() => {
+      filterRunning = false;
+      runQueuedFilter();
+    });
+}
+
+function cacheResult(key, result) {
+  resultCache.delete(key);
+  resultCache.set(key, result);
+  if (resultCache.size > MAX_CACHED_RESULTS) {
+    resultCache.delete(resultCache.keys().next().value);
+  }
+}
+
+/**
+ * Filter the loaded data
+ * @param {Object} state - { query, type, tag, author, location, dateFrom, dateTo, addedSinceIds }
+ * @returns {Promise<Object|null>} { data, facetCounts, searchError } (see handleSearchMessage),
+ *   or null when a newer request superseded this one. Results are shared: treat them as read-only.
+ */
+export function filterSearchData(state) {
+  const id = ++latestFilterId;
+  return new Promise((resolve, reject) => {
+    if (queuedFilter) {
+      log('Dropping stale filter request', queuedFilter.id);
+      queuedFilter.resolve(null);
+      queuedFilter = null;
+    }
+
+    const cached = resultCache.get(getFilterStateKey(state));
+    if (cached) {
+      log('Filter result from cache');
+      resolve(cached);
+      return;
+    }
+    queuedFilter = { id, state, resolve, reject };
+    runQueuedFilter();
+  });
+}
@@ -0,0 +1,219 @@
+/**
+ * searchUI.js
+ * Search box helpers for the page: result count and syntax errors, recent
+ * searches (localStorage) and suggestions. The engine itself is search.js.
+ */
+
+import { countNodes } from './utilities.js';
+import { SEARCH_FIELDS, collectFieldValues } from './search.js';
+
+// Update search result count display
+// searchError is the query's syntax error ({ message }) from getFilteredData, or null
+export function updateSearchInfo(filteredData, searchError = null) {
+  const count = countNodes(filteredData);
+  document.getElementById('searchInfo').textContent = `${count.toLocaleString()} result${count !== 1 ? 's' : ''}`;
+
+  // Surface query syntax errors next to the search box
+  const errorEl = document.getElementById('searchError');
+  if (errorEl) {
+    errorEl.textContent = searchError ? `Search syntax error: ${searchError.message}` : '';
+    errorEl.hidden = !searchError;
+  }
+  const input = document.getElementById('searchInput');
+  if (input) input.setAttribute('aria-invalid', searchError ? 'true' : 'false');
+}
+
+// ============================================================================
+// SEARCH SUGGESTIONS
+// ============================================================================
+
+const RECENT_SEARCHES_KEY = 'climateSolutions_recentSearches';
+const MAX_RECENT_SEARCHES = 5;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Get recent searches from localStorage
+ */
+export function getRecentSearches() {
+  try {
+    const recent = localStorage.getItem(RECENT_SEARCHES_KEY);
+    const parsed = recent ? JSON.parse(recent) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Save a search query to recent searches
+ */
+export function saveRecentSearch(query) {
+  if (!query || query.trim().length === 0) return;
+
+  try {
+    let recent = getRecentSearches();
+
+    // Remove if already exists (to move to top)
+    recent = recent.filter(q => q.toLowerCase() !== query.toLowerCase());
+
+    // Add to beginning
+    recent.unshift(query.trim());
+
+    // Keep only MAX_RECENT_SEARCHES
+    recent = recent.slice(0, MAX_RECENT_SEARCHES);
+
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent));
+  } catch (e) {
+    console.error('Error saving recent search:', e);
+  }
+}
+
+/**
+ * Clear recent searches
+ */
+export function clearRecentSearches() {
+  try {
+    localStorage.removeItem(RECENT_SEARCHES_KEY);
+  } catch (e) {
+    console.error('Error clearing recent searches:', e);
+  }
+}
+
+/**
+ * Collect all node names from hierarchy for suggestions
+ */
+function collectNodeNames(node, names = new Set()) {
+  if (!node) return names;
+  if (node.name) names.add(node.name);
+  if (node.children && Array.isArray(node.children)) {
+    node.children.forEach(child => collectNodeNames(child, names));
+  }
+  return names;
+}
+
+/**
+ * What suggestions are drawn from for a dataset; build once per dataset
+ * @param {Object} data - Canonical tree (field operator values)
+ * @param {Object} tree - Preprocessed hierarchy (node names)
+ * @returns {Object} { fieldValues, nodeNames } for getSearchSuggestions
+ */
+export function createSuggestionSource(data, tree) {
+  return { fieldValues: collectFieldValues(data), nodeNames: collectNodeNames(tree) };
+}
+
+// Quote a field value that contains whitespace so the parser reads it as one value
+function formatFieldValue(value) {
+  return /\s/.test(value) ? `"${value}"` : value;
+}
+
+/**
+ * Complete the value of a field operator at the end of the query:
+ * "location:sw" → "location:Sweden", "affiliation:\"clim" → 'affiliation:"Climate Drift"'.
+ * Returns full replacement queries, or null when no operator value is being typed.
+ */
+function completeFieldValue(query, fieldValues) {
+  const match = /(^|[\s(])(-?)([a-z]+):("?)([^"]*)$/i.exec(query);
+  if (!match || !SEARCH_FIELDS.includes(match[3].toLowerCase())) return null;
+
+  const [whole, lead, negation, fieldName, quote, partial] = match;
+  if (!quote && /[\s()]/.test(partial)) return null; // Value already finished
+
+  const field = fieldName.toLowerCase();
+  const head = query.slice(0, query.length - whole.length) + lead + negation + field + ':';
+  const partialLower = partial.trim().toLowerCase();
+
+  const values = field === 'driftie' ? ['yes', 'no'] : Array.from(fieldValues.get(field) || []);
+  return values
+    .filter(value => value.toLowerCase().includes(partialLower) && value.toLowerCase() !== partialLower)
+    .sort((a, b) => {
+      // Prioritize values that start with the partial input, then shorter ones
+      const aStarts = a.toLowerCase().startsWith(partialLower);
+      const bStarts = b.toLowerCase().startsWith(partialLower);
+      if (aStarts !== bStarts) return aStarts ? -1 : 1;
+      return a.length - b.length;
+    })
+    .slice(0, MAX_SUGGESTIONS)
+    .map(value => head + formatFieldValue(value));
+}
+
+/**
+ * Complete a field operator name at the end of the query: "solar aff" → "solar affiliation:".
+ */
+function completeFieldName(query) {
+  const match = /(^|[\s(])(-?)([a-z]{2,})$/i.exec(query);
+  if (!match) return [];
+
+  const [whole, lead, negation, partial] = match;
+  const head = query.slice(0, query.length - whole.length) + lead + negation;
+  return SEARCH_FIELDS
+    .filter(field => field.startsWith(partial.toLowerCase()))
+    .map(field => `${head}${field}:`);
+}
+
+/**
+ * Get search suggestions based on current input
+ * Returns object with { recent: [], matching: [] }
+ * Field operators (author:, keyword:, location:, ...) are autocompleted first.
+ * source comes from createSuggestionSource.
+ */
+export function getSearchSuggestions(query, source) {
+  const suggestions = {
+    recent: [],
+    matching: []
+  };
+
+  // If no query, show recent searches only
+  if (!query || query.trim().length === 0) {
+    suggestions.recent = getRecentSearches();
+    return suggestions;
+  }
+
+  const queryLower = query.trim().toLowerCase();
+
+  // Get recent searches that match current query
+  const recent = getRecentSearches();
+  suggestions.recent = recent.filter(r =>
+    r.toLowerCase().includes(queryLower)
+  ).slice(0, 3);  // Max 3 recent
+
+  // While a field operator value is being typed, suggest values for that field only
+  const valueCompletions = completeFieldValue(query, source.fieldValues);
+  if (valueCompletions) {
+    suggestions.matching = valueCompletions;
+    return suggestions;
+  }
+
+  // Get matching node names
+  const matchingNames = Array.from(source.nodeNames)
+    .filter(name => name.toLowerCase().includes(queryLower))
+    .sort((a, b) => {
+      // Prioritize matches that start with query
+      const aStarts = a.toLowerCase().startsWith(queryLower);
+      const bStarts = b.toLowerCase().startsWith(queryLower);
+
+      if (aStarts && !bStarts) return -1;
+      if (!aStarts && bStarts) return 1;
+
+      // Then sort by length (shorter first)
+      return a.length - b.length;
+    })
+    .slice(0, MAX_SUGGESTIONS);
+
+  // Operator names being typed come first, followed by matching node names
+  suggestions.matching = [...completeFieldName(query), ...matchingNames].slice(0, MAX_SUGGESTIONS);
+
+  return suggestions;
+}
+
+/**
+ * Highlight matching text in suggestion
+ */
+export function highlightMatch(text, query) {
+  if (!query) return text;
+
+  // Escape regex special characters to prevent ReDoS and injection
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const regex = new RegExp(`(${escaped})`, 'gi');
+  return text.replace(regex, '<strong>$1</strong>');
+}
+
@@ -0,0 +1,75 @@
+/**
+ * searchWorker.js
+ * Search worker: builds the search indexes and runs queries and tree filtering
+ * off the main thread (see searchClient.js for the page side).
+ *
+ * Messages in: { id, type: 'load', data } with the canonical tree, then
+ * { id, type: 'filter', state } with the filter state (see handleSearchMessage).
+ * Messages out: { id, result } or { id, error }.
+ *
+ * handleSearchMessage is also what the page runs itself when module workers
+ * are unavailable.
+ */
+
+import { createSearchIndex, getFilteredData } from './search.js';
+import { preprocessDataForD3 } from './utilities.js';
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+// The page loads the UMD build as a global (with SRI); a module worker imports the
+// ES build, vendored with the app so no unverified remote code runs here
+const MINISEARCH_ESM_URL = './vendor/minisearch.js';
+
+let tree = null;
+let searchIndex = null;
+
+/**
+ * Run one search request
+ * @param {Object} message
+ * @param {'load'|'filter'} message.type
+ * @param {Object} [message.data] - load: canonical tree from normalizeDataset
+ * @param {Object} [message.state] - filter: { query, type, tag, author, location,
+ *   dateFrom, dateTo, addedSinceIds } (see getFilteredData)
+ * @param {Object} deps - { MiniSearch } (see createSearchIndex)
+ * @returns {Object} load: {}; filter: { data, facetCounts, searchError }
+ *   as from getFilteredData, with the syntax error as { message, position } or null
+ */
+export function handleSearchMessage(message, deps) {
+  switch (message.type) {
+    case 'load':
+      searchIndex = createSearchIndex(message.data, deps);
+      tree = preprocessDataForD3(message.data);
+      return {};
+
+    case 'filter': {
+      const { data, facetCounts, searchError } = getFilteredData(tree, message.state, searchIndex);
+      return {
+        data,
+        facetCounts,
+        searchError: searchError ? { message: searchError.message, position: searchError.position } : null
+      };
+    }
+
+    default:
+      throw new Error(`Unknown search request "${message.type}"`);
+  }
+}
+
+// Worker entry point (skipped when the page imports this module for the fallback)
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const ready = import(MINISEARCH_ESM_URL).then(module => ({ MiniSearch: module.default }));
+
+  // Requests are answered in order: each waits for the library, then runs to completion
+  self.addEventListener('message', async (e) => {
+    const { id } = e.data;
+    try {
+      const deps = await ready;
+      self.postMessage({ id, result: handleSearchMessage(e.data, deps) });
+    } catch (error) {
+      log('Search request failed:', error);
+      self.postMessage({ id, error: error.message });
+    }
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * urlState.js
+ * The view state in the URL hash (#viz=treemap&search=solar&type=Podcast&focus=power.renewables):
+ * parsing, and the defaults for what a hash leaves out. main.js writes the hash
+ * (buildStateParams) and applies it (applyURLState). No DOM access.
+ */
+
+import { FACET_KEYS, REFINEMENT_KEYS, normalizeFacet } from './utilities.js';
+
+// Hash keys of each facet (values repeat the key: #type=Podcast&type=Video, exclude
+// mode uses #notType=Person)
+export const FACET_URL_KEYS = {
+  type: { urlKey: 'type', excludeUrlKey: 'notType' },
+  tag: { urlKey: 'tag', excludeUrlKey: 'notTag' },
+  author: { urlKey: 'author', excludeUrlKey: 'notAuthor' },
+  location: { urlKey: 'location', excludeUrlKey: 'notLocation' }
+};
+
+/**
+ * Parse a URL hash into the state fields it holds
+ * @param {string} hash - With or without the leading "#"
+ * @returns {Object|null} { viz, search, type, tag, author, location, dateFrom, dateTo,
+ *   refinements, since, focus, item }, only the fields present; null for an empty hash
+ */
+export function parseURLState(hash) {
+  const text = (hash || '').replace(/^#/, '');
+  if (!text) return null;
+
+  const params = new URLSearchParams(text);
+  const state = {};
+
+  // Parse visualization type
+  if (params.has('viz')) {
+    state.viz = params.get('viz');
+  }
+
+  // Parse search query
+  if (params.has('search')) {
+    state.search = params.get('search');
+  }
+
+  // Parse facet filters (include values win if both modes are present)
+  FACET_KEYS.forEach(key => {
+    const { urlKey, excludeUrlKey } = FACET_URL_KEYS[key];
+    if (params.has(urlKey)) {
+      state[key] = { mode: 'include', values: params.getAll(urlKey) };
+    } else if (params.has(excludeUrlKey)) {
+      state[key] = { mode: 'exclude', values: params.getAll(excludeUrlKey) };
+    }
+  });
+
+  // Parse date range
+  if (params.has('dateFrom')) {
+    state.dateFrom = params.get('dateFrom');
+  }
+  if (params.has('dateTo')) {
+    state.dateTo = params.get('dateTo');
+  }
+
+  // Parse refinements (unknown keys are dropped)
+  if (params.has('refine')) {
+    state.refinements = params.getAll('refine')
+      .map(entry => {
+        const split = entry.indexOf(':');
+        return { key: entry.slice(0, split), value: entry.slice(split + 1) };
+      })
+      .filter(({ key, value }) => REFINEMENT_KEYS.includes(key) && value);
+  }
+
+  // Parse "added since" version
+  if (params.has('since')) {
+    state.since = params.get('since');
+  }
+
+  // Parse drill-down focus path
+  if (params.has('focus')) {
+    state.focus = params.get('focus');
+  }
+
+  // Parse item permalink
+  if (params.has('item')) {
+    state.item = params.get('item');
+  }
+
+  return Object.keys(state).length > 0 ? state : null;
+}
+
+/**
+ * Every state field, with the defaults for those the hash left out: applying a
+ * hash replaces the whole view state, so going back to a bare "#" clears the
+ * search and filters instead of keeping them
+ * @param {Object|null} state - From parseURLState
+ * @returns {Object} viz and item are null when absent (the caller picks the default view)
+ */
+export function completeURLState(state) {
+  const parsed = state || {};
+  const complete = {
+    viz: parsed.viz || null,
+    search: parsed.search || '',
+    dateFrom: parsed.dateFrom || '',
+    dateTo: parsed.dateTo || '',
+    refinements: parsed.refinements || [],
+    since: parsed.since || '',
+    focus: parsed.focus || null,
+    item: parsed.item || null
+  };
+  FACET_KEYS.forEach(key => {
+    complete[key] = normalizeFacet(parsed[key]);
+  });
+  return complete;
+}
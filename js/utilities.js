@@ -3,6 +3,8 @@
  * Utility functions for data processing, tooltips, and exports
  */
 
+import { isNewItem } from './versionDiff.js';
+
 // Debug mode flag - set to false for production
 const DEBUG = false;
 const log = DEBUG ? console.log.bind(console) : () => {};
@@ -60,6 +62,9 @@ function sanitizeAttr(text) {
 // Export sanitization functions for use in other modules
 export { sanitizeText, sanitizeUrl, sanitizeAttr };
 
+// "New" marker for items added since the compared dataset version (see versionDiff.js)
+const NEW_BADGE = '<span class="new-badge">New</span>';
+
 // Tooltip functions
 const CONTENT_THRESHOLD = 2; // Show in side panel if more than 2 items
 const TOOLTIP_HIDE_DELAY = 800; // Delay before hiding tooltip (ms)
@@ -71,13 +76,13 @@ export function showTooltip(tooltip, event, d) {
     clearTimeout(tooltipHideTimeout);
     tooltipHideTimeout = null;
   }
-  const name = d.data?.name || d.data?.entity_name || 'Unknown';
+  const name = d.data?.name || 'Unknown';
   const type = d.data?.type || '';
 
   tooltip.select('.tooltip-name').text(name);
 
   // Check for content items in urls/content/items arrays
-  const items = d.data?.urls || d.data?.content || d.data?.items || [];
+  const items = d.data?.urls || [];
 
   log(`Tooltip for "${name}": ${items ? items.length : 0} items`);
 
@@ -115,18 +120,19 @@ export function showTooltip(tooltip, event, d) {
 
       items.forEach(item => {
         // SECURITY: Sanitize all user-provided data to prevent XSS
-        const itemTitle = sanitizeText(item.title || item.name || 'Untitled');
-        const itemType = sanitizeText(item.type_ || item.type || '');
-        const itemAuthor = sanitizeText(item.author || item.creator || '');
-        const itemUrl = sanitizeUrl(item.url || '');
-        const itemDate = sanitizeText(item.date || '');
+        const itemTitle = sanitizeText(item.title || 'Untitled');
+        const itemType = sanitizeText(item.type);
+        const itemAuthor = sanitizeText(item.author);
+        const itemUrl = sanitizeUrl(item.url);
+        const itemDate = sanitizeText(item.date);
+        const newBadge = isNewItem(item) ? NEW_BADGE : '';
 
         detailsHtml += `<div style="margin: 8px 0; padding: 6px; border-left: 2px solid #40916c; background: rgba(64, 145, 108, 0.05);">`;
 
         if (itemUrl && itemUrl !== '#') {
-          detailsHtml += `<div style="font-weight: 500;"><a href="${sanitizeAttr(itemUrl)}" target="_blank" rel="noopener noreferrer" class="tooltip-link" style="color: #40916c; text-decoration: none;">${itemTitle}</a></div>`;
+          detailsHtml += `<div style="font-weight: 500;"><a href="${sanitizeAttr(itemUrl)}" target="_blank" rel="noopener noreferrer" class="tooltip-link" style="color: #40916c; text-decoration: none;">${itemTitle}</a>${newBadge}</div>`;
         } else {
-          detailsHtml += `<div style="font-weight: 500;">${itemTitle}</div>`;
+          detailsHtml += `<div style="font-weight: 500;">${itemTitle}${newBadge}</div>`;
         }
 
         if (itemType || itemAuthor || itemDate) {
@@ -196,8 +202,8 @@ export function hideTooltip(tooltip) {
 // Side panel functions
 export function showSidePanel(sidePanel, d) {
   // SECURITY: Sanitize node name
-  const name = sanitizeText(d.data?.name || d.data?.entity_name || 'Unknown');
-  const items = d.data?.urls || d.data?.content || d.data?.items || [];
+  const name = sanitizeText(d.data?.name || 'Unknown');
+  const items = d.data?.urls || [];
 
   if (!items || !Array.isArray(items) || items.length === 0) {
     return; // Don't show panel if no items
@@ -210,7 +216,7 @@ export function showSidePanel(sidePanel, d) {
   window._currentPanelItems = items;
   window._currentPanelName = name;
   window._currentNodeData = d; // Store D3 hierarchy node for path traversal
-  window._currentNodeId = d.data?.name || name; // Use name as ID
+  window._currentNodeId = d.data?.id || name; // Stable path/URL-derived ID
 
   // Check if this node is favorited
   const favorited = isFavorite(window._currentNodeId);
@@ -238,22 +244,25 @@ export function showSidePanel(sidePanel, d) {
 
   items.forEach((item, index) => {
     // SECURITY: Sanitize all user-provided data to prevent XSS
-    const itemTitle = sanitizeText(item.title || item.name || 'Untitled');
-    const itemType = sanitizeText(item.type_ || item.type || '');
-    const itemAuthor = sanitizeText(item.author || item.creator || '');
-    const itemUrl = sanitizeUrl(item.url || '');
-    const itemDate = sanitizeText(item.date || '');
-    const itemDescription = sanitizeText(item.description || item.abstract || '');
-    const itemTags = item.tags || '';
-
-    contentHtml += `<div class="side-panel-item">`;
+    const itemTitle = sanitizeText(item.title || 'Untitled');
+    const itemType = sanitizeText(item.type);
+    const itemAuthor = sanitizeText(item.author);
+    const itemUrl = sanitizeUrl(item.url);
+    const itemDate = sanitizeText(item.date);
+    const itemDescription = sanitizeText(item.description);
+    const itemTags = item.tags;
+    const itemId = getItemId(item);
+    const newBadge = isNewItem(item) ? NEW_BADGE : '';
+
+    contentHtml += `<div class="side-panel-item" data-item-id="${sanitizeAttr(itemId)}">`;
     contentHtml += `<div class="item-number">${index + 1}</div>`;
     contentHtml += `<div class="item-content">`;
 
+    const permalink = `<a class="item-permalink" href="#item=${encodeURIComponent(itemId)}" title="Link to this item">🔗</a>`;
     if (itemUrl && itemUrl !== '#') {
-      contentHtml += `<div class="item-title"><a href="${sanitizeAttr(itemUrl)}" target="_blank" rel="noopener noreferrer" class="side-panel-link">${itemTitle}</a></div>`;
+      contentHtml += `<div class="item-title"><a href="${sanitizeAttr(itemUrl)}" target="_blank" rel="noopener noreferrer" class="side-panel-link">${itemTitle}</a>${newBadge}${permalink}</div>`;
     } else {
-      contentHtml += `<div class="item-title">${itemTitle}</div>`;
+      contentHtml += `<div class="item-title">${itemTitle}${newBadge}${permalink}</div>`;
     }
 
     if (itemType || itemAuthor || itemDate) {
@@ -268,10 +277,9 @@ export function showSidePanel(sidePanel, d) {
       contentHtml += `<div class="item-description">${itemDescription}</div>`;
     }
 
-    if (itemTags) {
-      const tagsArray = Array.isArray(itemTags) ? itemTags : itemTags.split(',').map(t => t.trim());
+    if (itemTags.length > 0) {
       contentHtml += `<div class="item-tags">`;
-      tagsArray.forEach(tag => {
+      itemTags.forEach(tag => {
         // SECURITY: Sanitize each tag
         contentHtml += `<span class="tag">${sanitizeText(tag)}</span>`;
       });
@@ -322,6 +330,25 @@ export function showSidePanel(sidePanel, d) {
       event.stopPropagation();
     });
   });
+
+  // Permalinks copy the full link; without clipboard access they just navigate
+  sidePanel.querySelectorAll('.item-permalink').forEach(link => {
+    link.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (!navigator.clipboard) return;
+      event.preventDefault();
+      navigator.clipboard.writeText(link.href).then(() => {
+        link.classList.add('copied');
+        link.title = 'Link copied';
+        setTimeout(() => {
+          link.classList.remove('copied');
+          link.title = 'Link to this item';
+        }, 1500);
+      }).catch(() => {
+        window.location.hash = link.getAttribute('href');
+      });
+    });
+  });
 }
 
 export function hideSidePanel(sidePanel) {
@@ -330,23 +357,91 @@ export function hideSidePanel(sidePanel) {
 
 // Helper to check if node has many items (above threshold)
 export function hasManyItems(d) {
-  const items = d.data?.urls || d.data?.content || d.data?.items || [];
+  const items = d.data?.urls || [];
   return items && Array.isArray(items) && items.length > CONTENT_THRESHOLD;
 }
 
-// Data preprocessing: Convert urls arrays into proper D3 hierarchy nodes
-export function preprocessDataForD3(node) {
+// ============================================================================
+// STABLE IDS
+// ============================================================================
+
+// Item ids are memoized per item object; the same URL always hashes the same
+const itemIdCache = new WeakMap();
+
+// Lowercase ASCII slug used for taxonomy path segments
+export function slugify(text) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'unnamed';
+}
+
+// Taxonomy node id from its path below the root, e.g. ['Power', 'Solar'] -> 'power.solar'
+export function getNodeId(pathNames) {
+  if (!pathNames || pathNames.length === 0) return 'root';
+  return pathNames.map(slugify).join('.');
+}
+
+// cyrb53: small, well-distributed 53-bit string hash
+function hash53(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+// Ignore protocol, "www." and trailing slashes so trivially different URLs share an id
+function normalizeItemUrl(url) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^www\./, '');
+    const path = u.pathname.replace(/\/+$/, '');
+    return `${host}${path}${u.search}`.toLowerCase();
+  } catch (e) {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+// Item id derived from its URL (title + author for the rare item without one)
+export function getItemId(item) {
+  if (!item || typeof item !== 'object') return '';
+  if (itemIdCache.has(item)) return itemIdCache.get(item);
+
+  const key = item.url
+    ? normalizeItemUrl(item.url)
+    : `${item.title}|${item.author}`.toLowerCase();
+  const id = 'i' + hash53(key).toString(36);
+
+  itemIdCache.set(item, id);
+  return id;
+}
+
+// Data preprocessing: Convert urls arrays into proper D3 hierarchy nodes.
+// Expects the canonical shape from normalizeDataset (normalize.js).
+// `path` holds the names of the node's ancestors below the root (used for ids).
+export function preprocessDataForD3(node, path = []) {
   const processed = {
-    name: node.name || node.entity_name || 'Unnamed'
+    name: node.name
   };
+  processed.id = getNodeId(path);
 
   // Preserve node-level properties
   if (node.type) processed.type = node.type;
-  if (node.tags) processed.tags = node.tags;
+  if (node.tags.length > 0) processed.tags = node.tags;
 
   // IMPORTANT: Preserve original items array for tooltip/side panel access
-  const items = node.url_data || node.urls || node.content || node.items || [];
-  if (Array.isArray(items) && items.length > 0) {
+  const items = node.urls;
+  if (items.length > 0) {
     processed.urls = items; // Store original items array
   }
 
@@ -354,9 +449,15 @@ export function preprocessDataForD3(node) {
   const childNodes = [];
 
   // First, recursively process existing category children
-  if (node.children && Array.isArray(node.children) && node.children.length > 0) {
+  if (node.children.length > 0) {
+    const usedIds = new Set();
     node.children.forEach(child => {
-      const processedChild = preprocessDataForD3(child);
+      const processedChild = preprocessDataForD3(child, [...path, child.name]);
+      // Siblings whose names slugify identically get a numeric suffix
+      let id = processedChild.id;
+      for (let n = 2; usedIds.has(id); n++) id = `${processedChild.id}-${n}`;
+      usedIds.add(id);
+      if (id !== processedChild.id) reassignNodeIds(processedChild, processedChild.id, id);
       // Only include child if it has content (children or is a leaf)
       if (processedChild.children || processedChild.isLeaf) {
         childNodes.push(processedChild);
@@ -364,13 +465,12 @@ export function preprocessDataForD3(node) {
     });
   }
 
-  // Then, convert urls/content/items arrays into leaf children
-  if (Array.isArray(items) && items.length > 0) {
+  // Then, convert the items into leaf children
+  if (items.length > 0) {
     items.forEach(item => {
-      // Extract meaningful name from various sources
-      let itemName = item.title || item.name;
+      let itemName = item.title;
 
-      // If no title/name, try to use URL domain or description as fallback
+      // If no title, try to use URL domain or description as fallback
       if (!itemName && item.url) {
         try {
           const urlObj = new URL(item.url);
@@ -389,14 +489,14 @@ export function preprocessDataForD3(node) {
       }
 
       const leafNode = {
+        id: getItemId(item),
         name: itemName,
-        url: item.url || '',
-        type: item.type_ || item.type || '',
-        author: item.author || item.creator || '',
-        tags: item.tags || [],
-        description: item.description || item.abstract || '',
-        date: item.date || '',
-        confidence: item.confidence,
+        url: item.url,
+        type: item.type,
+        author: item.author,
+        tags: item.tags,
+        description: item.description,
+        date: item.date,
         isLeaf: true,  // Mark as actual content leaf
         // IMPORTANT: Preserve the original item as a single-item array for tooltip
         urls: [item]  // Wrap in array so tooltip code works consistently
@@ -417,6 +517,13 @@ export function preprocessDataForD3(node) {
   return processed;
 }
 
+// Re-prefix a processed subtree after a sibling id collision (item ids are left alone)
+function reassignNodeIds(node, oldPrefix, newPrefix) {
+  if (node.isLeaf && !node.isEmpty) return;
+  node.id = newPrefix + node.id.slice(oldPrefix.length);
+  (node.children || []).forEach(child => reassignNodeIds(child, oldPrefix, newPrefix));
+}
+
 // Count total nodes in hierarchy
 export function countNodes(data) {
   if (!data) return 0;
@@ -431,97 +538,216 @@ export function countNodes(data) {
   return count;
 }
 
+// ============================================================================
+// FACET FILTERS
+// ============================================================================
+
+// Facet filter state is { mode: 'include' | 'exclude', values: [] };
+// no values means the facet is inactive ("All"). Values OR within a facet.
+export const FACET_KEYS = ['type', 'tag', 'author', 'location'];
+
+// Keys of refinements, the exact filters the Stats view adds on top of the others:
+// 'sector' is a depth-1 category id, the rest item values (see getItemFacetValues)
+export const REFINEMENT_KEYS = ['sector', 'affiliation', ...FACET_KEYS];
+
+// Values a canonical item carries for a facet
+export function getItemFacetValues(item, key) {
+  if (!item || typeof item !== 'object') return [];
+
+  switch (key) {
+    case 'type': return item.type ? [item.type] : [];
+    case 'tag': return item.tags;
+    case 'author': return item.author ? [item.author] : [];
+    case 'location': return item.location ? [item.location] : [];
+    case 'affiliation': return item.affiliation ? [item.affiliation] : [];
+    default: return [];
+  }
+}
+
+// Normalize a facet selection: 'all', a single value, an array of values or a facet object
+export function normalizeFacet(selection) {
+  if (!selection || selection === 'all') return { mode: 'include', values: [] };
+  if (typeof selection === 'string') return { mode: 'include', values: [selection] };
+  if (Array.isArray(selection)) return { mode: 'include', values: [...selection] };
+  return {
+    mode: selection.mode === 'exclude' ? 'exclude' : 'include',
+    values: Array.from(selection.values || [])
+  };
+}
+
+// Whether a facet selection filters anything
+export function isFacetActive(selection) {
+  return normalizeFacet(selection).values.length > 0;
+}
+
+// Whether an item passes a facet: include needs one of the values, exclude needs none
+export function itemMatchesFacet(item, key, selection) {
+  const facet = normalizeFacet(selection);
+  if (facet.values.length === 0) return true;
+  const hit = getItemFacetValues(item, key).some(value => facet.values.includes(value));
+  return facet.mode === 'exclude' ? !hit : hit;
+}
+
+// Short label for a facet selection ("All", "Podcast, Video", "Not Person", "3 selected")
+export function formatFacet(selection, allLabel = 'All') {
+  const facet = normalizeFacet(selection);
+  if (facet.values.length === 0) return allLabel;
+  const list = facet.values.length <= 2 ? facet.values.join(', ') : `${facet.values.length} selected`;
+  return facet.mode === 'exclude' ? `Not ${list}` : list;
+}
+
 // Extract unique types and tags from data
 export function extractTypesAndTags(node, allTypes, allTags, allAuthors = null, allLocations = null) {
   // Extract from node-level properties (if they exist)
   if (node.type) allTypes.add(node.type);
-  if (node.tags && Array.isArray(node.tags)) {
-    node.tags.forEach(tag => allTags.add(tag));
-  }
-
-  // Extract from content arrays (url_data, urls, content, items)
-  const items = node.url_data || node.urls || node.content || node.items || [];
-  if (Array.isArray(items) && items.length > 0) {
-    items.forEach(item => {
-      // Handle various property name patterns
-      const type = item.type_ || item.type || item.category;
-      const tags = item.tags || item.keywords || item.categories;
-      const author = item.author || item.creator || item.source;
-      const location = item.location || item.country || item.region;
-
-      if (type && String(type).trim()) {
-        allTypes.add(String(type).trim());
-      }
+  node.tags.forEach(tag => allTags.add(tag));
 
-      // Extract authors
-      if (allAuthors && author && String(author).trim()) {
-        allAuthors.add(String(author).trim());
-      }
+  // Extract from the node's items
+  node.urls.forEach(item => {
+    getItemFacetValues(item, 'type').forEach(type => allTypes.add(type));
+    getItemFacetValues(item, 'tag').forEach(tag => allTags.add(tag));
 
-      // Extract locations
-      if (allLocations && location && String(location).trim()) {
-        allLocations.add(String(location).trim());
-      }
+    // Extract authors
+    if (allAuthors) {
+      getItemFacetValues(item, 'author').forEach(author => allAuthors.add(author));
+    }
 
-      // Handle tags - can be array or comma-separated string
-      if (Array.isArray(tags)) {
-        tags.forEach(tag => {
-          if (tag && String(tag).trim()) {
-            allTags.add(String(tag).trim());
-          }
-        });
-      } else if (tags && typeof tags === 'string') {
-        // Split comma-separated tags
-        tags.split(',').forEach(tag => {
-          const trimmed = tag.trim();
-          if (trimmed) {
-            allTags.add(trimmed);
-          }
-        });
-      }
-    });
-  }
+    // Extract locations
+    if (allLocations) {
+      getItemFacetValues(item, 'location').forEach(location => allLocations.add(location));
+    }
+  });
 
   // Recursively process children
-  if (node.children) {
-    node.children.forEach(child => extractTypesAndTags(child, allTypes, allTags, allAuthors, allLocations));
-  }
+  node.children.forEach(child => extractTypesAndTags(child, allTypes, allTags, allAuthors, allLocations));
 }
 
-// Populate type dropdown
-// Generic dropdown populator
-function populateDropdown(elementId, datasetKey, items, onSelect) {
+// Generic facet dropdown populator
+// Adds an Include/Exclude mode toggle and one checkbox per value after the
+// static "All" option. onChange receives the new facet { mode, values }.
+function populateDropdown(elementId, datasetKey, items, onChange) {
   const dropdown = document.getElementById(elementId);
   if (!dropdown) return;
   const sorted = Array.from(items).sort();
 
-  sorted.forEach(item => {
+  // Read the selection back from the checkboxes and mode toggle
+  const readFacet = () => ({
+    mode: dropdown.querySelector('.facet-mode-btn.active')?.dataset.mode || 'include',
+    values: Array.from(dropdown.querySelectorAll('.facet-option input:checked')).map(input => input.value)
+  });
+
+  // Loading another dataset rebuilds the options; the static listeners stay
+  dropdown.querySelectorAll('.facet-mode-toggle, .facet-option').forEach(el => el.remove());
+
+  if (!dropdown.dataset.facetReady) {
+    dropdown.dataset.facetReady = 'true';
+
+    // Toggling checkboxes keeps the dropdown open
+    dropdown.addEventListener('click', (e) => e.stopPropagation());
+
+    const allOption = dropdown.querySelector(`[data-${datasetKey}="all"]`);
+    if (allOption) {
+      allOption.addEventListener('click', () => {
+        dropdown.querySelectorAll('.facet-option input').forEach(input => { input.checked = false; });
+        onChange(readFacet());
+      });
+    }
+  }
+
+  const modeToggle = document.createElement('div');
+  modeToggle.className = 'facet-mode-toggle';
+  modeToggle.setAttribute('role', 'group');
+  modeToggle.setAttribute('aria-label', 'Filter mode');
+  [['include', 'Include'], ['exclude', 'Exclude']].forEach(([mode, label]) => {
     const btn = document.createElement('button');
-    btn.className = 'dropdown-option';
-    btn.dataset[datasetKey] = item;
-    btn.textContent = item;
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      onSelect(item, btn);
+    btn.type = 'button';
+    btn.className = `facet-mode-btn${mode === 'include' ? ' active' : ''}`;
+    btn.dataset.mode = mode;
+    btn.textContent = label;
+    btn.setAttribute('aria-pressed', mode === 'include' ? 'true' : 'false');
+    btn.addEventListener('click', () => {
+      modeToggle.querySelectorAll('.facet-mode-btn').forEach(b => {
+        b.classList.toggle('active', b === btn);
+        b.setAttribute('aria-pressed', b === btn ? 'true' : 'false');
+      });
+      onChange(readFacet());
     });
-    dropdown.appendChild(btn);
+    modeToggle.appendChild(btn);
+  });
+  dropdown.insertBefore(modeToggle, dropdown.firstChild);
+
+  sorted.forEach(item => {
+    const label = document.createElement('label');
+    label.className = 'dropdown-option facet-option';
+    label.dataset[datasetKey] = item;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = item;
+    checkbox.addEventListener('change', () => onChange(readFacet()));
+
+    const text = document.createElement('span');
+    text.className = 'facet-option-label';
+    text.textContent = item;
+
+    // Live item count, filled in by updateFacetCounts
+    const count = document.createElement('span');
+    count.className = 'facet-option-count';
+
+    label.append(checkbox, text, count);
+    dropdown.appendChild(label);
+  });
+}
+
+// Reflect a facet selection in its dropdown (checkboxes, mode toggle, "All" option)
+export function syncFacetDropdown(elementId, datasetKey, selection) {
+  const dropdown = document.getElementById(elementId);
+  if (!dropdown) return;
+  const facet = normalizeFacet(selection);
+
+  dropdown.querySelectorAll('.facet-option input').forEach(input => {
+    input.checked = facet.values.includes(input.value);
+  });
+  dropdown.querySelectorAll('.facet-mode-btn').forEach(btn => {
+    const active = btn.dataset.mode === facet.mode;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+  });
+  const allOption = dropdown.querySelector(`[data-${datasetKey}="all"]`);
+  if (allOption) allOption.classList.toggle('active', facet.values.length === 0);
+}
+
+// Show live item counts on a facet dropdown's options. Zero-count values are greyed
+// out and disabled, unless selected (so they can still be unchecked).
+export function updateFacetCounts(elementId, counts) {
+  const dropdown = document.getElementById(elementId);
+  if (!dropdown) return;
+
+  dropdown.querySelectorAll('.facet-option').forEach(option => {
+    const input = option.querySelector('input');
+    const count = counts ? (counts.get(input.value) || 0) : 0;
+    const empty = count === 0 && !input.checked;
+
+    option.querySelector('.facet-option-count').textContent = count.toLocaleString();
+    option.classList.toggle('is-empty', empty);
+    input.disabled = empty;
   });
 }
 
-export function populateTypeDropdown(allTypes, onSelect) {
-  populateDropdown('typeDropdown', 'type', allTypes, onSelect);
+export function populateTypeDropdown(allTypes, onChange) {
+  populateDropdown('typeDropdown', 'type', allTypes, onChange);
 }
 
-export function populateTagDropdown(allTags, onSelect) {
-  populateDropdown('tagDropdown', 'tag', allTags, onSelect);
+export function populateTagDropdown(allTags, onChange) {
+  populateDropdown('tagDropdown', 'tag', allTags, onChange);
 }
 
-export function populateAuthorDropdown(allAuthors, onSelect) {
-  populateDropdown('authorDropdown', 'author', allAuthors, onSelect);
+export function populateAuthorDropdown(allAuthors, onChange) {
+  populateDropdown('authorDropdown', 'author', allAuthors, onChange);
 }
 
-export function populateLocationDropdown(allLocations, onSelect) {
-  populateDropdown('locationDropdown', 'location', allLocations, onSelect);
+export function populateLocationDropdown(allLocations, onChange) {
+  populateDropdown('locationDropdown', 'location', allLocations, onChange);
 }
 
 // Setup dropdown functionality
@@ -550,7 +776,7 @@ export function closeAllDropdowns() {
 // Flatten hierarchy for export
 export function flattenHierarchy(node, parent = null, result = []) {
   const entry = {
-    name: node.name || node.entity_name || '',
+    name: node.name || '',
     parent: parent || '',
     type: node.type || '',
     tags: Array.isArray(node.tags) ? node.tags.join(', ') : '',
@@ -580,22 +806,19 @@ export function generateExportFilename(extension, filters = {}) {
   if (filters.search && filters.search.trim()) {
     parts.push(`search-${filters.search.replace(/[^a-z0-9]/gi, '-').substring(0, 20)}`);
   }
-  if (filters.type && filters.type !== 'all') {
-    parts.push(`type-${filters.type.replace(/[^a-z0-9]/gi, '-')}`);
-  }
-  if (filters.tag && filters.tag !== 'all') {
-    parts.push(`tag-${filters.tag.replace(/[^a-z0-9]/gi, '-')}`);
-  }
-  if (filters.author && filters.author !== 'all') {
-    parts.push(`author-${filters.author.replace(/[^a-z0-9]/gi, '-').substring(0, 20)}`);
-  }
-  if (filters.location && filters.location !== 'all') {
-    parts.push(`location-${filters.location.replace(/[^a-z0-9]/gi, '-')}`);
-  }
+  FACET_KEYS.forEach(key => {
+    const facet = normalizeFacet(filters[key]);
+    if (facet.values.length === 0) return;
+    const values = facet.values.join('+').replace(/[^a-z0-9+]/gi, '-').substring(0, 20);
+    parts.push(`${facet.mode === 'exclude' ? 'not-' : ''}${key}-${values}`);
+  });
   if (filters.dateFrom || filters.dateTo) {
     const dateRange = `${filters.dateFrom || 'start'}-to-${filters.dateTo || 'end'}`;
     parts.push(dateRange);
   }
+  if (filters.since) {
+    parts.push(`since-${filters.since}`);
+  }
 
   parts.push(timestamp);
 
@@ -614,10 +837,10 @@ export function downloadJSON(data, filters = {}) {
       totalNodes: nodeCount,
       filters: {
         search: filters.search || '',
-        type: filters.type || 'all',
-        tag: filters.tag || 'all',
-        author: filters.author || 'all',
-        location: filters.location || 'all',
+        type: normalizeFacet(filters.type),
+        tag: normalizeFacet(filters.tag),
+        author: normalizeFacet(filters.author),
+        location: normalizeFacet(filters.location),
         dateFrom: filters.dateFrom || '',
         dateTo: filters.dateTo || ''
       }
@@ -686,7 +909,7 @@ export function downloadItemsAsTSV(items, nodeName) {
   const header = fields.join('\t');
   const rows = items.map(item => {
     return fields.map(f => {
-      let val = item[f] || item[f + '_'] || '';
+      let val = item[f] || '';
       if (Array.isArray(val)) val = val.join(', ');
       return String(val).replace(/[\t\n\r]/g, ' ');
     }).join('\t');
@@ -917,6 +1140,39 @@ export function clearFavorites() {
   window.dispatchEvent(new CustomEvent('favoritesChanged'));
 }
 
+// Older favorites used the node name as id; rewrite them to stable ids by matching
+// their stored path against the preprocessed tree. Unmatched entries are kept as-is.
+export function migrateFavorites(processedRoot) {
+  const favorites = getFavorites();
+  if (!processedRoot || favorites.length === 0) return;
+
+  const idByPath = new Map();
+  const knownIds = new Set();
+  (function walk(node, parts) {
+    const path = [...parts, node.name].join(' > ');
+    if (!idByPath.has(path)) idByPath.set(path, node.id);
+    knownIds.add(node.id);
+    (node.children || []).forEach(child => walk(child, [...parts, node.name]));
+  })(processedRoot, []);
+
+  let changed = false;
+  const migrated = favorites.map(fav => {
+    if (knownIds.has(fav.id)) return fav;
+    const id = idByPath.get(fav.path);
+    if (!id) return fav;
+    changed = true;
+    return { ...fav, id };
+  });
+
+  if (changed) {
+    // Two legacy entries may resolve to the same node
+    const seen = new Set();
+    const deduped = migrated.filter(fav => !seen.has(fav.id) && seen.add(fav.id));
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify(deduped));
+    log('Migrated favorites to stable ids');
+  }
+}
+
 // Export favorites as JSON
 export function exportFavorites() {
   const favorites = getFavorites();
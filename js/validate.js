@@ -0,0 +1,204 @@
+/**
+ * validate.js
+ * Dataset schema validator. Checks the raw solution map (as loaded, before
+ * normalize.js cleans it) against DATASET_SCHEMA and returns a structured
+ * report that the diagnostics panel lists and exports.
+ */
+
+import { getItemId } from './utilities.js';
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+/**
+ * The documented dataset shape (see "Dataset Validation" in README.md).
+ * Nodes: { name, children?: Node[], url_data?: Item[] }
+ * Items: { title, url, type_, author?, date?, tags?, keywords?, description?, ... }
+ */
+export const DATASET_SCHEMA = {
+  itemArrays: ['url_data', 'urls', 'content', 'items'],
+  knownTypes: ['CD Original Article', 'Article', 'Podcast', 'Video', 'Person', 'Company'],
+  urlProtocols: ['http:', 'https:'],
+  // M/D/YYYY (the spreadsheet export) or ISO YYYY-MM-DD
+  datePatterns: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, /^\d{4}-\d{2}-\d{2}$/]
+};
+
+// Issue codes with their severity: errors break a listing, warnings degrade it,
+// info marks things worth a look (the taxonomy keeps placeholder categories)
+export const ISSUE_CODES = {
+  'invalid-json': 'error',
+  'invalid-tsv': 'error',
+  'missing-file': 'error',
+  'invalid-root': 'error',
+  'missing-name': 'error',
+  'invalid-children': 'error',
+  'invalid-items': 'error',
+  'invalid-item': 'error',
+  'missing-title': 'error',
+  'missing-url': 'error',
+  'invalid-url': 'error',
+  'invalid-date': 'error',
+  'nonstandard-date': 'warning',
+  'unknown-type': 'warning',
+  'type-case': 'warning',
+  'duplicate-url': 'warning',
+  'unplaced-item': 'warning',
+  'ambiguous-category': 'warning',
+  'empty-category': 'info'
+};
+
+// Problems with the file itself: nothing can be shown
+const FATAL_CODES = ['invalid-json', 'invalid-tsv', 'missing-file', 'invalid-root'];
+
+// Report skeleton shared by validateDataset and fileErrorReport
+function createReport(source) {
+  return {
+    source: source || '',
+    generatedAt: new Date().toISOString(),
+    summary: { errors: 0, warnings: 0, info: 0, nodes: 0, items: 0 },
+    issues: []
+  };
+}
+
+/**
+ * Record an issue on a report
+ * @param {Object} report
+ * @param {string} code - Key of ISSUE_CODES (sets the severity)
+ * @param {string} message
+ * @param {string[]} path - Node names from the root
+ * @param {Object} [extra] - item, title, value
+ */
+export function addIssue(report, code, message, path, extra = {}) {
+  const severity = ISSUE_CODES[code] || 'warning';
+  report.issues.push({ severity, code, message, path: path.join(' > '), ...extra });
+  report.summary[severity === 'info' ? 'info' : `${severity}s`]++;
+}
+
+function validateUrl(value) {
+  try {
+    return DATASET_SCHEMA.urlProtocols.includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function validateItem(report, item, index, path) {
+  const label = { item: index + 1 };
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    addIssue(report, 'invalid-item', 'Item is not an object', path, label);
+    return;
+  }
+
+  const title = typeof item.title === 'string' ? item.title.trim() : '';
+  if (title) label.title = title;
+  else addIssue(report, 'missing-title', 'Item has no title', path, label);
+
+  const url = typeof item.url === 'string' ? item.url.trim() : '';
+  if (!url) {
+    addIssue(report, 'missing-url', 'Item has no URL', path, label);
+  } else if (!validateUrl(url)) {
+    addIssue(report, 'invalid-url', `URL is not a valid http(s) address: "${url}"`, path, { ...label, value: url });
+  }
+
+  const date = String(item.date ?? '').trim();
+  if (date && !DATASET_SCHEMA.datePatterns.some(pattern => pattern.test(date))) {
+    // Two-digit years (M/D/YY) still parse; anything else is unusable
+    const code = /^\d{1,2}\/\d{1,2}\/\d{2}$/.test(date) ? 'nonstandard-date' : 'invalid-date';
+    addIssue(report, code, `Date "${date}" is not M/D/YYYY or YYYY-MM-DD`, path, { ...label, value: date });
+  }
+
+  const type = String(item.type_ ?? item.type ?? '').trim();
+  if (type && !DATASET_SCHEMA.knownTypes.includes(type)) {
+    const known = DATASET_SCHEMA.knownTypes.find(t => t.toLowerCase() === type.toLowerCase());
+    if (known) {
+      addIssue(report, 'type-case', `Type "${type}" should be written "${known}"`, path, { ...label, value: type });
+    } else {
+      addIssue(report, 'unknown-type', `Unknown type "${type}"`, path, { ...label, value: type });
+    }
+  }
+}
+
+function validateNode(report, node, path) {
+  report.summary.nodes++;
+
+  const name = typeof node.name === 'string' ? node.name.trim() : '';
+  const here = [...path, name || '(unnamed)'];
+  if (!name) addIssue(report, 'missing-name', 'Category has no name', here);
+
+  // Items may live under any of the accepted array names
+  const key = DATASET_SCHEMA.itemArrays.find(k => node[k] !== undefined);
+  const items = key ? node[key] : [];
+  if (!Array.isArray(items)) {
+    addIssue(report, 'invalid-items', `"${key}" is not an array`, here);
+  } else {
+    const seen = new Map(); // item id -> first item number
+    items.forEach((item, index) => {
+      report.summary.items++;
+      validateItem(report, item, index, here);
+      if (!item || typeof item.url !== 'string' || !item.url.trim()) return;
+      const id = getItemId(item);
+      if (seen.has(id)) {
+        addIssue(report, 'duplicate-url', `URL listed twice in this category (items ${seen.get(id)} and ${index + 1})`, here,
+          { item: index + 1, title: String(item.title || '').trim() || undefined, value: item.url.trim() });
+      } else {
+        seen.set(id, index + 1);
+      }
+    });
+  }
+
+  const children = node.children ?? [];
+  if (!Array.isArray(children)) {
+    addIssue(report, 'invalid-children', '"children" is not an array', here);
+  } else {
+    children.forEach(child => {
+      if (!child || typeof child !== 'object' || Array.isArray(child)) {
+        addIssue(report, 'invalid-children', 'Child category is not an object', here);
+      } else {
+        validateNode(report, child, here);
+      }
+    });
+  }
+
+  const itemCount = Array.isArray(items) ? items.length : 0;
+  const childCount = Array.isArray(children) ? children.length : 0;
+  if (path.length > 0 && itemCount === 0 && childCount === 0) {
+    addIssue(report, 'empty-category', 'Category has no items and no subcategories', here);
+  }
+}
+
+/**
+ * Validate the raw dataset against DATASET_SCHEMA
+ * @param {*} rawData - Parsed JSON as loaded
+ * @param {string} [source] - File name or URL, recorded in the report
+ * @returns {{source, generatedAt, summary: {errors, warnings, info, nodes, items},
+ *   issues: Array<{severity, code, message, path, item?, title?, value?}>}}
+ */
+export function validateDataset(rawData, source = '') {
+  const report = createReport(source);
+
+  if (!rawData || typeof rawData !== 'object' || Array.isArray(rawData)) {
+    addIssue(report, 'invalid-root', 'Dataset root must be an object with "name" and "children"', []);
+    return report;
+  }
+
+  validateNode(report, rawData, []);
+  log(`Validated ${report.summary.nodes} nodes, ${report.summary.items} items:`, report.summary);
+  return report;
+}
+
+// Report for a file that could not be read as a dataset at all
+export function fileErrorReport(code, message, source = '') {
+  const report = createReport(source);
+  addIssue(report, code, message, []);
+  return report;
+}
+
+export function invalidJsonReport(error, source = '') {
+  return fileErrorReport('invalid-json', `File is not valid JSON: ${error.message}`, source);
+}
+
+// Whether a report has errors that leave nothing to show
+export function isFatalReport(report) {
+  return report.issues.some(issue => FATAL_CODES.includes(issue.code));
+}
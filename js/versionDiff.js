@@ -0,0 +1,231 @@
+/**
+ * versionDiff.js
+ * "What's new": compares the published dataset with an archived snapshot
+ * (db/archive/<version>/CD_Solution_map_2_content.json) and keeps the active
+ * comparison, so views can badge new items and categories.
+ */
+
+import { normalizeDataset } from './normalize.js';
+import { getItemId, getNodeId, slugify } from './utilities.js';
+
+// Debug mode flag - set to false for production
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+
+const VERSION_URL = 'db/latest/version.txt';
+const ARCHIVE_URL = 'db/archive';
+const DATA_FILE = 'CD_Solution_map_2_content.json';
+
+// Snapshots by version: canonical root, or null when missing/unreadable
+const snapshots = new Map();
+const pendingSnapshots = new Map();
+
+// The comparison views badge against (null when there is none)
+let activeDiff = null;
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+// Numeric comparison of dotted versions ('1.0.10' > '1.0.9'); a leading "v" is ignored
+export function compareVersions(a, b) {
+  const pa = String(a).replace(/^v/i, '').split('.').map(Number);
+  const pb = String(b).replace(/^v/i, '').split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Published dataset version from version.txt ('' when unavailable)
+export async function fetchDatasetVersion() {
+  try {
+    const response = await fetch(VERSION_URL, { cache: 'no-cache' });
+    if (!response.ok) return '';
+    const version = (await response.text()).trim();
+    return /^v?\d+(\.\d+)*$/i.test(version) ? version : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function snapshotUrl(version) {
+  return `${ARCHIVE_URL}/${encodeURIComponent(version)}/${DATA_FILE}`;
+}
+
+/**
+ * Archived versions older than `current`, newest first. Read from
+ * db/archive/versions.json (a JSON array) when the archive publishes one;
+ * otherwise the earlier patch versions of `current` that exist.
+ */
+export async function listArchivedVersions(current) {
+  const older = versions => versions
+    .map(String)
+    .filter(version => compareVersions(version, current) < 0)
+    .sort((a, b) => compareVersions(b, a));
+
+  try {
+    const response = await fetch(`${ARCHIVE_URL}/versions.json`, { cache: 'no-cache' });
+    if (response.ok) {
+      const list = await response.json();
+      if (Array.isArray(list)) return older(list);
+    }
+  } catch (e) {
+    // No index: probe the earlier patch versions below
+  }
+
+  const m = /^(v?\d+\.\d+\.)(\d+)$/i.exec(current);
+  if (!m) return [];
+  const candidates = [];
+  for (let patch = Number(m[2]) - 1; patch >= 0; patch--) candidates.push(`${m[1]}${patch}`);
+  const found = await Promise.all(candidates.map(async version => {
+    try {
+      const response = await fetch(snapshotUrl(version), { method: 'HEAD' });
+      return response.ok ? version : null;
+    } catch (e) {
+      return null;
+    }
+  }));
+  return older(found.filter(Boolean));
+}
+
+/**
+ * Fetch and normalize an archived snapshot (cached per version)
+ * @returns {Promise<Object|null>} Canonical root, or null when it cannot be loaded
+ */
+export function loadSnapshot(version) {
+  if (snapshots.has(version)) return Promise.resolve(snapshots.get(version));
+  if (pendingSnapshots.has(version)) return pendingSnapshots.get(version);
+
+  const pending = fetch(snapshotUrl(version))
+    .then(response => (response.ok ? response.json() : null))
+    .then(raw => (raw && typeof raw === 'object' ? normalizeDataset(raw) : null))
+    .catch(error => {
+      console.warn(`Snapshot ${version} could not be loaded:`, error);
+      return null;
+    })
+    .then(snapshot => {
+      snapshots.set(version, snapshot);
+      pendingSnapshots.delete(version);
+      return snapshot;
+    });
+  pendingSnapshots.set(version, pending);
+  return pending;
+}
+
+// Already loaded snapshot (undefined while not fetched, null when unavailable)
+export function getLoadedSnapshot(version) {
+  return snapshots.get(version);
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+// Every item (by id, with the category paths it is filed under) and category (by node id)
+function indexDataset(root) {
+  const items = new Map();
+  const categories = new Map();
+
+  (function walk(node, names) {
+    const path = [root.name, ...names].join(' > ');
+    if (names.length > 0) {
+      categories.set(getNodeId(names), { id: getNodeId(names), name: node.name, path });
+    }
+    node.urls.forEach(item => {
+      const id = getItemId(item);
+      if (!items.has(id)) items.set(id, { id, item, paths: [] });
+      const entry = items.get(id);
+      if (!entry.paths.includes(path)) entry.paths.push(path);
+    });
+    node.children.forEach(child => walk(child, [...names, child.name]));
+  })(root, []);
+
+  return { items, categories };
+}
+
+/**
+ * Compare two canonical datasets
+ * @param {Object} previous - Canonical root of the older snapshot
+ * @param {Object} current - Canonical root of the shown data
+ * @param {Object} [versions] - { from, to } labels kept on the result
+ * @returns {{from, to,
+ *   items: {added, removed, moved}, categories: {added, removed, moved},
+ *   addedItemIds: Set, addedCategoryIds: Set}}
+ *   Items are { id, item, paths } (moved: { id, item, from, to });
+ *   categories are { id, name, path } (moved: { id, name, from, to }).
+ */
+export function diffDatasets(previous, current, versions = {}) {
+  const before = indexDataset(previous);
+  const after = indexDataset(current);
+
+  const items = { added: [], removed: [], moved: [] };
+  after.items.forEach((entry, id) => {
+    const old = before.items.get(id);
+    if (!old) {
+      items.added.push(entry);
+    } else if (old.paths.slice().sort().join('\n') !== entry.paths.slice().sort().join('\n')) {
+      items.moved.push({ id, item: entry.item, from: old.paths, to: entry.paths });
+    }
+  });
+  before.items.forEach((entry, id) => {
+    if (!after.items.has(id)) items.removed.push(entry);
+  });
+
+  let addedCategories = [...after.categories.values()].filter(c => !before.categories.has(c.id));
+  let removedCategories = [...before.categories.values()].filter(c => !after.categories.has(c.id));
+
+  // A category that vanished from one place and appeared under the same name elsewhere moved
+  const moved = [];
+  removedCategories.forEach(old => {
+    const slug = slugify(old.name);
+    const sameName = addedCategories.filter(c => slugify(c.name) === slug);
+    const wasUnique = removedCategories.filter(c => slugify(c.name) === slug).length === 1;
+    if (sameName.length === 1 && wasUnique) {
+      moved.push({ id: sameName[0].id, name: sameName[0].name, from: old.path, to: sameName[0].path });
+    }
+  });
+  const movedFrom = new Set(moved.map(m => m.from));
+  const movedTo = new Set(moved.map(m => m.id));
+  addedCategories = addedCategories.filter(c => !movedTo.has(c.id));
+  removedCategories = removedCategories.filter(c => !movedFrom.has(c.path));
+
+  log(`Diff ${versions.from} → ${versions.to}:`, items.added.length, 'added,', items.removed.length, 'removed,', items.moved.length, 'moved');
+
+  return {
+    from: versions.from || '',
+    to: versions.to || '',
+    items,
+    categories: { added: addedCategories, removed: removedCategories, moved },
+    addedItemIds: new Set(items.added.map(entry => entry.id)),
+    addedCategoryIds: new Set(addedCategories.map(c => c.id))
+  };
+}
+
+// ============================================================================
+// ACTIVE COMPARISON
+// ============================================================================
+
+export function setActiveDiff(diff) {
+  activeDiff = diff || null;
+}
+
+export function getActiveDiff() {
+  return activeDiff;
+}
+
+// Whether an item (object or id) is new in the active comparison
+export function isNewItem(item) {
+  if (!activeDiff || !item) return false;
+  return activeDiff.addedItemIds.has(typeof item === 'string' ? item : getItemId(item));
+}
+
+// Whether a preprocessed node (item leaf or category) is new in the active comparison;
+// the views' clusters of terminal nodes are new when any clustered item is
+export function isNewNode(node) {
+  if (!activeDiff || !node) return false;
+  if (node._isCluster) return (node.urls || []).some(item => isNewItem(item));
+  if (node.isLeaf && !node.isEmpty) return activeDiff.addedItemIds.has(node.id);
+  return activeDiff.addedCategoryIds.has(node.id);
+}
@@ -0,0 +1,170 @@
+/**
+ * auditView.js
+ * "Audit" view for curators: the data-quality problems found by audit.js,
+ * grouped by kind, each with its category path and a button that shows it in
+ * the map (or filters to the tag/type in question). Exports a CSV fix list.
+ * Dead and moved links come from the link report written by
+ * scripts/check-links.mjs, loaded once when the view first opens.
+ *
+ * Left out of the viz selector; open it with #viz=audit.
+ * Plain DOM like the List view: all content is set via textContent.
+ */
+
+import { AUDIT_KINDS, auditDataset, auditToCsv } from '../audit.js';
+import { registerVisualization } from './registry.js';
+
+// Entries listed per section before "…and N more" (the CSV has all of them)
+const MAX_LISTED = 300;
+
+// Written by scripts/check-links.mjs; optional
+const LINK_REPORT_URL = 'db/latest/link-report.json';
+
+// Context setters for facet issues (see registerVisualization)
+const FACET_SELECTORS = { tag: 'selectTag', type: 'selectType', author: 'selectAuthor' };
+
+let lastReport = null;
+let linkReport; // undefined until loaded, null when there is none
+let linkReportRequest = null;
+
+// Fetch the link report once; null when there is none
+function loadLinkReport() {
+  if (!linkReportRequest) {
+    linkReportRequest = fetch(LINK_REPORT_URL)
+      .then(response => (response.ok ? response.json() : null))
+      .then(report => (report && report.items ? report : null))
+      .catch(() => null)
+      .then(report => {
+        linkReport = report;
+        return report;
+      });
+  }
+  return linkReportRequest;
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function actionButton(label, title, onClick) {
+  const btn = el('button', 'audit-action', label);
+  btn.type = 'button';
+  btn.title = title;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function pathLabel(names) {
+  return names.length > 0 ? names.join(' › ') : '(top level)';
+}
+
+// One issue: message, where it is, and how to get there
+function renderIssue(issue, context) {
+  const li = el('li', 'audit-entry');
+  li.appendChild(el('div', 'audit-message', issue.message));
+
+  const locations = issue.locations || (issue.nodeId ? [{ path: issue.path, nodeId: issue.nodeId }] : []);
+  locations.forEach(location => {
+    const row = el('div', 'audit-path');
+    row.appendChild(el('span', '', pathLabel(location.path)));
+    row.appendChild(actionButton('Show', 'Show this category in the map', () => context.showCategory(location.nodeId)));
+    li.appendChild(row);
+  });
+
+  if (issue.facet && FACET_SELECTORS[issue.facet.key]) {
+    const row = el('div', 'audit-path');
+    // Filter, then leave the audit (which would only re-check those listings) for the map
+    row.appendChild(actionButton(`Show listings with this ${issue.facet.key}`, `Filter the map to ${issue.facet.key} “${issue.facet.value}”`, () => {
+      context[FACET_SELECTORS[issue.facet.key]](issue.facet.value);
+      context.showCategory(null);
+    }));
+    li.appendChild(row);
+  }
+  return li;
+}
+
+function section(label, issues, context) {
+  const details = el('details', 'audit-section');
+  details.open = issues.length > 0 && issues.length <= MAX_LISTED;
+  details.appendChild(el('summary', '', `${label} (${issues.length})`));
+  if (issues.length === 0) return details;
+
+  const list = el('ul', 'audit-list');
+  issues.slice(0, MAX_LISTED).forEach(issue => list.appendChild(renderIssue(issue, context)));
+  details.appendChild(list);
+  if (issues.length > MAX_LISTED) {
+    details.appendChild(el('div', 'audit-more', `…and ${issues.length - MAX_LISTED} more (see the CSV fix list)`));
+  }
+  return details;
+}
+
+// Download the report as a CSV fix list
+function downloadCsv(report) {
+  const blob = new Blob([auditToCsv(report)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `dataset-audit_${report.generatedAt.split('T')[0]}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function renderAudit(data, context) {
+  const container = document.getElementById('visualization');
+  d3.select('#visualization').selectAll('*').remove();
+
+  // No drill-down in this view
+  context.resetBreadcrumbs();
+
+  // Audit right away; render again once the link report has loaded (or is known missing)
+  const loadingLinks = linkReport === undefined;
+  if (loadingLinks) {
+    loadLinkReport().then(() => {
+      if (wrapper.isConnected) renderAudit(data, context);
+    });
+  }
+
+  const report = auditDataset(data, { linkReport: linkReport || null, source: context.sourceData });
+  lastReport = report;
+
+  const wrapper = el('div', 'audit-view');
+  wrapper.setAttribute('role', 'region');
+  wrapper.setAttribute('aria-label', 'Data-quality audit');
+  container.appendChild(wrapper);
+
+  const header = el('div', 'audit-header');
+  header.appendChild(el('h3', '', 'Data-quality audit'));
+  header.appendChild(actionButton('📥 Export CSV fix list', 'Download every issue as CSV', () => downloadCsv(report)));
+  wrapper.appendChild(header);
+
+  wrapper.appendChild(el('p', 'audit-meta',
+    `${report.summary.issues} issue${report.summary.issues !== 1 ? 's' : ''} in ` +
+    `${report.summary.items} items and ${report.summary.categories} categories. ` +
+    'Only the current view is checked: clear the search and filters to audit the whole dataset.'));
+  if (!loadingLinks) {
+    wrapper.appendChild(el('p', 'audit-meta', report.linksCheckedAt
+      ? `Links checked ${report.linksCheckedAt.split('T')[0]}.`
+      : 'No link report: run node scripts/check-links.mjs to list dead and moved links.'));
+  }
+
+  AUDIT_KINDS.filter(kind => report.linksCheckedAt || !kind.linkReport).forEach(({ key, label }) => {
+    wrapper.appendChild(section(label, report.issues.filter(issue => issue.kind === key), context));
+  });
+}
+
+// Report of the last render (e.g. for the console: exporting without the button)
+export function getAuditReport() {
+  return lastReport;
+}
+
+registerVisualization({
+  id: 'audit',
+  label: 'Audit',
+  icon: '🩺',
+  hidden: true,
+  render: (data, context) => renderAudit(data, context),
+  // Plain DOM (nothing to export as SVG/PNG) and no drill-down
+  capabilities: { export: false, zoom: false, breadcrumbs: false }
+});
@@ -4,9 +4,16 @@
  */
 
 import { showSidePanel, sanitizeText, sanitizeUrl } from '../utilities.js';
-import { getNodeColor, tagNodesWithCategory, buildPath, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { getNodeColor, buildPath, findNodeById, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { isNewNode } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
 
-export function renderCirclePacking(data, showTooltip, hideTooltip) {
+// Cleanup for the last render (listeners, timers); run before the next one
+let activeCleanup = null;
+
+export function renderCirclePacking(data, showTooltip, hideTooltip, options = {}) {
+  // Breadcrumb trail callbacks from the render context (see registry.js)
+  const { updateBreadcrumbs = () => {}, resetBreadcrumbs = () => {} } = options;
   const container = document.getElementById('visualization');
   let width = container.clientWidth;
   let height = container.clientHeight;
@@ -42,11 +49,6 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
     .sum(d => (!d.children || d.children.length === 0 ? 1 : 0))
     .sort((a, b) => b.value - a.value);
 
-  // Tag each node with its category (depth-1 ancestor name) for color consistency
-  
-
-  tagNodesWithCategory(root);
-
   pack(root);
 
   // STEP 1: Pre-compute label metadata (performance optimization)
@@ -162,6 +164,7 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
   const node = g.selectAll('circle')
     .data(root.descendants())
     .join('circle')
+    .classed('is-new', d => isNewNode(d.data))
     .attr('fill', d => {
       // Check if node matches any filter (search, type, tag, author, location)
       const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
@@ -195,7 +198,7 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
     .style('opacity', d => d.depth === 0 ? 0 : 1)
     .attr('pointer-events', null)  // Enable pointer events for all
     .style('cursor', d => {
-      const items = d.data?.urls || d.data?.content || d.data?.items || [];
+      const items = d.data?.urls || [];
       return (d.children || items.length > 0) ? 'pointer' : 'default';
     })
     .on('mouseover', function(event, d) {
@@ -206,8 +209,8 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
       d3.select(this).attr('stroke', '#000').attr('stroke-width', 2);
 
       const tooltip = d3.select('#tooltip');
-      const name = sanitizeText(d.data.name || d.data.entity_name || '');
-      const items = d.data?.urls || d.data?.content || d.data?.items || [];
+      const name = sanitizeText(d.data.name || '');
+      const items = d.data?.urls || [];
 
       // Show tooltip CLOSE to cursor, slightly above
       tooltip
@@ -269,7 +272,7 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
 
       const sidePanel = document.getElementById('sidePanel');
       const hasChildren = d.children && d.children.length > 0;
-      const items = d.data?.urls || d.data?.content || d.data?.items || [];
+      const items = d.data?.urls || [];
 
       if (hasChildren) {
         // Parent node: zoom in
@@ -303,7 +306,7 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
     .style('display', d => {
       return (d.parent === root && d.children) ? 'inline' : 'none';
     })
-    .text(d => d.data.name || d.data.entity_name || '');
+    .text(d => d.data.name || '');
 
   // Setup tooltip click handler to open side panel
   const tooltip = d3.select('#tooltip');
@@ -335,7 +338,7 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
     // Double-click on node: zoom in or out depending on current focus
     const sidePanel = document.getElementById('sidePanel');
     const hasChildren = d.children && d.children.length > 0;
-    const items = d.data?.urls || d.data?.content || d.data?.items || [];
+    const items = d.data?.urls || [];
 
     if (hasChildren) {
       // Parent node: zoom in
@@ -646,7 +649,7 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
       .attr('transform', d => `translate(${d.x},${d.y})`)
       .each(function(d) {
         const element = d3.select(this);
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
+        const name = sanitizeText(d.data.name || '');
 
         // UNIFIED: Single call to shouldShowLabel() for all modes (scroll, click, pan, drag)
         let shouldShow = shouldShowLabel(d, focus, k, view, diameter);
@@ -860,17 +863,15 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
 
   // Update breadcrumbs for current focus
   function updateBreadcrumbsForCirclePacking(focusNode, rootNode) {
-    if (!window.updateBreadcrumbs) return;
-
     // If we're at root, hide breadcrumbs
     if (focusNode === rootNode) {
-      window.resetBreadcrumbs();
+      resetBreadcrumbs();
       return;
     }
 
     // Build path from root to focus
     const path = buildPath(focusNode, rootNode);
-    window.updateBreadcrumbs(path);
+    updateBreadcrumbs(path);
   }
 
   // Listen for breadcrumb navigation events
@@ -882,6 +883,15 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
     }
   };
 
+  // Focus a node by stable id (URL focus path, #item= permalinks)
+  function focusById(id) {
+    const targetNode = findNodeById(root, id);
+    if (targetNode) {
+      zoom({ altKey: false }, targetNode);
+    }
+  }
+  const focusHandler = (e) => focusById(e.detail.id);
+
   const resetHandler = () => {
     // Reset to root view
     zoom({ altKey: false }, root);
@@ -889,11 +899,13 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
 
   // Add event listeners
   window.addEventListener('breadcrumbNavigate', breadcrumbHandler);
+  window.addEventListener('focusNode', focusHandler);
   window.addEventListener('resetVisualization', resetHandler);
 
   // Cleanup function (called when visualization changes)
   const cleanup = () => {
     window.removeEventListener('breadcrumbNavigate', breadcrumbHandler);
+    window.removeEventListener('focusNode', focusHandler);
     window.removeEventListener('resetVisualization', resetHandler);
     window.removeEventListener('resize', resizeHandler);
     tooltipLife.cleanup();
@@ -902,10 +914,13 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
   };
 
   // Store cleanup function for next render
-  if (window._circlePackingCleanup) {
-    window._circlePackingCleanup();
+  if (activeCleanup) {
+    activeCleanup();
   }
-  window._circlePackingCleanup = cleanup;
+  activeCleanup = cleanup;
+
+  // Restore the focus path from the URL hash
+  if (options.initialFocus) focusById(options.initialFocus);
 
   // DISABLED - Show home button for navigation
   // Uncomment to re-enable home button
@@ -915,3 +930,21 @@ export function renderCirclePacking(data, showTooltip, hideTooltip) {
   }
   */
 }
+
+registerVisualization({
+  id: 'circle',
+  label: 'Bubbles',
+  icon: '⭕',
+  render: (data, ctx) => renderCirclePacking(data, ctx.showTooltip, ctx.hideTooltip, {
+    initialFocus: ctx.initialFocus,
+    updateBreadcrumbs: ctx.updateBreadcrumbs,
+    resetBreadcrumbs: ctx.resetBreadcrumbs
+  }),
+  cleanup: () => {
+    if (activeCleanup) {
+      activeCleanup();
+      activeCleanup = null;
+    }
+  },
+  capabilities: { export: true, zoom: true, breadcrumbs: true }
+});
@@ -4,9 +4,16 @@
  */
 
 import { showSidePanel, sanitizeText, sanitizeUrl } from '../utilities.js';
-import { getNodeColor, tagNodesWithCategory, buildPath, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { getNodeColor, buildPath, findNodeById, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { isNewNode } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
 
-export function renderDendrogram(data, showTooltip, hideTooltip) {
+// Cleanup for the last render (listeners, timers); run before the next one
+let activeCleanup = null;
+
+export function renderDendrogram(data, showTooltip, hideTooltip, options = {}) {
+  // Breadcrumb trail callbacks from the render context (see registry.js)
+  const { updateBreadcrumbs = () => {}, resetBreadcrumbs = () => {} } = options;
   const container = document.getElementById('visualization');
   let width = container.clientWidth;
   let height = container.clientHeight;
@@ -53,11 +60,6 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
 
   const root = d3.hierarchy(data);
 
-  // Tag each node with its category (depth-1 ancestor name) for color consistency
-  
-
-  tagNodesWithCategory(root);
-
   // FIRST: Create cluster node for root's terminal leaves
   if (root.children) {
     const terminalLeaves = root.children.filter(child => !child.children || child.children.length === 0);
@@ -125,17 +127,15 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
 
   // Update breadcrumbs for dendrogram
   function updateBreadcrumbsForDendrogram(node) {
-    if (!window.updateBreadcrumbs) return;
-
     // If we're at root or no active path, hide breadcrumbs
     if (!node || node === root) {
-      window.resetBreadcrumbs();
+      resetBreadcrumbs();
       return;
     }
 
     // Build path from root to this node
     const path = buildPath(node, root);
-    window.updateBreadcrumbs(path);
+    updateBreadcrumbs(path);
   }
 
   // Helper function to cluster terminal nodes for any parent (>5 terminals)
@@ -283,9 +283,10 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
     // Enter any new nodes at the parent's previous position
     const nodeEnter = node.enter().append('g')
       .attr('class', 'node')
+      .classed('is-new', d => isNewNode(d.data))
       .attr('transform', d => `translate(${source.y0},${source.x0})`)
       .style('cursor', d => {
-        const items = d.data?.urls || d.data?.content || d.data?.items || [];
+        const items = d.data?.urls || [];
         return (d.children || d._children || items.length > 0) ? 'pointer' : 'default';
       })
       .on('mouseover', function(event, d) {
@@ -301,8 +302,8 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
           .attr('stroke-width', 2);
 
         const tooltip = d3.select('#tooltip');
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
-        const items = d.data?.urls || d.data?.content || d.data?.items || [];
+        const name = sanitizeText(d.data.name || '');
+        const items = d.data?.urls || [];
 
         // Show tooltip CLOSE to cursor, slightly above (stays in place)
         tooltip
@@ -380,14 +381,14 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
         }
 
         const sidePanel = document.getElementById('sidePanel');
-        const items = d.data?.urls || d.data?.content || d.data?.items || [];
+        const items = d.data?.urls || [];
 
         // Handle cluster node - show all URLs in side panel
         if (d.data._isCluster && d._clusteredLeaves) {
           // Collect all URLs from all clustered leaves
           const allUrls = [];
           d._clusteredLeaves.forEach(leaf => {
-            const leafItems = leaf.data?.urls || leaf.data?.content || leaf.data?.items || [];
+            const leafItems = leaf.data?.urls || [];
             allUrls.push(...leafItems);
           });
 
@@ -628,7 +629,7 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
         return `${baseFontSize * 0.9}px`;
       })
       .text(d => {
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
+        const name = sanitizeText(d.data.name || '');
 
         // For cluster nodes, name already includes count (e.g., "Other Solutions (15)")
         if (d.data._isCluster) {
@@ -638,7 +639,7 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
         // For terminal nodes (squares), add entry count
         const isTerminalLeaf = !d.children && !d._children;
         if (isTerminalLeaf) {
-          const items = d.data?.urls || d.data?.content || d.data?.items || [];
+          const items = d.data?.urls || [];
           if (items.length > 0) {
             return `${name} (${items.length})`;
           }
@@ -726,6 +727,38 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
 
   attachTooltipPanelHandlers(tooltipLife);
 
+  // Expand the path down to a node, hide the siblings along it and focus it
+  function revealNode(found) {
+    // Expand path to this node
+    let current = found.parent;
+    while (current) {
+      if (current._children) {
+        current.children = current._children;
+        current._children = null;
+      }
+      current = current.parent;
+    }
+
+    // Hide siblings along the path
+    current = found;
+    while (current && current.parent) {
+      if (current.parent.children) {
+        current.parent.children.forEach(sibling => {
+          if (sibling !== current) {
+            setHiddenRecursive(sibling, true);
+          } else {
+            setHiddenRecursive(sibling, false);
+          }
+        });
+      }
+      current = current.parent;
+    }
+
+    // Update breadcrumbs and render
+    updateBreadcrumbsForDendrogram(found);
+    update(found);
+  }
+
   // Listen for breadcrumb navigation events
   const breadcrumbHandler = (e) => {
     const targetNode = e.detail.node;
@@ -739,38 +772,25 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
       });
 
       if (found) {
-        // Expand path to this node
-        let current = found.parent;
-        while (current) {
-          if (current._children) {
-            current.children = current._children;
-            current._children = null;
-          }
-          current = current.parent;
-        }
-
-        // Hide siblings along the path
-        current = found;
-        while (current && current.parent) {
-          if (current.parent.children) {
-            current.parent.children.forEach(sibling => {
-              if (sibling !== current) {
-                setHiddenRecursive(sibling, true);
-              } else {
-                setHiddenRecursive(sibling, false);
-              }
-            });
-          }
-          current = current.parent;
-        }
-
-        // Update breadcrumbs and render
-        updateBreadcrumbsForDendrogram(found);
-        update(found);
+        revealNode(found);
       }
     }
   };
 
+  // Focus a node by stable id (URL focus path, #item= permalinks): reveal it
+  // with its own children expanded
+  function focusById(id) {
+    const found = findNodeById(root, id);
+    if (found) {
+      if (found._children) {
+        found.children = found._children;
+        found._children = null;
+      }
+      revealNode(found);
+    }
+  }
+  const focusHandler = (e) => focusById(e.detail.id);
+
   // Listen for reset event from global home button
   const resetHandler = () => {
     // Reset to root and restore initial collapsed state (show only 3 main categories)
@@ -812,12 +832,14 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
 
   // Add event listeners
   window.addEventListener('breadcrumbNavigate', breadcrumbHandler);
+  window.addEventListener('focusNode', focusHandler);
   window.addEventListener('resetVisualization', resetHandler);
   window.addEventListener('goUpLevel', upHandler);
 
   // Cleanup function (called when visualization changes)
   const cleanup = () => {
     window.removeEventListener('breadcrumbNavigate', breadcrumbHandler);
+    window.removeEventListener('focusNode', focusHandler);
     window.removeEventListener('resetVisualization', resetHandler);
     window.removeEventListener('goUpLevel', upHandler);
     window.removeEventListener('resize', resizeHandler);
@@ -826,10 +848,10 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
   };
 
   // Store cleanup function for next render
-  if (window._dendrogramCleanup) {
-    window._dendrogramCleanup();
+  if (activeCleanup) {
+    activeCleanup();
   }
-  window._dendrogramCleanup = cleanup;
+  activeCleanup = cleanup;
 
   // Handle window resize
   let resizeTimer;
@@ -851,4 +873,25 @@ export function renderDendrogram(data, showTooltip, hideTooltip) {
     }, 150);
   };
   window.addEventListener('resize', resizeHandler);
+
+  // Restore the focus path from the URL hash
+  if (options.initialFocus) focusById(options.initialFocus);
 }
+
+registerVisualization({
+  id: 'dendrogram',
+  label: 'Branches',
+  icon: '🌳',
+  render: (data, ctx) => renderDendrogram(data, ctx.showTooltip, ctx.hideTooltip, {
+    initialFocus: ctx.initialFocus,
+    updateBreadcrumbs: ctx.updateBreadcrumbs,
+    resetBreadcrumbs: ctx.resetBreadcrumbs
+  }),
+  cleanup: () => {
+    if (activeCleanup) {
+      activeCleanup();
+      activeCleanup = null;
+    }
+  },
+  capabilities: { export: true, zoom: true, breadcrumbs: true }
+});
@@ -1,866 +1,396 @@
 /**
  * forceNetwork.js
- * Dendrogram with physics-based multi-directional layout (not linear, not circular)
+ * Category cross-link network. The same article is often filed under several
+ * categories; this view makes those hidden connections visible. Each node is a
+ * category that holds items, and two categories are linked when they share
+ * items, tags or authors. A threshold control hides weak links.
  */
 
-import { showSidePanel, sanitizeText, sanitizeUrl } from '../utilities.js';
-import { getNodeColor, tagNodesWithCategory, buildPath, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { showSidePanel, sanitizeText, getItemId, getItemFacetValues } from '../utilities.js';
+import { categoryColors, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { isNewItem } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
+
+// Cleanup for the last render (listeners, timers, simulation); run before the next one
+let activeCleanup = null;
+
+// A shared article is stronger evidence of a connection than a shared tag
+const LINK_KINDS = [
+  { key: 'items', label: 'Items', weight: 3 },
+  { key: 'authors', label: 'Authors', weight: 2 },
+  { key: 'tags', label: 'Tags', weight: 1 }
+];
+const MAX_DEFAULT_LINKS = 300; // Default threshold keeps the graph readable
+const DEFAULT_COLOR = '#0096c7';
+
+// Link kinds and threshold survive re-renders (filter changes, resize)
+const settings = {
+  kinds: { items: true, authors: true, tags: true },
+  threshold: null // null = pick a default from the data
+};
 
-export function renderForceNetwork(data, showTooltip, hideTooltip) {
-  const container = document.getElementById('visualization');
-  let width = container.clientWidth;
-  let height = container.clientHeight;
-
-  if (!width || !height) return;
-
-  d3.select('#visualization').selectAll('*').remove();
-
-  const svg = d3.select('#visualization')
-    .append('svg')
-    .attr('role', 'img')
-    .attr('aria-label', 'Force network: interactive node graph of climate solution categories.')
-    .attr('width', width)
-    .attr('height', height)
-    .style('display', 'block');
-
-  // Margins
-  const margin = { top: 20, right: 120, bottom: 20, left: 80 };
-  let innerWidth = width - margin.left - margin.right;
-  let innerHeight = height - margin.top - margin.bottom;
-
-  const g = svg.append('g')
-    .attr('transform', `translate(${margin.left},${margin.top})`);
-
-  // Category-specific color palette (depth-1 categories get unique colors)
-  
-
-  // Helper function to generate a hash from a string (for consistent random shades)
-  
-
-  // Helper function to get color for a node based on its category and depth
-  
-
-  // Force simulation for physics-based positioning (replaces tree layout)
-  let simulation = null;
-
-  const root = d3.hierarchy(data);
-
-  // Tag each node with its category (depth-1 ancestor name) for color consistency
-  
-
-  tagNodesWithCategory(root);
-
-  // FIRST: Create cluster node for root's terminal leaves
-  if (root.children) {
-    const terminalLeaves = root.children.filter(child => !child.children || child.children.length === 0);
-    const depthOneCategories = root.children.filter(child => child.children && child.children.length > 0);
-
-    if (terminalLeaves.length > 0) {
-      // Create cluster node for terminal leaves
-      const clusterData = {
-        name: `Other Solutions (${terminalLeaves.length})`,
-        _isCluster: true
-      };
-      const clusterNode = d3.hierarchy(clusterData);
-      clusterNode._clusteredLeaves = terminalLeaves; // Store actual leaves
-      clusterNode.data._isCluster = true;
-
-      // CRITICAL: Set parent reference and depth for proper link creation
-      clusterNode.parent = root;
-      clusterNode.depth = 1;
-      clusterNode.height = 0;
-
-      // Replace root's children: depth-1 categories + cluster node
-      root.children = [...depthOneCategories, clusterNode];
+/**
+ * Categories that directly hold items, with their depth-1 category and path.
+ * searchMatch is the node's isSearchMatch highlight flag from the filter
+ * pipeline (see annotateTree in search.js), as the other views read it.
+ * @returns {Array<{id, name, category, path, items, searchMatch}>}
+ */
+export function collectCategories(data) {
+  const categories = [];
+
+  function walk(node, trail) {
+    if (!node.children) return;
+    const items = (node.urls || []).filter(item => item && typeof item === 'object');
+    if (trail.length > 0 && items.length > 0) {
+      categories.push({
+        id: node.id,
+        name: node.name,
+        category: trail[0],
+        path: trail.join(' › '),
+        items,
+        searchMatch: Boolean(node.isSearchMatch)
+      });
     }
+    node.children.forEach(child => walk(child, [...trail, child.name]));
   }
+  walk(data, []);
 
-  // Initialize with only depth 1 visible (root + main categories + cluster)
-  root.descendants().forEach(d => {
-    d._descendantCount = d.descendants().length - 1; // Count for sizing
-    if (d.children) {
-      d._children = d.children; // Store for collapse/expand
-      // Collapse all children of depth-1 nodes (hide depth 2+)
-      if (d.depth >= 1 && !d.data._isCluster) {
-        d.children = null;
-      }
-    }
-  });
-
-  // Initialize starting positions for transitions
-  root.x0 = innerHeight / 2;
-  root.y0 = 0;
+  return categories;
+}
 
-  // State
-  let i = 0; // Unique node ID counter for D3 enter/exit
-  const tooltipLife = createTooltipLifecycle();
-  let wasDragging = false;
-
-  // Create link generator with null safety
-  const linkGenerator = d3.linkHorizontal()
-    .x(d => d ? d.y : 0)
-    .y(d => d ? d.x : 0);
-
-  // Helper function to recursively hide/show node and all descendants
-  function setHiddenRecursive(node, hidden) {
-    node._hiddenBySiblingSelection = hidden;
-    if (node.children) {
-      node.children.forEach(child => setHiddenRecursive(child, hidden));
-    }
-    if (node._children) {
-      node._children.forEach(child => setHiddenRecursive(child, hidden));
-    }
-  }
+/**
+ * Count shared items/authors/tags for every pair of categories
+ * @returns {Map<string, {source, target, items, authors, tags, sharedIds}>} keyed "i|j";
+ *   source/target are category indexes, sharedIds the ids of the shared items
+ */
+function buildPairs(categories) {
+  const pairs = new Map();
+  const keyFns = {
+    items: item => [getItemId(item)],
+    authors: item => getItemFacetValues(item, 'author'),
+    tags: item => getItemFacetValues(item, 'tag').map(tag => tag.toLowerCase())
+  };
 
-  // Helper function to build breadcrumb path from root to node
-  
+  LINK_KINDS.forEach(({ key }) => {
+    // value -> indexes of the categories holding it
+    const owners = new Map();
+    categories.forEach((cat, index) => {
+      const values = new Set(cat.items.flatMap(keyFns[key]));
+      values.forEach(value => {
+        if (!owners.has(value)) owners.set(value, []);
+        owners.get(value).push(index);
+      });
+    });
 
-  // Update breadcrumbs for dendrogram
-  function updateBreadcrumbsForForceNetwork(node) {
-    if (!window.updateBreadcrumbs) return;
+    owners.forEach((indexes, value) => {
+      for (let a = 0; a < indexes.length; a++) {
+        for (let b = a + 1; b < indexes.length; b++) {
+          const pairKey = `${indexes[a]}|${indexes[b]}`;
+          if (!pairs.has(pairKey)) {
+            pairs.set(pairKey, { source: indexes[a], target: indexes[b], items: 0, authors: 0, tags: 0, sharedIds: new Set() });
+          }
+          const pair = pairs.get(pairKey);
+          pair[key]++;
+          if (key === 'items') pair.sharedIds.add(value);
+        }
+      }
+    });
+  });
 
-    // If we're at root or no active path, hide breadcrumbs
-    if (!node || node === root) {
-      window.resetBreadcrumbs();
-      return;
-    }
+  return pairs;
+}
 
-    // Build path from root to this node
-    const path = buildPath(node, root);
-    window.updateBreadcrumbs(path);
-  }
+function linkWeight(pair) {
+  return LINK_KINDS.reduce((sum, { key, weight }) => sum + (settings.kinds[key] ? pair[key] * weight : 0), 0);
+}
 
-  // Helper function to cluster terminal nodes for any parent (>5 terminals)
-  function clusterTerminalNodes(parentNode) {
-    if (!parentNode.children) return;
-
-    // Check both .children and ._children to identify categories (collapsed nodes have ._children)
-    const terminals = parentNode.children.filter(child =>
-      (!child.children || child.children.length === 0) && (!child._children || child._children.length === 0)
-    );
-    const categories = parentNode.children.filter(child =>
-      (child.children && child.children.length > 0) || (child._children && child._children.length > 0)
-    );
-
-    // Only cluster if more than 5 terminal nodes
-    if (terminals.length > 5) {
-      const clusterData = {
-        name: `Other Solutions (${terminals.length})`,
-        _isCluster: true,
-        _isTerminalCluster: true
-      };
-      const clusterNode = d3.hierarchy(clusterData);
-      clusterNode._clusteredLeaves = terminals;
-      clusterNode.data._isCluster = true;
-      clusterNode.parent = parentNode;
-      clusterNode.depth = parentNode.depth + 1;
-      clusterNode.height = 0;
-
-      // Replace children with categories + cluster
-      parentNode.children = [...categories, clusterNode];
-    }
-  }
+// Smallest threshold that keeps at most MAX_DEFAULT_LINKS links
+function defaultThreshold(weights) {
+  const sorted = weights.filter(w => w > 0).sort((a, b) => b - a);
+  if (sorted.length <= MAX_DEFAULT_LINKS) return 1;
+  return sorted[MAX_DEFAULT_LINKS] + 1;
+}
 
-  // Initial render
-  update(root);
+function colorFor(category) {
+  return categoryColors[String(category).toLowerCase().trim()] || DEFAULT_COLOR;
+}
 
-  // Update function - physics-based positioning with all dendrogram features
-  function update(source) {
-    // Get nodes and links from hierarchy
-    let nodes = root.descendants();
-    let links = root.links();
+function describeShared(pair) {
+  const parts = [];
+  if (settings.kinds.items && pair.items) parts.push(`${pair.items} shared item${pair.items === 1 ? '' : 's'}`);
+  if (settings.kinds.authors && pair.authors) parts.push(`${pair.authors} shared author${pair.authors === 1 ? '' : 's'}`);
+  if (settings.kinds.tags && pair.tags) parts.push(`${pair.tags} shared tag${pair.tags === 1 ? '' : 's'}`);
+  return parts.join(' · ');
+}
 
-    // Filter out nodes hidden by sibling selection
-    nodes = nodes.filter(d => !d._hiddenBySiblingSelection);
-    links = links.filter(d => !d.source._hiddenBySiblingSelection && !d.target._hiddenBySiblingSelection);
+export function renderForceNetwork(data, showTooltip, hideTooltip) {
+  const container = document.getElementById('visualization');
+  let width = container.clientWidth;
+  let height = container.clientHeight;
 
-    // PHYSICS-BASED POSITIONING (not linear, not circular!)
-    // Stop any existing simulation
-    if (simulation) {
-      simulation.stop();
-    }
+  if (!width || !height) return;
 
-    // Define proportional radius calculator BEFORE using it in simulation
-    const calculateProportionalRadius = (d) => {
-      if (d.data._isCluster) {
-        const count = d._clusteredLeaves ? d._clusteredLeaves.length : 0;
-        return 15 + Math.sqrt(count) * 2.5;
-      }
-      if (d.depth === 0) {
-        const count = d._descendantCount || 1;
-        return 40 + Math.sqrt(count) * 3;
-      }
-      if (d.depth === 1) {
-        const count = d._descendantCount || 1;
-        return 15 + Math.sqrt(count) * 4;
-      }
-      if (d._children) {
-        const count = d._descendantCount || 1;
-        return 8 + Math.sqrt(count) * 2.5;
-      }
-      return 4;
-    };
-
-    // Initialize positions if not set (use dendrogram coordinate convention: y=horizontal, x=vertical)
-    nodes.forEach(d => {
-      if (d.x === undefined || d.y === undefined) {
-        // Random scatter - no circular pattern!
-        // Note: in dendrogram convention, y is horizontal, x is vertical
-        d.y = innerWidth / 2 + (Math.random() - 0.5) * (innerWidth * 0.8);
-        d.x = innerHeight / 2 + (Math.random() - 0.5) * (innerHeight * 0.8);
-      }
-    });
+  d3.select('#visualization').selectAll('*').remove();
 
-    // Create force simulation
-    // Note: simulation uses dendrogram coordinate convention (y=horizontal, x=vertical)
-    simulation = d3.forceSimulation(nodes)
-      .force('link', d3.forceLink(links)
-        .id(d => d.id)
-        .distance(d => 80 + d.target.depth * 40) // Larger distances for more spread
-        .strength(0.5)
-      )
-      .force('charge', d3.forceManyBody()
-        .strength(d => {
-          const size = calculateProportionalRadius(d);
-          return -400 - size * 15; // Stronger repulsion for better spread
-        })
-      )
-      .force('collide', d3.forceCollide()
-        .radius(d => calculateProportionalRadius(d) + 15)
-        .strength(0.9)
-      )
-      .force('x', d3.forceX(innerHeight / 2).strength(0.05)) // Gentle centering on vertical axis
-      .force('y', d3.forceY(innerWidth / 2).strength(0.05))  // Gentle centering on horizontal axis
-      .alpha(1.0)
-      .alphaDecay(0.01)
-      .velocityDecay(0.4)
-      .stop();
-
-    // Run simulation synchronously for initial layout (100 ticks balances quality vs responsiveness)
-    for (let i = 0; i < 100; ++i) simulation.tick();
-
-    // Now nodes have x,y from physics simulation
-
-    // Calculate bounds for scaling and centering
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-    nodes.forEach(d => {
-      minX = Math.min(minX, d.x);
-      maxX = Math.max(maxX, d.x);
-      minY = Math.min(minY, d.y);
-      maxY = Math.max(maxY, d.y);
+  const categories = collectCategories(data);
+  const pairs = [...buildPairs(categories).values()];
+
+  // Nodes are built once so positions survive threshold changes
+  const nodes = categories.map((cat, index) => ({
+    index,
+    data: { id: cat.id, name: cat.name, urls: cat.items, isSearchMatch: cat.searchMatch },
+    category: cat.category,
+    path: cat.path,
+    radius: 5 + Math.sqrt(cat.items.length) * 3
+  }));
+
+  const wrapper = d3.select('#visualization')
+    .append('div')
+    .attr('class', 'network-view');
+
+  // Controls: link kinds and minimum link strength
+  const controls = wrapper.append('div').attr('class', 'network-controls');
+  const kindRow = controls.append('div').attr('class', 'network-kinds');
+  LINK_KINDS.forEach(({ key, label }) => {
+    const option = kindRow.append('label');
+    option.append('input')
+      .attr('type', 'checkbox')
+      .property('checked', settings.kinds[key])
+      .on('change', function() {
+        settings.kinds[key] = this.checked;
+        settings.threshold = null; // weights changed: recompute the default
+        update();
+      });
+    option.append('span').text(label);
+  });
+  const thresholdRow = controls.append('label').attr('class', 'network-threshold');
+  thresholdRow.append('span').text('Min link strength');
+  const thresholdInput = thresholdRow.append('input')
+    .attr('type', 'range')
+    .attr('min', 1)
+    .attr('step', 1)
+    .on('input', function() {
+      settings.threshold = Number(this.value);
+      update();
     });
+  const thresholdValue = thresholdRow.append('span').attr('class', 'network-threshold-value');
+  const summary = controls.append('div').attr('class', 'network-summary');
 
-    const treeWidth = maxY - minY;
-    const treeHeight = maxX - minX;
-
-    // Calculate scale to fit tree in viewport with padding (0.85 = 85% use of viewport)
-    const scaleX = treeWidth > 0 ? (innerWidth * 0.85) / treeWidth : 1;
-    const scaleY = treeHeight > 0 ? (innerHeight * 0.85) / treeHeight : 1;
-    const scale = Math.min(scaleX, scaleY, 1);
+  const svg = wrapper.append('svg')
+    .attr('role', 'img')
+    .attr('aria-label', 'Network: categories linked by shared items, authors and tags. Drag nodes to rearrange; click a node to list its items.')
+    .attr('width', width)
+    .attr('height', height);
 
-    // SMART SIZING: Calculate overlap prevention factor
-    const depth1Nodes = nodes.filter(d => d.depth === 1 && !d.data._isCluster);
-    const avgSpacing = depth1Nodes.length > 1
-      ? (maxX - minX) / (depth1Nodes.length - 1)
-      : innerHeight;
+  const g = svg.append('g');
+  const linkLayer = g.append('g').attr('class', 'network-links');
+  const nodeLayer = g.append('g').attr('class', 'network-nodes');
 
-    // Note: calculateProportionalRadius is defined earlier in the update function
+  const zoomBehavior = d3.zoom()
+    .scaleExtent([0.2, 5])
+    .on('zoom', (event) => g.attr('transform', event.transform));
+  svg.call(zoomBehavior);
 
-    // Find max proportional radius for depth-1 nodes
-    const maxProportionalRadius = Math.max(
-      ...depth1Nodes.map(d => calculateProportionalRadius(d))
-    );
+  const tooltipLife = createTooltipLifecycle();
+  attachTooltipPanelHandlers(tooltipLife);
+  const tooltip = d3.select('#tooltip');
 
-    // Overlap prevention: balanced approach - big nodes but no overlap
-    // Max radius can be up to 75% of spacing (bigger nodes, still no overlap)
-    const maxAllowedRadius = avgSpacing * 0.75 * scale;
-    const overlapPrevention = Math.min(1.0, maxAllowedRadius / maxProportionalRadius);
+  const simulation = d3.forceSimulation()
+    .force('charge', d3.forceManyBody().strength(-140))
+    .force('center', d3.forceCenter(width / 2, height / 2))
+    .force('x', d3.forceX(width / 2).strength(0.04))
+    .force('y', d3.forceY(height / 2).strength(0.04))
+    .force('collide', d3.forceCollide(d => d.radius + 3))
+    .on('tick', ticked);
+
+  let linkSel = linkLayer.selectAll('line');
+  let nodeSel = nodeLayer.selectAll('g');
+
+  function showTip(event, html, datum) {
+    tooltipLife.clearFrozen();
+    tooltip
+      .datum(datum)
+      .style('display', 'block')
+      .style('visibility', 'visible')
+      .style('opacity', '1')
+      .style('pointer-events', 'none')
+      .style('left', (event.pageX + 5) + 'px')
+      .style('top', (event.pageY - 35) + 'px')
+      .html(html);
+    tooltipLife.freeze(datum);
+  }
 
-    // Calculate translation to center and fit tree in viewport
-    const scaledWidth = treeWidth * scale;
-    const scaledHeight = treeHeight * scale;
+  function update() {
+    const weighted = pairs.map(pair => ({ pair, weight: linkWeight(pair) }));
+    const maxWeight = d3.max(weighted, d => d.weight) || 1;
+    if (settings.threshold === null) {
+      settings.threshold = defaultThreshold(weighted.map(d => d.weight));
+    }
+    const threshold = Math.min(settings.threshold, maxWeight);
 
-    // Center the tree within available space and add margin
-    const translateX = margin.left - minY * scale + (innerWidth - scaledWidth) / 2;
-    const translateY = margin.top - minX * scale + (innerHeight - scaledHeight) / 2;
+    thresholdInput.attr('max', maxWeight).property('value', threshold);
+    thresholdValue.text(threshold);
 
-    // Apply scale and translate to fit tree perfectly in viewport
-    g.attr('transform', `translate(${translateX},${translateY}) scale(${scale})`);
+    const links = weighted
+      .filter(d => d.weight >= threshold)
+      .map(({ pair, weight }) => ({ source: nodes[pair.source], target: nodes[pair.target], pair, weight }));
 
-    // **************** Nodes section ****************
+    // Only categories with at least one visible link take part
+    const linked = new Set(links.flatMap(l => [l.source, l.target]));
+    const visibleNodes = nodes.filter(n => linked.has(n));
+    summary.text(`${visibleNodes.length} categories · ${links.length} links` +
+      (nodes.length > visibleNodes.length ? ` · ${nodes.length - visibleNodes.length} unlinked hidden` : ''));
 
-    // Update the nodes using a unique ID for enter/exit
-    const node = g.selectAll('g.node')
-      .data(nodes, d => d.id || (d.id = ++i));
+    const strokeWidth = d3.scaleSqrt().domain([1, maxWeight]).range([1, 8]);
 
-    // Enter any new nodes at the parent's previous position
-    const nodeEnter = node.enter().append('g')
-      .attr('class', 'node')
-      .attr('transform', d => `translate(${source.y0},${source.x0})`)
-      .style('cursor', d => {
-        const items = d.data?.urls || d.data?.content || d.data?.items || [];
-        return (d.children || d._children || items.length > 0) ? 'pointer' : 'default';
-      })
+    linkSel = linkLayer.selectAll('line')
+      .data(links, d => `${d.source.index}|${d.target.index}`)
+      .join('line')
+      .attr('class', 'network-link')
+      .attr('stroke-width', d => strokeWidth(d.weight))
       .on('mouseover', function(event, d) {
-        // Clear any frozen tooltip to allow new ones to show
-        tooltipLife.clearFrozen();
-
-        // Show hover box for ALL nodes (both circles and rectangles)
-        d3.select(this).select('circle')
-          .attr('stroke', '#000')
-          .attr('stroke-width', 2);
-        d3.select(this).select('rect')
-          .attr('stroke', '#000')
-          .attr('stroke-width', 2);
-
-        const tooltip = d3.select('#tooltip');
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
-        const items = d.data?.urls || d.data?.content || d.data?.items || [];
-
-        // Show tooltip CLOSE to cursor, slightly above (stays in place)
-        tooltip
-          .datum(d)
-          .style('display', 'block')
-          .style('visibility', 'visible')
-          .style('opacity', '1')
-          .style('pointer-events', 'none')  // Don't block clicks initially
-          .style('left', (event.pageX + 5) + 'px')
-          .style('top', (event.pageY - 35) + 'px');
-
-        // Special tooltip for cluster nodes
-        if (d.data._isCluster) {
-          const count = d._clusteredLeaves ? d._clusteredLeaves.length : 0;
-          tooltip.html(`
-            <div style="font-weight: bold; margin-bottom: 4px;">${name}</div>
-            <div style="font-size: 12px; color: #666;">
-              ${count} solution${count === 1 ? '' : 's'} - Click to view
-            </div>
-          `);
-        } else if (d.children || d._children) {
-          const numChildren = (d.children || d._children).length;
-          tooltip.html(`
-            <div style="font-weight: bold; margin-bottom: 4px;">${name}</div>
-            <div style="font-size: 12px; color: #666;">
-              ${numChildren} subcategor${numChildren === 1 ? 'y' : 'ies'} - Click to expand
-            </div>
-          `);
-        } else if (items.length > 0) {
-          tooltip.html(`
-            <div style="font-weight: bold; margin-bottom: 4px;">${name}</div>
-            <div style="font-size: 12px; color: #666;">
-              ${items.length} item${items.length === 1 ? '' : 's'} - Click to view
-            </div>
-          `);
-        } else {
-          tooltip.html(`
-            <div style="font-weight: bold; margin-bottom: 4px;">${name}</div>
-          `);
-        }
-
-        tooltipLife.freeze(d);  // clickable; touch devices get an auto-hide
+        d3.select(this).classed('hovered', true);
+        const sharedItems = d.source.data.urls.filter(item => d.pair.sharedIds.has(getItemId(item)));
+        const html = `
+          <div style="font-weight: bold; margin-bottom: 4px;">${sanitizeText(d.source.data.name)} ↔ ${sanitizeText(d.target.data.name)}</div>
+          <div style="font-size: 12px; color: #666;">${sanitizeText(describeShared(d.pair))}</div>
+          ${sharedItems.length ? '<div style="font-size: 12px; color: #666;">📋 Click to view the shared items</div>' : ''}
+        `;
+        showTip(event, html, sharedItems.length
+          ? { data: { name: `${d.source.data.name} ↔ ${d.target.data.name}`, urls: sharedItems } }
+          : null);
       })
-      .on('mouseout', function(event, d) {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-
-        // Remove stroke from circles
-        d3.select(this).select('circle')
-          .attr('stroke', d => {
-            if (isMatch) return '#cc0000';
-            if (d._children) return '#fff';
-            return 'none';
-          })
-          .attr('stroke-width', d => {
-            if (isMatch) return 2;
-            if (d._children) return 3;
-            return 0;
-          });
-
-        // Remove stroke from rectangles (cluster nodes)
-        d3.select(this).select('rect')
-          .attr('stroke', '#fff')
-          .attr('stroke-width', 2);
-
-        // Cursor left the node: hide the tooltip after a short grace period
-        // (kept alive if the cursor moves onto the tooltip itself)
+      .on('mouseout', function() {
+        d3.select(this).classed('hovered', false);
         tooltipLife.scheduleHide();
-      })
-      .on('click', function(event, d) {
-        if (wasDragging || event.metaKey || event.ctrlKey) {
-          event.stopPropagation();
-          return;
-        }
-
-        const sidePanel = document.getElementById('sidePanel');
-        const items = d.data?.urls || d.data?.content || d.data?.items || [];
-
-        // Handle cluster node - show all URLs in side panel
-        if (d.data._isCluster && d._clusteredLeaves) {
-          // Collect all URLs from all clustered leaves
-          const allUrls = [];
-          d._clusteredLeaves.forEach(leaf => {
-            const leafItems = leaf.data?.urls || leaf.data?.content || leaf.data?.items || [];
-            allUrls.push(...leafItems);
-          });
-
-          // Create a synthetic node with all URLs for side panel display
-          const syntheticNode = {
-            data: {
-              name: d.data.name,
-              urls: allUrls
-            }
-          };
-
-          showSidePanel(sidePanel, syntheticNode);
-        } else if (d.children || d._children) {
-          // Click on node with children - expand and hide siblings
-          // First ensure children are visible
-          if (d._children) {
-            d.children = d._children;
-            d._children = null;
-          }
-
-          // Cluster terminal nodes if needed (>5 terminals)
-          clusterTerminalNodes(d);
-
-          // Ensure only immediate children are visible (collapse grandchildren)
-          if (d.children) {
-            d.children.forEach(child => {
-              if (child.children) {
-                child._children = child.children;
-                child.children = null;
-              }
-            });
-          }
-
-          // Hide siblings and handle ancestor visibility based on depth
-          if (d.depth === 1) {
-            // Depth-1 click: Hide root and siblings (zoom to this branch)
-            root._hiddenBySiblingSelection = true; // Hide root only
-            setHiddenRecursive(d, false); // Show clicked node and its children
-            if (d.parent && d.parent.children) {
-              d.parent.children.forEach(sibling => {
-                if (sibling !== d) {
-                  setHiddenRecursive(sibling, true); // Hide sibling and all descendants
-                }
-              });
-            }
-          } else {
-            // Deeper levels: Hide siblings only, keep ancestors visible
-            if (d.parent && d.parent.children) {
-              d.parent.children.forEach(sibling => {
-                if (sibling !== d) {
-                  setHiddenRecursive(sibling, true); // Hide sibling and all descendants
-                } else {
-                  setHiddenRecursive(sibling, false); // Show clicked node and its children
-                }
-              });
-            }
-          }
-
-          // Update breadcrumbs to show path to expanded node
-          updateBreadcrumbsForForceNetwork(d);
-
-          update(d);
-        } else if (items && items.length > 0) {
-          // Terminal leaf with content - open side panel
-          showSidePanel(sidePanel, d);
-        } else if (d.data.url) {
-          // Single URL - open it
-          const safeUrl = sanitizeUrl(d.data.url);
-          if (safeUrl && safeUrl !== '#') window.open(safeUrl, '_blank', 'noopener,noreferrer');
-        }
-
-        event.stopPropagation();
-      });
-
-    // Add shapes to entering nodes (squares for terminals/clusters, circles for others)
-    nodeEnter.each(function(d) {
-      const isTerminal = !d.children && !d._children;
-      if (d.data._isCluster || isTerminal) {
-        // Terminal nodes and cluster nodes: add SQUARE (rect)
-        d3.select(this).append('rect')
-          .attr('width', 1e-6)
-          .attr('height', 1e-6)
-          .attr('x', 0)
-          .attr('y', 0)
-          .style('fill', getNodeColor(d));
-      } else {
-        // Category nodes: add circles
-        d3.select(this).append('circle')
-          .attr('r', 1e-6)
-          .style('fill', getNodeColor(d));
-      }
-    });
-
-    // Calculate responsive font sizes based on viewport
-    const baseFontSize = Math.max(12, Math.min(innerWidth / 60, 18)); // Scale between 12px and 18px
-
-    // Add labels to entering nodes (including terminals)
-    nodeEnter.append('text')
-      .attr('dy', '.35em')
-      .attr('x', d => (d.children || d._children) ? -10 : 10)
-      .attr('text-anchor', d => (d.children || d._children) ? 'end' : 'start')
-      .style('fill-opacity', 1e-6) // Start invisible for transition
-      .style('font-size', d => {
-        // Terminal nodes and clusters get smaller font
-        const isTerminal = !d.children && !d._children;
-        if (isTerminal || d.data._isCluster) return `${baseFontSize * 0.75}px`;
-
-        if (d.depth === 1) return `${baseFontSize * 1.2}px`; // Larger for depth-1
-        if (d.depth === 2) return `${baseFontSize}px`;
-        return `${baseFontSize * 0.9}px`;
-      })
-      .style('fill', 'white')
-      .style('font-weight', d => d.depth === 1 ? '700' : 'normal')
-      .style('pointer-events', 'none')
-      .style('display', 'block'); // Show all labels including terminals
-
-    // UPDATE existing nodes
-    const nodeUpdate = nodeEnter.merge(node);
-
-    // Transition to the proper position
-    nodeUpdate.transition()
-      .duration(750)
-      .attr('transform', d => `translate(${d.y},${d.x})`);
-
-    // Update circles (regular nodes) with PROPORTIONAL sizing + overlap prevention
-    nodeUpdate.select('circle')
-      .transition()
-      .duration(750)
-      .attr('r', d => {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-        if (isMatch) return 6;
-        const proportionalSize = calculateProportionalRadius(d);
-        return proportionalSize * overlapPrevention;
-      })
-      .attr('fill', d => {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-        if (isMatch) return '#ff4444';
-        // Use category-based colors for all nodes
-        return getNodeColor(d);
-      })
-      .attr('fill-opacity', d => {
-        if (d.data._isCluster) {
-          // Very transparent for cluster - should look like ghost
-          return 0.35;
-        }
-        if (!d.children && !d._children) {
-          return 0.6; // Terminal nodes
-        }
-        return 0.5; // Category nodes with children
-      })
-      .attr('stroke', d => {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-        if (isMatch) return '#cc0000';
-        if (d._children) return '#fff';
-        return 'none';
-      })
-      .attr('stroke-width', d => {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-        if (isMatch) return 2;
-        if (d._children) return 3;
-        return 0;
       });
 
-    // Update rectangles (terminal nodes and clusters) - SQUARE shape
-    nodeUpdate.select('rect')
-      .transition()
-      .duration(750)
-      .attr('width', d => {
-        const proportionalSize = calculateProportionalRadius(d);
-        return proportionalSize * overlapPrevention * 2;
-      })
-      .attr('height', d => {
-        const proportionalSize = calculateProportionalRadius(d);
-        return proportionalSize * overlapPrevention * 2;
-      })
-      .attr('x', d => {
-        const proportionalSize = calculateProportionalRadius(d);
-        return -proportionalSize * overlapPrevention; // Center the square
-      })
-      .attr('y', d => {
-        const proportionalSize = calculateProportionalRadius(d);
-        return -proportionalSize * overlapPrevention; // Center the square
-      })
-      .attr('fill', d => {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-        if (isMatch) return '#ff4444';
-        // Use category-based colors for all nodes
-        return getNodeColor(d);
+    nodeSel = nodeLayer.selectAll('g.network-node')
+      .data(visibleNodes, d => d.index)
+      .join(enter => {
+        const node = enter.append('g')
+          .attr('class', 'network-node')
+          .classed('is-new', d => d.data.urls.some(item => isNewItem(item)));
+        node.append('circle')
+          .attr('r', d => d.radius)
+          .attr('fill', d => colorFor(d.category))
+          .attr('stroke', d => d.data.isSearchMatch ? '#ff4444' : 'rgba(255, 255, 255, 0.6)');
+        node.append('text')
+          .attr('x', d => d.radius + 4)
+          .attr('y', 4)
+          .text(d => d.data.name);
+        return node;
       })
-      .attr('fill-opacity', d => {
-        if (d.data._isCluster) {
-          // Very transparent for cluster - should look like ghost
-          return 0.35;
-        }
-        if (!d.children && !d._children) {
-          return 0.6; // Terminal nodes
-        }
-        return 0.5; // Category nodes with children
-      })
-      .attr('stroke', d => {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-        if (isMatch) return '#cc0000';
-        return '#fff';
+      .call(drag)
+      .on('mouseover', function(event, d) {
+        const degree = links.filter(l => l.source === d || l.target === d).length;
+        const html = `
+          <div style="font-weight: bold; margin-bottom: 4px;">${sanitizeText(d.data.name)}</div>
+          <div style="font-size: 12px; color: #666;">${sanitizeText(d.path)}</div>
+          <div style="font-size: 12px; color: #666;">
+            📋 ${d.data.urls.length} item${d.data.urls.length === 1 ? '' : 's'} · 🔗 ${degree} link${degree === 1 ? '' : 's'} - Click to view list
+          </div>
+        `;
+        showTip(event, html, d);
       })
-      .attr('stroke-width', d => {
-        // Check if node matches any filter
-        const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
-                        d.data.isAuthorMatch || d.data.isLocationMatch || d.data.isDateMatch;
-        if (isMatch) return 3;
-        return 1;
+      .on('mouseout', () => tooltipLife.scheduleHide())
+      .on('click', (event, d) => {
+        if (event.defaultPrevented) return; // Drag, not a click
+        event.stopPropagation();
+        showSidePanel(document.getElementById('sidePanel'), d);
+        tooltipLife.dismiss();
       });
 
-    // Update the label text and positioning
-    nodeUpdate.select('text')
-      .transition()
-      .duration(750)
-      .attr('x', d => (d.children || d._children) ? -10 : 10)
-      .attr('text-anchor', d => (d.children || d._children) ? 'end' : 'start')
-      .style('font-size', d => {
-        // Terminal nodes and clusters get smaller font
-        const isTerminal = !d.children && !d._children;
-        if (isTerminal || d.data._isCluster) return `${baseFontSize * 0.75}px`;
-
-        if (d.depth === 1) return `${baseFontSize * 1.2}px`; // Larger for depth-1
-        if (d.depth === 2) return `${baseFontSize}px`;
-        return `${baseFontSize * 0.9}px`;
-      })
-      .text(d => {
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
-
-        // For cluster nodes, name already includes count (e.g., "Other Solutions (15)")
-        if (d.data._isCluster) {
-          return name;
-        }
-
-        // For terminal nodes (squares), add entry count
-        const isTerminalLeaf = !d.children && !d._children;
-        if (isTerminalLeaf) {
-          const items = d.data?.urls || d.data?.content || d.data?.items || [];
-          if (items.length > 0) {
-            return `${name} (${items.length})`;
-          }
-          return name;
-        }
+    simulation.nodes(visibleNodes);
+    simulation.force('link', d3.forceLink(links)
+      .distance(d => 140 - Math.min(80, d.weight * 4))
+      .strength(d => Math.min(1, 0.1 + d.weight / maxWeight)));
+    simulation.alpha(0.8).restart();
+  }
 
-        // For category nodes (circles), show truncated name
-        if (d.depth === 1) {
-          const maxChars = 22;
-          if (name.length > maxChars) {
-            return name.substring(0, maxChars - 1) + '…';
-          }
-          return name;
-        }
+  function ticked() {
+    linkSel
+      .attr('x1', d => d.source.x)
+      .attr('y1', d => d.source.y)
+      .attr('x2', d => d.target.x)
+      .attr('y2', d => d.target.y);
+    nodeSel.attr('transform', d => `translate(${d.x},${d.y})`);
+  }
 
-        // For other nodes (depth 2+ with children), show truncated name
-        const maxChars = 22;
-        if (name.length > maxChars) {
-          return name.substring(0, maxChars - 1) + '…';
-        }
-        return name;
+  function drag(selection) {
+    selection.call(d3.drag()
+      .on('start', (event, d) => {
+        if (!event.active) simulation.alphaTarget(0.3).restart();
+        d.fx = d.x;
+        d.fy = d.y;
       })
-      .style('fill-opacity', 1) // All labels visible
-      .style('display', 'block'); // All labels visible
-
-    // EXIT - Remove any exiting nodes (instant, no fade)
-    node.exit()
-      .attr('transform', d => `translate(${source.y},${source.x})`)
-      .remove();
-
-    // No fade animation for exit (instant removal handled above)
-
-    // **************** Links section ****************
-
-    const link = g.selectAll('path.link')
-      .data(links, d => d.target.id);
-
-    // Enter any new links at the parent's previous position
-    const linkEnter = link.enter().insert('path', 'g')
-      .attr('class', 'link')
-      .style('stroke', 'rgba(144, 224, 239, 0.7)')
-      .style('stroke-width', '3px')
-      .style('fill', 'none')
-      .attr('d', d => {
-        const o = {x: source.x0, y: source.y0};
-        return linkGenerator({source: o, target: o});
-      });
-
-    // UPDATE existing links
-    const linkUpdate = linkEnter.merge(link);
-
-    // Ensure all links have proper styling (including cluster link)
-    linkUpdate
-      .style('stroke', 'rgba(144, 224, 239, 0.7)')
-      .style('stroke-width', '3px')
-      .style('fill', 'none');
-
-    // Transition back to the parent element position
-    linkUpdate.transition()
-      .duration(750)
-      .attr('d', d => {
-        // Safety check - ensure source and target exist
-        if (!d.source || !d.target) {
-          return '';
-        }
-
-        // Use standard horizontal link for all nodes (including clusters)
-        return linkGenerator(d);
-      });
-
-    // Remove any exiting links (instant, no animation)
-    link.exit().remove();
-
-    // Store the old positions for transition
-    nodes.forEach(d => {
-      d.x0 = d.x;
-      d.y0 = d.y;
-    });
+      .on('drag', (event, d) => {
+        d.fx = event.x;
+        d.fy = event.y;
+      })
+      .on('end', (event, d) => {
+        if (!event.active) simulation.alphaTarget(0);
+        d.fx = null;
+        d.fy = null;
+      }));
   }
 
+  update();
 
-  // Setup tooltip click handler to open side panel
-  const tooltip = d3.select('#tooltip');
-  const sidePanel = document.getElementById('sidePanel');
-
-  attachTooltipPanelHandlers(tooltipLife);
-
-  // Listen for breadcrumb navigation events
-  const breadcrumbHandler = (e) => {
-    const targetNode = e.detail.node;
-    if (targetNode) {
-      // Find the node in the tree
-      let found = null;
-      root.descendants().forEach(d => {
-        if (d === targetNode) {
-          found = d;
-        }
-      });
-
-      if (found) {
-        // Expand path to this node
-        let current = found.parent;
-        while (current) {
-          if (current._children) {
-            current.children = current._children;
-            current._children = null;
-          }
-          current = current.parent;
-        }
-
-        // Hide siblings along the path
-        current = found;
-        while (current && current.parent) {
-          if (current.parent.children) {
-            current.parent.children.forEach(sibling => {
-              if (sibling !== current) {
-                setHiddenRecursive(sibling, true);
-              } else {
-                setHiddenRecursive(sibling, false);
-              }
-            });
-          }
-          current = current.parent;
-        }
-
-        // Update breadcrumbs and render
-        updateBreadcrumbsForForceNetwork(found);
-        update(found);
-      }
-    }
-  };
-
-  // Listen for reset event from global home button
-  const resetHandler = () => {
-    // Reset to root and restore initial collapsed state (show only 3 main categories)
-    root.descendants().forEach(d => {
-      // Clear sibling selection flags
-      d._hiddenBySiblingSelection = false;
-
-      if (d.depth >= 1) {
-        // Re-collapse depth 1+ nodes to show only main categories
-        if (d._children || d.children) {
-          d._children = d._children || d.children;
-          d.children = null;
-        }
-      }
-    });
-    // Reset breadcrumbs
-    updateBreadcrumbsForForceNetwork(null);
-    // Reset view to root
-    update(root);
-  };
-
-  // Listen for up event from global up button
-  // For dendrogram, collapse all expanded nodes (similar to reset)
-  const upHandler = () => {
-    // Collapse all nodes back to initial state
-    root.descendants().forEach(d => {
-      d._hiddenBySiblingSelection = false;
-      if (d.depth >= 1) {
-        if (d._children || d.children) {
-          d._children = d._children || d.children;
-          d.children = null;
-        }
-      }
-    });
-    // Reset breadcrumbs
-    updateBreadcrumbsForForceNetwork(null);
-    update(root);
-  };
-
-  // Add event listeners
-  window.addEventListener('breadcrumbNavigate', breadcrumbHandler);
-  window.addEventListener('resetVisualization', resetHandler);
-  window.addEventListener('goUpLevel', upHandler);
-
-  // Cleanup function (called when visualization changes)
-  const cleanup = () => {
-    if (simulation) simulation.stop();
-    window.removeEventListener('breadcrumbNavigate', breadcrumbHandler);
-    window.removeEventListener('resetVisualization', resetHandler);
-    window.removeEventListener('goUpLevel', upHandler);
-    window.removeEventListener('resize', resizeHandler);
-    tooltipLife.cleanup();
-    if (resizeTimer) clearTimeout(resizeTimer);
+  // Permalink focus (#item=...): center the owning category
+  const focusHandler = (e) => {
+    const target = nodes.find(n => n.data.id === e.detail.id);
+    if (!target || target.x === undefined) return;
+    nodeSel.classed('focused', d => d === target);
+    svg.transition().duration(750)
+      .call(zoomBehavior.transform, d3.zoomIdentity.translate(width / 2 - target.x, height / 2 - target.y));
   };
+  window.addEventListener('focusNode', focusHandler);
 
-  // Store cleanup function for next render
-  if (window._forceNetworkCleanup) {
-    window._forceNetworkCleanup();
-  }
-  window._forceNetworkCleanup = cleanup;
-
-  // Handle window resize
+  // Handle window resize with debounce
   let resizeTimer;
   const resizeHandler = () => {
     clearTimeout(resizeTimer);
     resizeTimer = setTimeout(() => {
       width = container.clientWidth;
       height = container.clientHeight;
-
       if (!width || !height) return;
-
-      innerWidth = width - margin.left - margin.right;
-      innerHeight = height - margin.top - margin.bottom;
       svg.attr('width', width).attr('height', height);
-      update(root);
+      simulation.force('center', d3.forceCenter(width / 2, height / 2));
+      simulation.force('x', d3.forceX(width / 2).strength(0.04));
+      simulation.force('y', d3.forceY(height / 2).strength(0.04));
+      simulation.alpha(0.3).restart();
     }, 150);
   };
   window.addEventListener('resize', resizeHandler);
+
+  // Cleanup function (called when visualization changes)
+  const cleanup = () => {
+    simulation.stop();
+    window.removeEventListener('focusNode', focusHandler);
+    window.removeEventListener('resize', resizeHandler);
+    tooltipLife.cleanup();
+    if (resizeTimer) clearTimeout(resizeTimer);
+  };
+
+  // Store cleanup function for next render
+  if (activeCleanup) {
+    activeCleanup();
+  }
+  activeCleanup = cleanup;
 }
+
+registerVisualization({
+  id: 'network',
+  label: 'Network',
+  icon: '🕸️',
+  render: (data, ctx) => renderForceNetwork(data, ctx.showTooltip, ctx.hideTooltip),
+  cleanup: () => {
+    if (activeCleanup) {
+      activeCleanup();
+      activeCleanup = null;
+    }
+  },
+  // Categories are linked across the hierarchy, so there is no drill-down path
+  capabilities: { export: true, zoom: false, breadcrumbs: false }
+});
@@ -0,0 +1,18 @@
+/**
+ * index.js
+ * Loads every visualization module so it registers itself (see registry.js).
+ * Import order is the order of the viz selector.
+ */
+
+import './circlePacking.js';
+import './dendrogram.js';
+import './treemap.js';
+import './sunburst.js';
+import './forceNetwork.js';
+import './timeline.js';
+import './tableView.js';
+import './whatsNew.js';
+import './stats.js';
+import './auditView.js';
+
+export * from './registry.js';
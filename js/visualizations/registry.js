@@ -0,0 +1,91 @@
+/**
+ * registry.js
+ * Visualization plugin registry. Each view module registers itself on import;
+ * main.js builds the viz selector, validates #viz= and tears views down from
+ * these entries, so adding a view never touches main.js (see index.js).
+ * It also holds the render context: members are added with provideRenderContext
+ * and documented by their descriptions, so the list can't drift from what views get.
+ */
+
+const visualizations = new Map();
+
+// Render context members: key -> { provide, description } (see provideRenderContext)
+const contextMembers = new Map();
+
+/**
+ * Register a visualization
+ * @param {Object} viz
+ * @param {string} viz.id - Key used in the URL hash (#viz=<id>)
+ * @param {string} viz.label - Name shown in the viz selector
+ * @param {string} [viz.icon] - Emoji shown next to the label
+ * @param {boolean} [viz.hidden] - Left out of the viz selector; reachable with #viz=<id>
+ * @param {Function} viz.render - render(data, context); context holds every member added
+ *   with provideRenderContext (main.js provides the app's in provideAppContext); list them,
+ *   with what each is, from describeRenderContext()
+ * @param {Function} [viz.cleanup] - Remove listeners/timers left by the last render
+ * @param {Object} [viz.capabilities] - { export, zoom, breadcrumbs }
+ */
+export function registerVisualization(viz) {
+  if (!viz || !viz.id || typeof viz.render !== 'function') {
+    throw new Error('registerVisualization: id and render() are required');
+  }
+  if (visualizations.has(viz.id)) {
+    console.warn(`Visualization "${viz.id}" registered twice; keeping the latest`);
+  }
+
+  visualizations.set(viz.id, {
+    label: viz.id,
+    icon: '',
+    hidden: false,
+    cleanup: () => {},
+    ...viz,
+    capabilities: { export: false, zoom: false, breadcrumbs: false, ...viz.capabilities }
+  });
+}
+
+/**
+ * Add a member to the context every view's render() receives. The provider runs
+ * on each render, so the member always reflects the current state. Views can
+ * provide members too (e.g. for other views); a key can only be provided once.
+ * @param {string} key
+ * @param {Function} provide - () => value
+ * @param {string} description - What the member is, for describeRenderContext()
+ */
+export function provideRenderContext(key, provide, description) {
+  if (!key || typeof provide !== 'function' || !description) {
+    throw new Error('provideRenderContext: key, provide() and description are required');
+  }
+  if (contextMembers.has(key)) {
+    throw new Error(`Render context member "${key}" is already provided`);
+  }
+  contextMembers.set(key, { provide, description });
+}
+
+// The context for one render: every provided member's current value
+export function createRenderContext() {
+  const context = {};
+  contextMembers.forEach(({ provide }, key) => {
+    context[key] = provide();
+  });
+  return context;
+}
+
+// Documentation of the render context: [{ key, description }] in the order provided
+export function describeRenderContext() {
+  return Array.from(contextMembers, ([key, { description }]) => ({ key, description }));
+}
+
+// Registered visualization by id (undefined if unknown)
+export function getVisualization(id) {
+  return visualizations.get(id);
+}
+
+// All visualizations in registration order
+export function listVisualizations() {
+  return [...visualizations.values()];
+}
+
+// Tear down every registered view (only the active one has anything to clean)
+export function cleanupVisualizations() {
+  visualizations.forEach(viz => viz.cleanup());
+}
@@ -43,15 +43,15 @@ export function hashString(str) {
 /**
  * Color for a node based on its category and depth.
  * Terminal check covers both plain hierarchies (no/empty children) and
- * collapse-capable ones (dendrogram/force network stash children in _children).
+ * collapse-capable ones (the dendrogram stashes children in _children).
  */
 export function getNodeColor(node) {
-  // Get category name from stored tag (set during initial hierarchy build)
-  let categoryName = node.data._category;
+  // Category name annotated by the filter pipeline (see annotateTree in search.js)
+  let categoryName = node.data.category;
 
   // If viewing from root, check if this IS a depth-1 category
   if (node.depth === 1) {
-    categoryName = node.data.name || node.data.entity_name || '';
+    categoryName = node.data.name || '';
   }
 
   // If no category found, use default
@@ -81,7 +81,7 @@ export function getNodeColor(node) {
   const colorObj = d3.color(baseColor);
   if (colorObj) {
     const hsl = d3.hsl(colorObj);
-    const nodeName = node.data.name || node.data.entity_name || '';
+    const nodeName = node.data.name || '';
 
     // Use hash of node name to generate consistent variation
     const hash = hashString(nodeName);
@@ -107,24 +107,6 @@ export function getNodeColor(node) {
   return baseColor;
 }
 
-// Tag each node with its category (depth-1 ancestor name) for color consistency
-export function tagNodesWithCategory(node, categoryName = null) {
-  // If this is a depth-1 node, it IS the category
-  if (node.depth === 1) {
-    categoryName = node.data.name || node.data.entity_name || '';
-  }
-
-  // Store category on the data object (so it persists through hierarchy rebuilds)
-  if (categoryName && !node.data._category) {
-    node.data._category = categoryName;
-  }
-
-  // Recursively tag children
-  if (node.children) {
-    node.children.forEach(child => tagNodesWithCategory(child, categoryName));
-  }
-}
-
 // Build the breadcrumb path array from a node up to (but excluding) the root
 export function buildPath(node, rootNode) {
   const path = [];
@@ -132,7 +114,7 @@ export function buildPath(node, rootNode) {
 
   while (current && current !== rootNode) {
     path.unshift({
-      name: current.data.name || current.data.entity_name || 'Unnamed',
+      name: current.data.name || 'Unnamed',
       node: current
     });
     current = current.parent;
@@ -141,6 +123,18 @@ export function buildPath(node, rootNode) {
   return path;
 }
 
+// Find a node by its stable data id; also searches children stashed in _children
+export function findNodeById(root, id) {
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node.data.id === id) return node;
+    const kids = node.children || node._children;
+    if (kids) stack.push(...kids);
+  }
+  return null;
+}
+
 /**
  * Tooltip lifecycle state machine, shared by every visualization:
  *  - while hovering, the tooltip stays (frozen + clickable);
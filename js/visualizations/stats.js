@@ -0,0 +1,329 @@
+/**
+ * stats.js
+ * "Stats" view: counts of the (filtered) listings per sector, type, date,
+ * author, affiliation, Driftie flag and tag. Clicking a bar adds that filter
+ * to the current ones through the render context, so the charts re-count what
+ * remains.
+ *
+ * Plain DOM like the List view: labels are set via textContent.
+ */
+
+import { getItemId, normalizeFacet } from '../utilities.js';
+import { registerVisualization } from './registry.js';
+import { categoryColors } from './shared.js';
+
+// Bars shown in the ranked charts (authors, affiliations, tags)
+const TOP_AUTHORS = 10;
+const TOP_AFFILIATIONS = 10;
+const TOP_TAGS = 15;
+
+const DEFAULT_BAR_COLOR = '#52b788';
+
+/**
+ * Distinct listings of the hierarchy, with the depth-1 categories holding each.
+ * Read from the item leaves: filters prune those, while a category's `urls`
+ * can still list items outside a date range (see filterByDateRange in search.js).
+ * @returns {Object} { items: [item], sectors: [{ id, name, count }] }
+ */
+function collectListings(data) {
+  const items = new Map(); // item id -> item
+  const sectors = [];
+
+  function walk(node, itemIds) {
+    if (node.isLeaf && !node.isEmpty && !node.children) {
+      const item = node.urls[0];
+      const id = getItemId(item);
+      if (!items.has(id)) items.set(id, item);
+      if (itemIds) itemIds.add(id);
+      return;
+    }
+    (node.children || []).forEach(child => walk(child, itemIds));
+  }
+
+  (data.children || []).forEach(child => {
+    // Item leaves directly under the root belong to no sector
+    if (child.isLeaf) {
+      walk(child, null);
+      return;
+    }
+    const itemIds = new Set();
+    walk(child, itemIds);
+    sectors.push({ id: child.id, name: child.name, count: itemIds.size });
+  });
+
+  return { items: Array.from(items.values()), sectors };
+}
+
+// Listings per value, most first (ties alphabetical); values(item) lists an item's values once each
+function countBy(items, values) {
+  const counts = new Map();
+  items.forEach(item => {
+    new Set(values(item)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Listings per year; per month when they all fall in one year. Empty
+ * periods between the first and last are kept so the shape stays true.
+ * @returns {Object} { unit: 'year'|'month', periods: [{ value, label, count, from, to }], undated }
+ */
+function countByPeriod(items) {
+  const dated = items.filter(item => /^\d{4}/.test(item.date || ''));
+  const years = [...new Set(dated.map(item => Number(item.date.slice(0, 4))))].sort((a, b) => a - b);
+  const undated = items.length - dated.length;
+  if (years.length === 0) return { unit: 'year', periods: [], undated };
+
+  const counts = new Map();
+  const byMonth = years.length === 1;
+  const periods = [];
+
+  if (byMonth) {
+    const year = years[0];
+    dated.forEach(item => {
+      const month = Number(item.date.slice(5, 7)) || 0; // 0: year-only date
+      counts.set(month, (counts.get(month) || 0) + 1);
+    });
+    for (let month = 1; month <= 12; month++) {
+      const mm = String(month).padStart(2, '0');
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      periods.push({
+        value: `${year}-${mm}`,
+        label: new Date(Date.UTC(year, month - 1, 1)).toLocaleString(undefined, { month: 'short', timeZone: 'UTC' }),
+        count: counts.get(month) || 0,
+        from: `${year}-${mm}-01`,
+        to: `${year}-${mm}-${lastDay}`
+      });
+    }
+    // Year-only dates can't be placed in a month
+    return { unit: 'month', year, periods, undated: undated + (counts.get(0) || 0) };
+  }
+
+  dated.forEach(item => {
+    const year = Number(item.date.slice(0, 4));
+    counts.set(year, (counts.get(year) || 0) + 1);
+  });
+  for (let year = years[0]; year <= years[years.length - 1]; year++) {
+    periods.push({
+      value: String(year),
+      label: String(year),
+      count: counts.get(year) || 0,
+      from: `${year}-01-01`,
+      to: `${year}-12-31`
+    });
+  }
+  return { unit: 'year', periods, undated };
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function percent(count, total) {
+  return total > 0 ? `${Math.round((count / total) * 100)}%` : '0%';
+}
+
+/**
+ * One chart card
+ * @param {string} title
+ * @param {string} [note] - Shown under the title (totals, what a click does)
+ */
+function card(title, note) {
+  const section = el('section', 'stats-card');
+  section.appendChild(el('h4', '', title));
+  if (note) section.appendChild(el('div', 'stats-note', note));
+  return section;
+}
+
+/**
+ * Horizontal bar chart; each bar is a button applying its filter
+ * @param {Array<Object>} rows - [{ label, count, color?, title? }]
+ * @param {Function} onSelect - row -> void
+ * @param {number} total - Listings the percentages refer to
+ */
+function barList(rows, onSelect, total) {
+  if (rows.length === 0) return el('div', 'stats-note', 'None in the current view');
+
+  const list = el('ul', 'stats-bars');
+  const max = Math.max(1, ...rows.map(row => row.count));
+  rows.forEach(row => {
+    const li = el('li');
+    const btn = el('button', 'stats-bar');
+    btn.type = 'button';
+    btn.disabled = row.count === 0;
+    btn.title = row.title || `Filter to ${row.label}`;
+
+    const label = el('span', 'stats-bar-label', row.label);
+    const track = el('span', 'stats-bar-track');
+    const fill = el('span', 'stats-bar-fill');
+    fill.style.width = `${(row.count / max) * 100}%`;
+    fill.style.background = row.color || DEFAULT_BAR_COLOR;
+    track.appendChild(fill);
+    const value = el('span', 'stats-bar-value', `${row.count} · ${percent(row.count, total)}`);
+
+    btn.append(label, track, value);
+    btn.addEventListener('click', () => onSelect(row));
+    li.appendChild(btn);
+    list.appendChild(li);
+  });
+  return list;
+}
+
+// Column chart of listings over time; each non-empty column sets the date range
+function periodColumns(periods, onSelect) {
+  const chart = el('div', 'stats-columns');
+  const max = Math.max(1, ...periods.map(period => period.count));
+  periods.forEach(period => {
+    const btn = el('button', 'stats-column');
+    btn.type = 'button';
+    btn.disabled = period.count === 0;
+    btn.title = `${period.value}: ${period.count} listing${period.count !== 1 ? 's' : ''}`;
+    btn.setAttribute('aria-label', btn.title);
+
+    const track = el('span', 'stats-column-track');
+    const fill = el('span', 'stats-column-fill');
+    fill.style.height = `${(period.count / max) * 100}%`;
+    track.appendChild(fill);
+    btn.append(el('span', 'stats-column-value', period.count > 0 ? String(period.count) : ''), track,
+      el('span', 'stats-column-label', period.label));
+    btn.addEventListener('click', () => onSelect(period));
+    chart.appendChild(btn);
+  });
+  return chart;
+}
+
+// The current search ANDed with a term, so a click narrows what the charts counted
+function narrowQuery(query, term) {
+  return query && query.trim() ? `(${query.trim()}) ${term}` : term;
+}
+
+// Facets holding one value per item: every counted item with the value already
+// passes the current selection (include or exclude), so selecting just it narrows
+const SINGLE_VALUE_FACETS = ['type', 'author'];
+
+/**
+ * Narrow the listings to a facet value on top of the current filters. Selecting
+ * the value alone is the same filter unless the facet holds several values per
+ * item (tags) and the selection doesn't already list it: then the selection
+ * stays and the value is added as a refinement (exact, like the facet).
+ */
+function narrowFacet(context, key, value) {
+  const facet = normalizeFacet(context.facets[key]);
+  const select = { type: context.selectType, tag: context.selectTag, author: context.selectAuthor }[key];
+  if (facet.values.length === 0 || SINGLE_VALUE_FACETS.includes(key) ||
+    (facet.mode === 'include' && facet.values.includes(value))) {
+    select({ mode: 'include', values: [value] });
+  } else {
+    context.addRefinement(key, value);
+  }
+}
+
+// A period clipped to the current date range (a year can start before it)
+function narrowDateRange(context, period) {
+  const { from, to } = context.dateRange;
+  context.setDateRange(from && from > period.from ? from : period.from, to && to < period.to ? to : period.to);
+}
+
+export function renderStats(data, context) {
+  const container = document.getElementById('visualization');
+  d3.select('#visualization').selectAll('*').remove();
+
+  // No drill-down in this view
+  context.resetBreadcrumbs();
+
+  const { items, sectors } = collectListings(data);
+  const total = items.length;
+
+  const wrapper = el('div', 'stats-view');
+  wrapper.setAttribute('role', 'region');
+  wrapper.setAttribute('aria-label', `Statistics of ${total} climate solution listings`);
+  container.appendChild(wrapper);
+
+  wrapper.appendChild(el('h3', '', 'Stats'));
+  wrapper.appendChild(el('p', 'stats-meta',
+    `${total} listing${total !== 1 ? 's' : ''} in the current view — click a bar to filter by it`));
+
+  const grid = el('div', 'stats-grid');
+  wrapper.appendChild(grid);
+
+  // Sectors have no filter dropdown: refine to the depth-1 category
+  const sectorCard = card('Listings per sector', 'Listings filed under several sectors count in each');
+  sectorCard.appendChild(barList(
+    sectors.filter(sector => sector.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .map(sector => ({
+        label: sector.name,
+        count: sector.count,
+        color: categoryColors[sector.name.toLowerCase().trim()],
+        id: sector.id
+      })),
+    row => context.addRefinement('sector', row.id),
+    total
+  ));
+  grid.appendChild(sectorCard);
+
+  const typeCard = card('Listings per type');
+  typeCard.appendChild(barList(
+    countBy(items, item => (item.type ? [item.type] : [])).map(({ value, count }) => ({ label: value, count })),
+    row => narrowFacet(context, 'type', row.label),
+    total
+  ));
+  grid.appendChild(typeCard);
+
+  // Time: years, or the months of the one year in view
+  const { unit, year, periods, undated } = countByPeriod(items);
+  const timeCard = card(unit === 'month' ? `Listings per month of ${year}` : 'Listings per year',
+    undated > 0 ? `${undated} listing${undated !== 1 ? 's' : ''} without a ${unit}` : undefined);
+  timeCard.classList.add('stats-card-wide');
+  timeCard.appendChild(periodColumns(periods, period => narrowDateRange(context, period)));
+  grid.appendChild(timeCard);
+
+  const authorCard = card('Top authors');
+  authorCard.appendChild(barList(
+    countBy(items, item => (item.author ? [item.author] : [])).slice(0, TOP_AUTHORS)
+      .map(({ value, count }) => ({ label: value, count })),
+    row => narrowFacet(context, 'author', row.label),
+    total
+  ));
+  grid.appendChild(authorCard);
+
+  // Affiliations have no filter dropdown either
+  const affiliationCard = card('Top affiliations');
+  affiliationCard.appendChild(barList(
+    countBy(items, item => (item.affiliation ? [item.affiliation] : [])).slice(0, TOP_AFFILIATIONS)
+      .map(({ value, count }) => ({ label: value, count })),
+    row => context.addRefinement('affiliation', row.label),
+    total
+  ));
+  grid.appendChild(affiliationCard);
+
+  const drifties = items.filter(item => item.driftie).length;
+  const driftieCard = card('Driftie share', `${percent(drifties, total)} of listings are by Drifties`);
+  driftieCard.appendChild(barList([
+    { label: 'Drifties', count: drifties, title: 'Search driftie:yes', query: 'driftie:yes' },
+    { label: 'Others', count: total - drifties, title: 'Search driftie:no', query: 'driftie:no' }
+  ], row => context.setSearchQuery(narrowQuery(context.searchQuery, row.query)), total));
+  grid.appendChild(driftieCard);
+
+  const tagCard = card('Top tags');
+  tagCard.classList.add('stats-card-wide');
+  tagCard.appendChild(barList(
+    countBy(items, item => item.tags).slice(0, TOP_TAGS).map(({ value, count }) => ({ label: value, count })),
+    row => narrowFacet(context, 'tag', row.label),
+    total
+  ));
+  grid.appendChild(tagCard);
+}
+
+registerVisualization({
+  id: 'stats',
+  label: 'Stats',
+  icon: '📈',
+  render: (data, context) => renderStats(data, context),
+  // Plain DOM (nothing to export as SVG/PNG) and no drill-down
+  capabilities: { export: false, zoom: false, breadcrumbs: false }
+});
@@ -4,9 +4,16 @@
  */
 
 import { showSidePanel, sanitizeText, sanitizeUrl } from '../utilities.js';
-import { getNodeColor, tagNodesWithCategory, buildPath, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { getNodeColor, buildPath, findNodeById, createTooltipLifecycle, attachTooltipPanelHandlers } from './shared.js';
+import { isNewNode } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
 
-export function renderSunburst(data, showTooltip, hideTooltip) {
+// Cleanup for the last render (listeners, timers); run before the next one
+let activeCleanup = null;
+
+export function renderSunburst(data, showTooltip, hideTooltip, options = {}) {
+  // Breadcrumb trail callbacks from the render context (see registry.js)
+  const { updateBreadcrumbs = () => {}, resetBreadcrumbs = () => {} } = options;
   const container = document.getElementById('visualization');
   let width = container.clientWidth;
   let height = container.clientHeight;
@@ -41,11 +48,6 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
   const root = d3.hierarchy(data)
     .sum(d => (!d.children || d.children.length === 0) ? 1 : 0);
 
-  // Tag each node with its category (depth-1 ancestor name) for color consistency
-  
-
-  tagNodesWithCategory(root);
-
   // Helper function to cluster terminal nodes for any parent (≥3 terminals)
   function clusterTerminalNodes(parentNode) {
     if (!parentNode.children) return;
@@ -62,7 +64,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
       // Aggregate all URLs from terminal nodes
       const aggregatedURLs = [];
       terminals.forEach(terminal => {
-        const items = terminal.data?.urls || terminal.data?.content || terminal.data?.items || [];
+        const items = terminal.data?.urls || [];
         aggregatedURLs.push(...items);
       });
 
@@ -125,6 +127,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
   const path = g.selectAll('path')
     .data(root.descendants().filter(d => d.depth > 0))
     .join('path')
+    .classed('is-new', d => isNewNode(d.data))
     .attr('fill', d => {
       // Check if node matches any filter (search, type, tag, author, location)
       const isMatch = d.data.isSearchMatch || d.data.isTypeMatch || d.data.isTagMatch ||
@@ -179,7 +182,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
       return isMatch ? 2 : 1;
     })
     .style('cursor', d => {
-      const items = d.data?.urls || d.data?.content || d.data?.items || [];
+      const items = d.data?.urls || [];
       return (d.data._isCluster || d.children || items.length > 0) ? 'pointer' : 'default';
     })
     .on('mouseover', function(event, d) {
@@ -190,8 +193,8 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
       d3.select(this).attr('stroke', '#000').attr('stroke-width', 3);
 
       const tooltip = d3.select('#tooltip');
-      const name = sanitizeText(d.data.name || d.data.entity_name || '');
-      const items = d.data?.urls || d.data?.content || d.data?.items || [];
+      const name = sanitizeText(d.data.name || '');
+      const items = d.data?.urls || [];
 
       // Show tooltip near cursor
       tooltip
@@ -228,7 +231,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
           // Only has terminal nodes - count total solutions across all children
           let totalSolutions = 0;
           d.children.forEach(child => {
-            const childItems = child.data?.urls || child.data?.content || child.data?.items || [];
+            const childItems = child.data?.urls || [];
             totalSolutions += childItems.length;
           });
           tooltip.html(`
@@ -277,7 +280,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
       }
 
       const sidePanel = document.getElementById('sidePanel');
-      const items = d.data?.urls || d.data?.content || d.data?.items || [];
+      const items = d.data?.urls || [];
 
       // Handle cluster nodes specially - always open side panel with aggregated URLs
       if (d.data._isCluster) {
@@ -413,7 +416,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
       const arcAngle = d.x1 - d.x0;
       if (arcAngle < 0.05) return;
 
-      const name = sanitizeText(d.data.name || d.data.entity_name || '');
+      const name = sanitizeText(d.data.name || '');
       const arcWidth = arcAngle * labelRadius;
       const baseFontSize = Math.max(10, Math.min(16, arcWidth / 8));
 
@@ -492,7 +495,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
         return;
       }
 
-      const name = sanitizeText(d.data.name || d.data.entity_name || '');
+      const name = sanitizeText(d.data.name || '');
       const midRadius = (d.y0 + d.y1) / 2;
 
       // Calculate font size
@@ -615,17 +618,15 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
 
   // Update breadcrumbs for current focus
   function updateBreadcrumbsForSunburst(focusNode, rootNode) {
-    if (!window.updateBreadcrumbs) return;
-
     // If we're at root, hide breadcrumbs
     if (focusNode === rootNode) {
-      window.resetBreadcrumbs();
+      resetBreadcrumbs();
       return;
     }
 
     // Build path from root to focus
     const path = buildPath(focusNode, rootNode);
-    window.updateBreadcrumbs(path);
+    updateBreadcrumbs(path);
   }
 
   // Listen for breadcrumb navigation events
@@ -636,6 +637,15 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
     }
   };
 
+  // Focus a node by stable id (URL focus path, #item= permalinks)
+  function focusById(id) {
+    const targetNode = findNodeById(root, id);
+    if (targetNode) {
+      zoomToNode(targetNode);
+    }
+  }
+  const focusHandler = (e) => focusById(e.detail.id);
+
   // Listen for reset event from global home button
   const resetHandler = () => {
     zoomToNode(root);
@@ -650,12 +660,14 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
 
   // Add event listeners
   window.addEventListener('breadcrumbNavigate', breadcrumbHandler);
+  window.addEventListener('focusNode', focusHandler);
   window.addEventListener('resetVisualization', resetHandler);
   window.addEventListener('goUpLevel', upHandler);
 
   // Cleanup function (called when visualization changes)
   const cleanup = () => {
     window.removeEventListener('breadcrumbNavigate', breadcrumbHandler);
+    window.removeEventListener('focusNode', focusHandler);
     window.removeEventListener('resetVisualization', resetHandler);
     window.removeEventListener('goUpLevel', upHandler);
     window.removeEventListener('resize', resizeHandler);
@@ -664,10 +676,10 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
   };
 
   // Store cleanup function for next render
-  if (window._sunburstCleanup) {
-    window._sunburstCleanup();
+  if (activeCleanup) {
+    activeCleanup();
   }
-  window._sunburstCleanup = cleanup;
+  activeCleanup = cleanup;
 
   // Zoom/focus function - actually zoom/transform arcs
   function zoomToNode(p) {
@@ -788,7 +800,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
         return;
       }
 
-      const name = sanitizeText(d.data.name || d.data.entity_name || '');
+      const name = sanitizeText(d.data.name || '');
       const arcWidth = arcAngle * midRadius;
       const maxFont = p === root ? 14 : Math.min(18, 14 * Math.sqrt(scale));
       const fontSize = Math.max(8, Math.min(maxFont, Math.min(arcWidth / 6, arcHeight / 3)));
@@ -887,7 +899,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
         const arcAngle = d.x1 - d.x0;
         if (arcAngle < 0.05) return;
 
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
+        const name = sanitizeText(d.data.name || '');
         const arcWidth = arcAngle * newLabelRadius;
         const baseFontSize = Math.max(10, Math.min(16, arcWidth / 8));
 
@@ -939,7 +951,7 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
           }
         }
 
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
+        const name = sanitizeText(d.data.name || '');
         const arcWidth = arcAngle * midRadius;
         const fontSize = Math.max(8, Math.min(14, Math.min(arcWidth / 6, arcHeight / 3)));
 
@@ -970,4 +982,25 @@ export function renderSunburst(data, showTooltip, hideTooltip) {
     }, 150);
   };
   window.addEventListener('resize', resizeHandler);
+
+  // Restore the focus path from the URL hash
+  if (options.initialFocus) focusById(options.initialFocus);
 }
+
+registerVisualization({
+  id: 'sunburst',
+  label: 'Sunburst',
+  icon: '☀️',
+  render: (data, ctx) => renderSunburst(data, ctx.showTooltip, ctx.hideTooltip, {
+    initialFocus: ctx.initialFocus,
+    updateBreadcrumbs: ctx.updateBreadcrumbs,
+    resetBreadcrumbs: ctx.resetBreadcrumbs
+  }),
+  cleanup: () => {
+    if (activeCleanup) {
+      activeCleanup();
+      activeCleanup = null;
+    }
+  },
+  capabilities: { export: true, zoom: true, breadcrumbs: true }
+});
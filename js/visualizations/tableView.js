@@ -7,7 +7,10 @@
  * sanitizeUrl, per the security model in CLAUDE.md.
  */
 
-import { sanitizeUrl } from '../utilities.js';
+import { sanitizeUrl, getItemId } from '../utilities.js';
+import { itemDateToDate } from '../normalize.js';
+import { isNewItem } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
 
 const COLUMNS = [
   { key: 'title', label: 'Title' },
@@ -18,6 +21,9 @@ const COLUMNS = [
   { key: 'tags', label: 'Tags' },
 ];
 
+// Cleanup for the last render; run before the next one
+let activeCleanup = null;
+
 /**
  * Flatten the hierarchy into one row per listing, carrying its taxonomy path.
  *
@@ -28,22 +34,21 @@ const COLUMNS = [
  * visited first, the kept row carries the correct category path.
  */
 function collectRows(node, trail = [], rows = [], seen = new Set()) {
-  const name = node.name || node.entity_name || '';
-  const here = name ? [...trail, name] : trail;
-  const items = node.url_data || node.content || node.urls || node.items || [];
-  for (const item of items) {
-    if (typeof item !== 'object' || item === null) continue;
+  const here = node.name ? [...trail, node.name] : trail;
+  for (const item of node.urls || []) {
     if (seen.has(item)) continue;
     seen.add(item);
     rows.push({
-      title: String(item.title || item.name || '(untitled)'),
-      url: String(item.url || ''),
+      id: getItemId(item),
+      title: item.title || '(untitled)',
+      url: item.url,
       // Skip the root node name in the displayed path
       path: here.slice(1).join(' › '),
-      type: String(item.type_ || item.type || item.category || ''),
-      author: String(item.author || item.creator || item.source || ''),
-      date: String(item.date || ''),
-      tags: String(item.tags || item.keywords || ''),
+      type: item.type,
+      author: item.author,
+      date: item.date,
+      tags: item.tags.join(', '),
+      isNew: isNewItem(item),
     });
   }
   for (const child of node.children || []) {
@@ -52,19 +57,18 @@ function collectRows(node, trail = [], rows = [], seen = new Set()) {
   return rows;
 }
 
-/** MM/DD/YYYY -> sortable number (missing/invalid dates sort last). */
+/** Canonical ISO date -> sortable number (missing dates sort last). */
 function dateValue(s) {
-  const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(String(s).trim());
-  if (!m) return -Infinity;
-  return Number(m[3]) * 10000 + Number(m[1]) * 100 + Number(m[2]);
+  const date = itemDateToDate(s);
+  return date ? date.getTime() : -Infinity;
 }
 
-export function renderTable(data) {
+export function renderTable(data, context) {
   const container = document.getElementById('visualization');
   d3.select('#visualization').selectAll('*').remove();
 
   // The list has no drill-down concept
-  if (window.resetBreadcrumbs) window.resetBreadcrumbs();
+  context.resetBreadcrumbs();
 
   const rows = collectRows(data);
   let sortKey = 'title';
@@ -140,6 +144,7 @@ export function renderTable(data) {
     const frag = document.createDocumentFragment();
     for (const row of sorted) {
       const tr = document.createElement('tr');
+      tr.dataset.itemId = row.id;
 
       const tdTitle = document.createElement('td');
       const safeUrl = sanitizeUrl(row.url);
@@ -153,6 +158,12 @@ export function renderTable(data) {
       } else {
         tdTitle.textContent = row.title;
       }
+      if (row.isNew) {
+        const badge = document.createElement('span');
+        badge.className = 'new-badge';
+        badge.textContent = 'New';
+        tdTitle.appendChild(badge);
+      }
       tr.appendChild(tdTitle);
 
       for (const key of ['path', 'type', 'author', 'date', 'tags']) {
@@ -168,7 +179,34 @@ export function renderTable(data) {
 
   renderBody();
 
-  // Cleanup: plain DOM, no window listeners or timers to remove
-  if (window._tableViewCleanup) window._tableViewCleanup();
-  window._tableViewCleanup = () => {};
+  // Permalink focus (#item=...): scroll to and highlight the item's row
+  const focusHandler = (e) => {
+    const tr = Array.from(tbody.rows).find(r => r.dataset.itemId === e.detail.itemId);
+    if (!tr) return;
+    tbody.querySelectorAll('tr.is-permalinked').forEach(r => r.classList.remove('is-permalinked'));
+    tr.classList.add('is-permalinked');
+    tr.scrollIntoView({ block: 'center' });
+  };
+  window.addEventListener('focusNode', focusHandler);
+
+  // Cleanup: plain DOM, only the focus listener to remove
+  if (activeCleanup) activeCleanup();
+  activeCleanup = () => {
+    window.removeEventListener('focusNode', focusHandler);
+  };
 }
+
+registerVisualization({
+  id: 'table',
+  label: 'List',
+  icon: '📋',
+  render: (data, context) => renderTable(data, context),
+  cleanup: () => {
+    if (activeCleanup) {
+      activeCleanup();
+      activeCleanup = null;
+    }
+  },
+  // Plain DOM (nothing to export as SVG/PNG) and no drill-down
+  capabilities: { export: false, zoom: false, breadcrumbs: false }
+});
@@ -0,0 +1,285 @@
+/**
+ * timeline.js
+ * Timeline visualization: items per month on a time axis, stacked by depth-1
+ * category. Brushing the axis sets the From/To date filter; hovering a bar
+ * segment shows the standard tooltip and clicking it opens the side panel.
+ */
+
+import { showSidePanel } from '../utilities.js';
+import { itemDateToDate } from '../normalize.js';
+import { categoryColors } from './shared.js';
+import { isNewItem } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
+
+// Cleanup for the last render (listeners, timers); run before the next one
+let activeCleanup = null;
+
+const DEFAULT_COLOR = '#0096c7';
+const UNCATEGORIZED = 'General'; // Items attached directly to the root node
+
+const parseIsoDate = d3.timeParse('%Y-%m-%d');
+const formatInputDate = d3.timeFormat('%Y-%m-%d');   // <input type="date"> value
+const formatMonth = d3.timeFormat('%B %Y');
+
+/**
+ * One entry per dated item in the (filtered) hierarchy with its depth-1 category.
+ * Items are read from the per-item leaves, which the date filter already narrowed
+ * (category `urls` arrays are not narrowed). searchMatches holds the items whose
+ * leaves the filter pipeline flagged as search matches.
+ */
+function collectDatedItems(data) {
+  const seen = new Set();
+  const dated = [];
+  const searchMatches = new Set();
+  let undated = 0;
+
+  function walk(node, category) {
+    if (node.isLeaf && !node.isEmpty && !node.children) {
+      const item = (node.urls || [])[0];
+      if (!item || seen.has(item)) return;
+      seen.add(item);
+      if (node.isSearchMatch) searchMatches.add(item);
+
+      const date = itemDateToDate(item.date);
+      if (date) {
+        dated.push({ item, date, category: category || UNCATEGORIZED });
+      } else {
+        undated++;
+      }
+      return;
+    }
+    (node.children || []).forEach(child => walk(child, category || (node === data ? null : node.name)));
+  }
+  walk(data, null);
+
+  return { dated, undated, searchMatches };
+}
+
+function colorFor(category) {
+  return categoryColors[category.toLowerCase().trim()] || DEFAULT_COLOR;
+}
+
+/**
+ * Render the timeline
+ * @param {Object} data - Filtered hierarchy
+ * @param {Object} ctx - Registry render context (showTooltip, hideTooltip,
+ *   dateRange { from, to }, setDateRange(from, to))
+ */
+export function renderTimeline(data, ctx) {
+  const container = document.getElementById('visualization');
+  let width = container.clientWidth;
+  let height = container.clientHeight;
+
+  if (!width || !height) return;
+
+  d3.select('#visualization').selectAll('*').remove();
+
+  const { dated, undated, searchMatches } = collectDatedItems(data);
+
+  if (dated.length === 0) {
+    container.innerHTML = `
+      <div class="loading">
+        <div class="loading-icon">📅</div>
+        <div class="loading-text">No dated items to show</div>
+      </div>
+    `;
+    return;
+  }
+
+  // Categories in order of size so the biggest stack sits at the bottom
+  const categories = d3.groupSort(dated, v => -v.length, d => d.category);
+
+  // Month bins: [{ month, byCategory: Map(category -> items) }]
+  const months = d3.rollups(
+    dated,
+    entries => d3.group(entries, d => d.category),
+    d => +d3.timeMonth.floor(d.date)
+  )
+    .map(([month, byCategory]) => ({
+      month: new Date(month),
+      byCategory: new Map([...byCategory].map(([cat, entries]) => [cat, entries.map(e => e.item)]))
+    }))
+    .sort((a, b) => a.month - b.month);
+
+  const series = d3.stack()
+    .keys(categories)
+    .value((bin, key) => (bin.byCategory.get(key) || []).length)(months);
+
+  // The brushed range stays visible even when the filter leaves gaps at its edges
+  const rangeFrom = parseIsoDate(ctx.dateRange?.from || '');
+  const rangeTo = parseIsoDate(ctx.dateRange?.to || '');
+  const domainStart = d3.timeMonth.floor(d3.min([months[0].month, rangeFrom].filter(Boolean)));
+  const domainEnd = d3.timeMonth.offset(
+    d3.timeMonth.floor(d3.max([months[months.length - 1].month, rangeTo].filter(Boolean))), 1);
+
+  const svg = d3.select('#visualization')
+    .append('svg')
+    .attr('role', 'img')
+    .attr('aria-label', 'Timeline: climate solution listings per month, stacked by category. Drag across the axis to filter by date.')
+    .attr('width', width)
+    .attr('height', height);
+
+  const tooltip = d3.select('#tooltip');
+  const sidePanel = document.getElementById('sidePanel');
+
+  let resizeTimer;
+  let x;
+
+  function draw() {
+    svg.selectAll('*').remove();
+    svg.attr('width', width).attr('height', height);
+
+    const perRow = Math.max(1, Math.floor((width - 80) / 170)); // Legend entries per row
+    const legendRows = Math.ceil(categories.length / perRow);
+    const margin = { top: 24 + legendRows * 20, right: 30, bottom: 50, left: 50 };
+    const innerWidth = Math.max(100, width - margin.left - margin.right);
+    const innerHeight = Math.max(100, height - margin.top - margin.bottom);
+
+    x = d3.scaleTime().domain([domainStart, domainEnd]).range([0, innerWidth]);
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(series, s => d3.max(s, d => d[1])) || 1])
+      .nice()
+      .range([innerHeight, 0]);
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // Axes
+    g.append('g')
+      .attr('class', 'timeline-axis')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(innerWidth / 90))));
+    g.append('g')
+      .attr('class', 'timeline-axis')
+      .call(d3.axisLeft(y).ticks(Math.max(2, Math.floor(innerHeight / 40))).tickFormat(d3.format('d')));
+
+    // Stacked bars, one group per category
+    g.append('g')
+      .selectAll('g')
+      .data(series)
+      .join('g')
+      .attr('fill', s => colorFor(s.key))
+      .selectAll('rect')
+      .data(s => s.filter(d => d[1] > d[0]).map(d => ({
+        category: s.key,
+        month: d.data.month,
+        y0: d[0],
+        y1: d[1],
+        items: d.data.byCategory.get(s.key)
+      })))
+      .join('rect')
+      .attr('class', 'timeline-bar')
+      .classed('is-new', d => d.items.some(item => isNewItem(item)))
+      .attr('x', d => x(d.month) + 1)
+      .attr('width', d => Math.max(1, x(d3.timeMonth.offset(d.month, 1)) - x(d.month) - 2))
+      .attr('y', d => y(d.y1))
+      .attr('height', d => Math.max(0, y(d.y0) - y(d.y1)))
+      .attr('stroke', d => d.items.some(item => searchMatches.has(item)) ? '#ff4444' : 'none')
+      .attr('stroke-width', 2)
+      .on('mouseover', function(event, d) {
+        d3.select(this).attr('fill-opacity', 0.8);
+        // Other views replace the tooltip markup and hide it inline; restore both
+        if (tooltip.select('.tooltip-name').empty()) {
+          tooltip.html('<div class="tooltip-name"></div><div class="tooltip-details"></div>');
+        }
+        tooltip.style('display', null).style('visibility', null).style('opacity', null).style('pointer-events', null);
+        ctx.showTooltip(event, segmentNode(d));
+      })
+      .on('mouseout', function() {
+        d3.select(this).attr('fill-opacity', 1);
+        ctx.hideTooltip();
+      })
+      .on('click', function(event, d) {
+        event.stopPropagation();
+        showSidePanel(sidePanel, segmentNode(d));
+      });
+
+    // Legend
+    const legend = svg.append('g')
+      .attr('class', 'timeline-legend')
+      .attr('transform', `translate(${margin.left},12)`);
+    const entries = legend.selectAll('g')
+      .data(categories)
+      .join('g')
+      .attr('transform', (d, i) => `translate(${(i % perRow) * 170},${Math.floor(i / perRow) * 20})`);
+    entries.append('rect').attr('width', 12).attr('height', 12).attr('rx', 2).attr('fill', colorFor);
+    entries.append('text').attr('x', 18).attr('y', 10).text(d => d);
+
+    if (undated > 0) {
+      svg.append('text')
+        .attr('class', 'timeline-note')
+        .attr('x', width - margin.right)
+        .attr('y', height - 8)
+        .attr('text-anchor', 'end')
+        .text(`${undated} undated item${undated === 1 ? '' : 's'} not shown`);
+    }
+
+    // Brush along the time axis sets the From/To date filter
+    const brush = d3.brushX()
+      .extent([[0, 0], [innerWidth, innerHeight]])
+      .on('end', (event) => {
+        if (!event.sourceEvent) return; // Programmatic move (restoring the range)
+        if (!event.selection) {
+          ctx.setDateRange('', '');
+          return;
+        }
+        // Snap to whole months; the end date is inclusive
+        const [start, end] = event.selection.map(px => d3.timeMonth.round(x.invert(px)));
+        if (+start === +end) return;
+        ctx.setDateRange(formatInputDate(start), formatInputDate(d3.timeDay.offset(end, -1)));
+      });
+
+    const brushG = g.append('g').attr('class', 'timeline-brush').call(brush);
+    // Bars stay hoverable: the brush overlay sits below them
+    brushG.lower();
+
+    if (rangeFrom || rangeTo) {
+      const from = rangeFrom || domainStart;
+      const to = rangeTo ? d3.timeDay.offset(rangeTo, 1) : domainEnd;
+      brushG.call(brush.move, [x(from), x(to)]);
+    }
+  }
+
+  // Shape a bar segment like a hierarchy node for showTooltip/showSidePanel
+  function segmentNode(d) {
+    return { data: { name: `${d.category} · ${formatMonth(d.month)}`, urls: d.items } };
+  }
+
+  draw();
+
+  const resizeHandler = () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => {
+      width = container.clientWidth;
+      height = container.clientHeight;
+      if (!width || !height) return;
+      draw();
+    }, 150);
+  };
+  window.addEventListener('resize', resizeHandler);
+
+  const cleanup = () => {
+    window.removeEventListener('resize', resizeHandler);
+    if (resizeTimer) clearTimeout(resizeTimer);
+  };
+
+  // Store cleanup function for next render
+  if (activeCleanup) {
+    activeCleanup();
+  }
+  activeCleanup = cleanup;
+}
+
+registerVisualization({
+  id: 'timeline',
+  label: 'Timeline',
+  icon: '📅',
+  render: (data, ctx) => renderTimeline(data, ctx),
+  cleanup: () => {
+    if (activeCleanup) {
+      activeCleanup();
+      activeCleanup = null;
+    }
+  },
+  // No hierarchy to drill into
+  capabilities: { export: true, zoom: false, breadcrumbs: false }
+});
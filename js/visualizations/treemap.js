@@ -4,9 +4,16 @@
  */
 
 import { showSidePanel, sanitizeText, sanitizeUrl } from '../utilities.js';
-import { categoryColors, hashString, tagNodesWithCategory, createTooltipLifecycle } from './shared.js';
+import { categoryColors, hashString, findNodeById, createTooltipLifecycle } from './shared.js';
+import { isNewNode } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
 
-export function renderTreemap(data, showTooltip, hideTooltip) {
+// Cleanup for the last render (listeners, timers); run before the next one
+let activeCleanup = null;
+
+export function renderTreemap(data, showTooltip, hideTooltip, options = {}) {
+  // Breadcrumb trail callbacks from the render context (see registry.js)
+  const { updateBreadcrumbs = () => {}, resetBreadcrumbs = () => {} } = options;
   const container = document.getElementById('visualization');
   let width = container.clientWidth;
   let height = container.clientHeight;
@@ -44,12 +51,12 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
 
   // Helper function to get color for a node based on its category and depth
   function getNodeColor(node, viewRoot = root) {
-    // Get category name from stored tag (set during initial hierarchy build)
-    let categoryName = node.data._category;
+    // Category name annotated by the filter pipeline (see annotateTree in search.js)
+    let categoryName = node.data.category;
 
     // If viewing from root, check if this IS a depth-1 category
     if (isRootView(viewRoot) && node.depth === 1) {
-      categoryName = node.data.name || node.data.entity_name || '';
+      categoryName = node.data.name || '';
     }
 
     // If no category found, use default
@@ -90,7 +97,7 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
     const colorObj = d3.color(baseColor);
     if (colorObj) {
       const hsl = d3.hsl(colorObj);
-      const nodeName = node.data.name || node.data.entity_name || '';
+      const nodeName = node.data.name || '';
 
       // Use hash of node name to generate consistent variation
       const hash = hashString(nodeName);
@@ -126,11 +133,6 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
     .sum(d => (!d.children || d.children.length === 0) ? 1 : 0)
     .sort((a, b) => b.value - a.value);
 
-  // Tag each node with its category (depth-1 ancestor name) for color consistency
-  
-
-  tagNodesWithCategory(root);
-
   // Helper function to cluster terminal nodes for any parent (>= 5 terminals)
   function clusterTerminalNodes(parentNode) {
     if (!parentNode.children) return;
@@ -142,13 +144,13 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
     if (terminalLeaves.length >= 5) {
       // Collect all URLs/content from terminal leaves
       const allContent = terminalLeaves.flatMap(leaf => {
-        return leaf.data.urls || leaf.data.content || leaf.data.items || [];
+        return leaf.data.urls || [];
       });
 
       const clusterData = {
         name: `Other Solutions (${terminalLeaves.length})`,
         _isCluster: true,
-        _category: parentNode.data._category, // Inherit category from parent
+        category: parentNode.data.category, // Inherit category from parent
         urls: allContent
       };
 
@@ -183,22 +185,20 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
 
   // Update global breadcrumb navigation
   function updateBreadcrumb() {
-    if (!window.updateBreadcrumbs) return;
-
     // Build full path: navigationStack + currentRoot
     const fullPath = [...navigationStack, currentRoot];
 
     // Convert to breadcrumb format (skip root, start from depth-1)
     const breadcrumbPath = fullPath.slice(1).map(node => ({
-      name: node.data.name || node.data.entity_name || 'Unnamed',
+      name: node.data.name || 'Unnamed',
       node: node
     }));
 
     // If we're at root, hide breadcrumbs
     if (breadcrumbPath.length === 0) {
-      window.resetBreadcrumbs();
+      resetBreadcrumbs();
     } else {
-      window.updateBreadcrumbs(breadcrumbPath);
+      updateBreadcrumbs(breadcrumbPath);
     }
   }
 
@@ -220,6 +220,7 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
       .data(nodes)
       .join('rect')
       .attr('class', 'cell-rect')
+      .classed('is-new', d => isNewNode(d.data))
       .attr('x', d => d.x0 - node.x0)
       .attr('y', d => d.y0 - node.y0)
       .attr('width', d => d.x1 - d.x0)
@@ -268,7 +269,7 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
       .style('cursor', d => {
         // Clicks act on the visible tile, so the cursor must reflect it too
         const target = visibleTile(d);
-        const items = target.data?.urls || target.data?.content || target.data?.items || [];
+        const items = target.data?.urls || [];
         return (target.children || items.length > 0 || target.data.url) ? 'pointer' : 'default';
       })
       .on('mouseover', function(event, d) {
@@ -281,8 +282,8 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
         rects.filter(dd => dd === target).attr('stroke', '#000').attr('stroke-width', 3);
 
         const tooltip = d3.select('#tooltip');
-        const name = sanitizeText(target.data.name || target.data.entity_name || '');
-        const items = target.data?.urls || target.data?.content || target.data?.items || [];
+        const name = sanitizeText(target.data.name || '');
+        const items = target.data?.urls || [];
 
         // Show tooltip near cursor
         tooltip
@@ -354,7 +355,7 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
         // usually land on a deep, unlabeled tile. Act on the visible level
         // instead: the immediate child of the current view.
         const target = visibleTile(d);
-        const items = target.data?.urls || target.data?.content || target.data?.items || [];
+        const items = target.data?.urls || [];
 
         if (target.data._isCluster) {
           // Cluster node: open side panel with all clustered content
@@ -401,7 +402,7 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
       .style('user-select', 'none')
       .each(function(d) {
         const textElement = d3.select(this);
-        const name = sanitizeText(d.data.name || d.data.entity_name || '');
+        const name = sanitizeText(d.data.name || '');
         const rectWidth = (d.x1 - d.x0) - 24; // Account for padding (12px on each side)
         const rectHeight = (d.y1 - d.y0) - 28; // Account for padding (12px left/right, 20px top, 8px bottom)
         const fontSize = 16;
@@ -475,9 +476,6 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
       .sum(d => (!d.children || d.children.length === 0) ? 1 : 0)
       .sort((a, b) => b.value - a.value);
 
-    // Tag nodes with category (category info is already in data._category, so this just ensures new nodes get tagged)
-    tagNodesWithCategory(newRoot);
-
     // Apply clustering to this level
     clusterTerminalNodes(newRoot);
 
@@ -545,6 +543,18 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
     }
   };
 
+  // Focus a node by stable id (URL focus path, #item= permalinks). Drills down
+  // level by level so the navigation stack (and breadcrumbs) match a manual drill-down
+  function focusById(id) {
+    const targetNode = findNodeById(root, id);
+    if (!targetNode) return;
+
+    navigationStack = [];
+    render(root);
+    targetNode.ancestors().reverse().slice(1).forEach(node => drillDown(node));
+  }
+  const focusHandler = (e) => focusById(e.detail.id);
+
   // Listen for reset event from global home button
   const resetHandler = () => {
     // Clear navigation stack and go to root
@@ -563,12 +573,14 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
 
   // Add event listeners
   window.addEventListener('breadcrumbNavigate', breadcrumbHandler);
+  window.addEventListener('focusNode', focusHandler);
   window.addEventListener('resetVisualization', resetHandler);
   window.addEventListener('goUpLevel', upHandler);
 
   // Cleanup function (called when visualization changes)
   const cleanup = () => {
     window.removeEventListener('breadcrumbNavigate', breadcrumbHandler);
+    window.removeEventListener('focusNode', focusHandler);
     window.removeEventListener('resetVisualization', resetHandler);
     window.removeEventListener('goUpLevel', upHandler);
     window.removeEventListener('resize', resizeHandler);
@@ -577,10 +589,10 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
   };
 
   // Store cleanup function for next render
-  if (window._treemapCleanup) {
-    window._treemapCleanup();
+  if (activeCleanup) {
+    activeCleanup();
   }
-  window._treemapCleanup = cleanup;
+  activeCleanup = cleanup;
 
   // Handle window resize with debounce
   let resizeTimer;
@@ -599,7 +611,6 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
         .sum(d => (!d.children || d.children.length === 0) ? 1 : 0)
         .sort((a, b) => b.value - a.value);
 
-      tagNodesWithCategory(newRoot);
       clusterTerminalNodes(newRoot);
       treemap(newRoot);
       render(newRoot);
@@ -607,6 +618,25 @@ export function renderTreemap(data, showTooltip, hideTooltip) {
   };
   window.addEventListener('resize', resizeHandler);
 
-  // Initialize with root view
+  // Initialize with root view, or the focus path from the URL hash
   render(root);
+  if (options.initialFocus) focusById(options.initialFocus);
 }
+
+registerVisualization({
+  id: 'treemap',
+  label: 'Mosaic',
+  icon: '📦',
+  render: (data, ctx) => renderTreemap(data, ctx.showTooltip, ctx.hideTooltip, {
+    initialFocus: ctx.initialFocus,
+    updateBreadcrumbs: ctx.updateBreadcrumbs,
+    resetBreadcrumbs: ctx.resetBreadcrumbs
+  }),
+  cleanup: () => {
+    if (activeCleanup) {
+      activeCleanup();
+      activeCleanup = null;
+    }
+  },
+  capabilities: { export: true, zoom: true, breadcrumbs: true }
+});
@@ -0,0 +1,145 @@
+/**
+ * whatsNew.js
+ * "What's New" view: items and categories added, removed or moved since the
+ * compared archived dataset version (see versionDiff.js).
+ *
+ * Plain DOM like the List view: all content is set via textContent and hrefs
+ * go through sanitizeUrl.
+ */
+
+import { sanitizeUrl } from '../utilities.js';
+import { getActiveDiff } from '../versionDiff.js';
+import { registerVisualization } from './registry.js';
+
+// Entries listed per section before "…and N more"
+const MAX_LISTED = 300;
+
+// Ids of the item leaves left in the (filtered) hierarchy
+function collectItemIds(node, ids = new Set()) {
+  if (node.isLeaf && !node.isEmpty) ids.add(node.id);
+  (node.children || []).forEach(child => collectItemIds(child, ids));
+  return ids;
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// Title linking to the item, plus a permalink opening it in the List view
+function itemTitle(item, id) {
+  const title = el('div', 'whats-new-title');
+  const safeUrl = sanitizeUrl(item.url);
+  if (safeUrl && safeUrl !== '#') {
+    const a = el('a', '', item.title || '(untitled)');
+    a.href = safeUrl;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    title.appendChild(a);
+  } else {
+    title.textContent = item.title || '(untitled)';
+  }
+  if (id) {
+    const permalink = el('a', 'item-permalink', '🔗');
+    permalink.href = `#viz=table&item=${encodeURIComponent(id)}`;
+    permalink.title = 'Show in the List view';
+    title.appendChild(permalink);
+  }
+  return title;
+}
+
+/**
+ * One collapsible section
+ * @param {string} label
+ * @param {Array} entries
+ * @param {Function} renderEntry - entry -> list item content (Node[])
+ */
+function section(label, entries, renderEntry) {
+  const details = el('details', 'whats-new-section');
+  details.open = entries.length > 0;
+  details.appendChild(el('summary', '', `${label} (${entries.length})`));
+  if (entries.length === 0) return details;
+
+  const list = el('ul', 'whats-new-list');
+  entries.slice(0, MAX_LISTED).forEach(entry => {
+    const li = el('li', 'whats-new-entry');
+    li.append(...renderEntry(entry));
+    list.appendChild(li);
+  });
+  details.appendChild(list);
+  if (entries.length > MAX_LISTED) {
+    details.appendChild(el('div', 'whats-new-more', `…and ${entries.length - MAX_LISTED} more`));
+  }
+  return details;
+}
+
+export function renderWhatsNew(data, context) {
+  const container = document.getElementById('visualization');
+  d3.select('#visualization').selectAll('*').remove();
+
+  // No drill-down in this view
+  context.resetBreadcrumbs();
+
+  const wrapper = el('div', 'whats-new');
+  wrapper.setAttribute('role', 'region');
+  wrapper.setAttribute('aria-label', "What's new since the previous dataset version");
+  container.appendChild(wrapper);
+
+  const diff = getActiveDiff();
+  if (!diff) {
+    wrapper.appendChild(el('h3', '', "What's New"));
+    // Versions load after the first render; main.js renders again once they are in
+    wrapper.appendChild(el('p', 'whats-new-meta', context.versionInfoLoaded === false
+      ? 'Loading earlier dataset versions…'
+      : 'No earlier dataset version is available to compare with. Archived versions are read from db/archive/<version>/.'));
+    return;
+  }
+
+  // Added and moved items follow the current filters; removed ones are no longer in the data
+  const visible = collectItemIds(data);
+  const added = diff.items.added.filter(entry => visible.has(entry.id));
+  const moved = diff.items.moved.filter(entry => visible.has(entry.id));
+  const filteredOut = diff.items.added.length - added.length;
+
+  wrapper.appendChild(el('h3', '', `What's New${diff.to ? ` in ${diff.to}` : ''} since ${diff.from}`));
+  wrapper.appendChild(el('p', 'whats-new-meta',
+    `${diff.items.added.length} added · ${diff.items.removed.length} removed · ${diff.items.moved.length} moved items; ` +
+    `${diff.categories.added.length} added · ${diff.categories.removed.length} removed · ${diff.categories.moved.length} moved categories` +
+    (filteredOut > 0 ? ` (${filteredOut} added items hidden by the current filters)` : '')));
+
+  wrapper.appendChild(section('Added items', added, entry => [
+    itemTitle(entry.item, entry.id),
+    el('div', 'whats-new-path', entry.paths.join(' · '))
+  ]));
+  wrapper.appendChild(section('Moved items', moved, entry => [
+    itemTitle(entry.item, entry.id),
+    el('div', 'whats-new-path', `${entry.from.join(' · ')} → ${entry.to.join(' · ')}`)
+  ]));
+  wrapper.appendChild(section('Removed items', diff.items.removed, entry => [
+    itemTitle(entry.item, null),
+    el('div', 'whats-new-path', entry.paths.join(' · '))
+  ]));
+  wrapper.appendChild(section('Added categories', diff.categories.added, entry => [
+    el('div', 'whats-new-title', entry.name),
+    el('div', 'whats-new-path', entry.path)
+  ]));
+  wrapper.appendChild(section('Moved categories', diff.categories.moved, entry => [
+    el('div', 'whats-new-title', entry.name),
+    el('div', 'whats-new-path', `${entry.from} → ${entry.to}`)
+  ]));
+  wrapper.appendChild(section('Removed categories', diff.categories.removed, entry => [
+    el('div', 'whats-new-title', entry.name),
+    el('div', 'whats-new-path', entry.path)
+  ]));
+}
+
+registerVisualization({
+  id: 'whatsnew',
+  label: "What's New",
+  icon: '✨',
+  render: (data, context) => renderWhatsNew(data, context),
+  // Plain DOM (nothing to export as SVG/PNG) and no drill-down
+  capabilities: { export: false, zoom: false, breadcrumbs: false }
+});
@@ -0,0 +1,687 @@
+#!/usr/bin/env node
+/**
+ * build-browse.mjs
+ * Generate the static browse pages and sitemap.xml from the dataset, so search
+ * engines and visitors without JavaScript get the same listings as the explorer.
+ *
+ *   node scripts/build-browse.mjs [--data <file>]
+ *
+ * Writes browse/index.html, one page per depth-1 category (browse/power/) and one
+ * per subcategory with listings (browse/power/renewables/), plus landing pages per
+ * tag (browse/tags/biochar/) and per author (browse/authors/alexander-facey/) that
+ * list items from every category they are filed under. Each page has canonical,
+ * Open Graph and JSON-LD metadata. browse/index.json lists the pages for the 404
+ * page's lookup of mistyped URLs (js/notFound.js). browse/ is fully regenerated.
+ * The sitemap's browse entries are rebuilt; entries for other pages (docs) are
+ * kept as they are.
+ *
+ * Output depends only on the dataset: same data, byte-identical files.
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { normalizeDataset } from '../js/normalize.js';
+import { getItemFacetValues, getItemId, preprocessDataForD3, slugify } from '../js/utilities.js';
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const DEFAULT_DATA = `${ROOT_DIR}db/latest/CD_Solution_map_2_content.json`;
+const BROWSE_DIR = `${ROOT_DIR}browse/`;
+const PAGE_INDEX_FILE = `${BROWSE_DIR}index.json`;
+const SITEMAP_FILE = `${ROOT_DIR}sitemap.xml`;
+
+const SITE_NAME = 'Climate Solutions Explorer';
+const SITE_URL = 'https://climatesolutionsmap.earth'; // See CNAME
+const OG_IMAGE = `${SITE_URL}/og-image.jpg`;
+
+// Listing descriptions are cut at a word boundary after this many characters
+const MAX_DESCRIPTION = 400;
+// Sectors named in the browse index's meta description before "and more"
+const MAX_NAMED_SECTORS = 8;
+
+// Facets with landing pages. The explorer link presets the facet under its own
+// key in the URL hash (see FACETS in main.js); values that slugify alike
+// ("net zero", "net-zero") share a page. Most tags are used once: those pages
+// would only repeat a single listing, so tags need minListings items (the build
+// summary names the ones left out).
+const FACET_PAGES = {
+  tag: {
+    segment: 'tags',
+    heading: 'Tags',
+    noun: 'tag',
+    minListings: 2,
+    phrase: name => `tagged “${name}”`,
+    about: 'each page gathers the listings with that tag from every category of the map'
+  },
+  author: {
+    segment: 'authors',
+    heading: 'Authors',
+    noun: 'author',
+    minListings: 1,
+    phrase: name => `by ${name}`,
+    about: 'each page gathers their listings from every category of the map'
+  }
+};
+
+// ============================================================================
+// DATASET
+// ============================================================================
+
+/**
+ * Categories of the preprocessed tree (see preprocessDataForD3) as pages
+ * @returns {Object} Page tree: { id, name, names (path below the root), path (URL path),
+ *   items (filed directly here), children, itemIds (distinct items in the subtree), lastmod }
+ */
+function buildPageTree(node, names = []) {
+  const page = {
+    id: node.id,
+    name: node.name,
+    names,
+    path: names.length === 0 ? '/browse/' : `/browse/${node.id.split('.').join('/')}/`,
+    items: [],
+    children: []
+  };
+
+  (node.children || []).forEach(child => {
+    if (child.isLeaf && !child.isEmpty) {
+      page.items.push(child.urls[0]);
+    } else {
+      page.children.push(buildPageTree(child, [...names, child.name]));
+    }
+  });
+
+  page.itemIds = new Set(page.items.map(getItemId));
+  page.children.forEach(child => child.itemIds.forEach(id => page.itemIds.add(id)));
+  // Newest item date in the subtree: the page's last content change
+  page.lastmod = [...page.items.map(item => item.date), ...page.children.map(child => child.lastmod)]
+    .filter(Boolean)
+    .sort()
+    .pop() || '';
+  return page;
+}
+
+// Depth-1 categories always get a page (the index links every sector); deeper ones when they list anything
+function hasPage(page) {
+  return page.names.length === 1 || page.itemIds.size > 0;
+}
+
+// Every page in the tree, parents first, in dataset order
+function flattenPages(page, pages = []) {
+  if (page.names.length === 0 || hasPage(page)) pages.push(page);
+  page.children.forEach(child => flattenPages(child, pages));
+  return pages;
+}
+
+/**
+ * Distinct items with the category pages they are filed under
+ * @returns {Array<Object>} [{ item, pages }] in dataset order
+ */
+function collectListings(pages) {
+  const listings = new Map();
+  pages.forEach(page => {
+    page.items.forEach(item => {
+      const id = getItemId(item);
+      if (!listings.has(id)) listings.set(id, { item, pages: [] });
+      if (!listings.get(id).pages.includes(page)) listings.get(id).pages.push(page);
+    });
+  });
+  return Array.from(listings.values());
+}
+
+/**
+ * Landing pages of a facet (see FACET_PAGES), sorted by URL, including values
+ * with fewer than minListings listings (main leaves those out)
+ * @returns {Array<Object>} [{ name (most used spelling), values, path, listings (newest first), lastmod }]
+ */
+function buildFacetPages(listings, key) {
+  const config = FACET_PAGES[key];
+  const groups = new Map(); // slug -> { valueCounts, listings }
+
+  listings.forEach(listing => {
+    const bySlug = new Map();
+    getItemFacetValues(listing.item, key).forEach(value => {
+      if (!bySlug.has(slugify(value))) bySlug.set(slugify(value), value);
+    });
+    bySlug.forEach((value, slug) => {
+      if (!groups.has(slug)) groups.set(slug, { valueCounts: new Map(), listings: [] });
+      const group = groups.get(slug);
+      group.valueCounts.set(value, (group.valueCounts.get(value) || 0) + 1);
+      group.listings.push(listing);
+    });
+  });
+
+  return Array.from(groups, ([slug, group]) => {
+    const values = Array.from(group.valueCounts.keys()).sort();
+    const name = values.reduce((best, value) =>
+      (group.valueCounts.get(value) > group.valueCounts.get(best) ? value : best));
+    // Newest first; the sort is stable, so equal dates keep dataset order
+    const sorted = [...group.listings].sort((a, b) => (b.item.date || '').localeCompare(a.item.date || ''));
+    return {
+      name,
+      values,
+      path: `/browse/${config.segment}/${slug}/`,
+      listings: sorted,
+      lastmod: sorted.map(listing => listing.item.date).filter(Boolean).sort().pop() || ''
+    };
+  })
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+}
+
+// JSON for a <script> element (no "</script>" inside)
+function scriptJson(value) {
+  return JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+}
+
+// "1 listing", "2 listings"
+function plural(count, noun) {
+  return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+// Pages count distinct items, while the explorer counts an item once per category it
+// is filed under: the label says so, so the two numbers aren't taken for the same thing
+function resources(count) {
+  return plural(count, 'unique resource');
+}
+
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : max).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+function itemTitle(item) {
+  return item.title || item.url || 'Untitled';
+}
+
+// Category names of a page for display ("Power › Renewables"); root-level items are "General"
+function categoryLabel(page) {
+  return page.names.length > 0 ? page.names.join(' › ') : 'General';
+}
+
+/**
+ * One listing
+ * @param {Object} item - Canonical item
+ * @param {Array<Object>} [pages] - Category pages to link as where the item is filed
+ */
+function renderItem(item, pages = []) {
+  const title = /^https?:\/\//i.test(item.url)
+    ? `<a href="${escapeHtml(item.url)}" rel="noopener">${escapeHtml(itemTitle(item))}</a>`
+    : escapeHtml(itemTitle(item));
+  const meta = [item.type, item.author, item.date].filter(Boolean).map(escapeHtml).join(' · ');
+  const filed = pages.length > 0
+    ? `<div class="m">In ${pages.map(page => `<a href="${page.path}">${escapeHtml(categoryLabel(page))}</a>`).join('; ')}</div>`
+    : '';
+  const description = item.description ? `<div class="d">${escapeHtml(truncate(item.description, MAX_DESCRIPTION))}</div>` : '';
+  return `      <li><div class="t">${title}</div>${meta ? `<div class="m">${meta}</div>` : ''}${filed}${description}</li>`;
+}
+
+function renderItemList(items) {
+  return ['    <ul class="items">', ...items.map(item => renderItem(item)), '    </ul>'].join('\n');
+}
+
+// Links to other browse pages: [{ path, name, count (label after the link) }]
+function renderLinkList(links) {
+  return [
+    '    <ul class="cats">',
+    ...links.map(link => `      <li><a href="${link.path}">${escapeHtml(link.name)}</a><span class="count">${link.count}</span></li>`),
+    '    </ul>'
+  ].join('\n');
+}
+
+function categoryLinks(pages) {
+  return pages.map(page => ({ path: page.path, name: page.name, count: resources(page.itemIds.size) }));
+}
+
+// Breadcrumb trail: [{ name, path }] ending with the current page (no path)
+function renderCrumbs(crumbs) {
+  return `    <nav class="crumbs">${crumbs
+    .map(crumb => (crumb.path ? `<a href="${crumb.path}">${escapeHtml(crumb.name)}</a>` : escapeHtml(crumb.name)))
+    .join(' › ')}</nav>`;
+}
+
+function breadcrumbJsonLd(crumbs, canonical) {
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map((crumb, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: crumb.name,
+      item: crumb.path ? `${SITE_URL}${crumb.path}` : canonical
+    }))
+  };
+}
+
+/**
+ * A complete page
+ * @param {Object} page - { title, description, path, crumbs, mainEntity (JSON-LD), body (HTML) }
+ */
+function renderPage({ title, description, path, crumbs, mainEntity, body }) {
+  const canonical = `${SITE_URL}${path}`;
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: title,
+    description,
+    url: canonical,
+    isPartOf: { '@type': 'WebSite', name: SITE_NAME, url: `${SITE_URL}/` },
+    breadcrumb: breadcrumbJsonLd(crumbs, canonical),
+    mainEntity
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${canonical}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:image" content="${OG_IMAGE}">
+  <meta property="og:url" content="${canonical}">
+  <meta property="og:type" content="website">
+  <link rel="icon" type="image/png" href="/cd_logo_crop_green.png">
+  <script type="application/ld+json">
+${scriptJson(jsonLd)}
+  </script>
+  <style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+         background: #0d2420; color: #e8f0ed; margin: 0; line-height: 1.55; }
+  a { color: #6fd0a8; }
+  header { padding: 24px 20px; border-bottom: 1px solid rgba(111, 208, 168, 0.25);
+           background: rgba(10, 31, 26, 0.6); }
+  header a.home { color: #90e0ef; text-decoration: none; font-weight: 700;
+                  letter-spacing: 1px; text-transform: uppercase; font-size: 15px; }
+  main { max-width: 860px; margin: 0 auto; padding: 24px 20px 60px; }
+  h1 { font-size: 28px; margin: 10px 0 4px; color: #ffffff; }
+  h2 { font-size: 19px; margin: 34px 0 6px; color: #a8e6cf;
+       border-bottom: 1px solid rgba(111, 208, 168, 0.2); padding-bottom: 6px; }
+  .crumbs { font-size: 13px; color: #9fb8b0; margin-bottom: 6px; }
+  .crumbs a { color: #9fb8b0; }
+  .lede { color: #b9cec7; margin: 0 0 8px; }
+  .cta { display: inline-block; margin: 14px 0 6px; padding: 9px 14px; border: 1px solid #6fd0a8;
+         border-radius: 5px; color: #6fd0a8; text-decoration: none; font-weight: 600; font-size: 14px; }
+  ul.items { list-style: none; padding: 0; margin: 8px 0 0; }
+  ul.items li { padding: 12px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.07); }
+  .t { font-weight: 600; font-size: 16px; }
+  .m { font-size: 12.5px; color: #9fb8b0; margin-top: 2px; }
+  .d { font-size: 14px; color: #cfdedb; margin-top: 5px; }
+  ul.cats { list-style: none; padding: 0; }
+  ul.cats li { padding: 10px 0; border-bottom: 1px solid rgba(255, 255, 255, 0.07); font-size: 17px; }
+  ul.cats .count { color: #9fb8b0; font-size: 13px; margin-left: 8px; }
+  footer { max-width: 860px; margin: 0 auto; padding: 20px; font-size: 13px; color: #9fb8b0;
+           border-top: 1px solid rgba(111, 208, 168, 0.2); }
+</style>
+</head>
+<body>
+  <header><a class="home" href="/">${SITE_NAME}</a></header>
+  <main>
+${renderCrumbs(crumbs)}
+${body}
+  </main>
+  <footer>
+    Curated by <a href="https://climatedrift.substack.com/" rel="noopener">Climate Drift</a>.
+    Browse the full map interactively at <a href="/">climatesolutionsmap.earth</a>.
+  </footer>
+</body>
+</html>
+`;
+}
+
+// ItemList of browse pages: [{ path, name }]
+function pageListJsonLd(links) {
+  return {
+    '@type': 'ItemList',
+    numberOfItems: links.length,
+    itemListElement: links.map((link, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: link.name,
+      url: `${SITE_URL}${link.path}`
+    }))
+  };
+}
+
+function itemListJsonLd(items) {
+  return {
+    '@type': 'ItemList',
+    numberOfItems: items.length,
+    itemListElement: items.map((item, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: itemTitle(item),
+      ...(/^https?:\/\//i.test(item.url) ? { url: item.url } : {})
+    }))
+  };
+}
+
+// Items of a page and its subcategories, once each, in page order
+function distinctItems(page, seen = new Set(), items = []) {
+  page.items.forEach(item => {
+    const id = getItemId(item);
+    if (!seen.has(id)) {
+      seen.add(id);
+      items.push(item);
+    }
+  });
+  page.children.forEach(child => distinctItems(child, seen, items));
+  return items;
+}
+
+// Sections of listings: the page's own items, then each descendant's under its path
+function renderSections(page, relativeNames = [page.name]) {
+  const sections = [];
+  if (page.items.length > 0) {
+    sections.push(`    <h2>${escapeHtml(relativeNames.join(' › '))}</h2>\n${renderItemList(page.items)}`);
+  }
+  page.children.forEach(child => {
+    sections.push(...renderSections(child, page.names.length === 0 ? [child.name] : [...relativeNames, child.name]));
+  });
+  return sections;
+}
+
+function renderCategoryPage(page, ancestors) {
+  const crumbs = [
+    { name: 'Home', path: '/' },
+    { name: 'Browse', path: '/browse/' },
+    ...ancestors.map(ancestor => ({ name: ancestor.name, path: ancestor.path })),
+    { name: page.name }
+  ];
+  const subcategories = page.children.filter(hasPage);
+  const count = page.itemIds.size;
+  const title = `${page.names.join(' › ')} — ${SITE_NAME}`;
+  const description = `${resources(count)} on climate solutions in ${page.name}` +
+    (subcategories.length > 0 ? `: ${subcategories.map(child => child.name).join(', ')}` : '') +
+    `. From the ${SITE_NAME} by Climate Drift.`;
+
+  const body = [
+    `    <h1>${escapeHtml(page.name)}</h1>`,
+    `    <p class="lede">${resources(count)} — companies, articles, research, and people working on ${escapeHtml(page.name)}.</p>`,
+    `    <a class="cta" href="/#${escapeHtml(explorerHash([['focus', page.id]]))}">Explore ${escapeHtml(page.name)} interactively →</a>`
+  ];
+  if (subcategories.length > 0) {
+    body.push('    <h2>Subcategories</h2>', renderLinkList(categoryLinks(subcategories)));
+  }
+  body.push(...renderSections(page));
+
+  return renderPage({
+    title,
+    description,
+    path: page.path,
+    crumbs,
+    mainEntity: itemListJsonLd(distinctItems(page)),
+    body: body.join('\n')
+  });
+}
+
+/**
+ * The browse index
+ * @param {Object} root - Page tree
+ * @param {Array<Object>} facetIndexes - [{ path, name, count }] of the tag and author indexes
+ */
+function renderIndexPage(root, facetIndexes) {
+  const sectors = root.children.filter(hasPage);
+  const count = root.itemIds.size;
+  const title = `Browse Climate Solutions — ${SITE_NAME}`;
+  const named = sectors.slice(0, MAX_NAMED_SECTORS).map(sector => sector.name).join(', ');
+  const description = `Browse ${resources(count)} on climate solutions across ${sectors.length} sectors: ` +
+    `${named}${sectors.length > MAX_NAMED_SECTORS ? ', and more' : ''}.`;
+
+  const body = [
+    '    <h1>Browse climate solutions</h1>',
+    `    <p class="lede">${resources(count)} across ${sectors.length} sectors, from the Climate Drift community.</p>`,
+    '    <a class="cta" href="/">Open the interactive explorer →</a>',
+    renderLinkList(categoryLinks(sectors))
+  ];
+  if (facetIndexes.length > 0) {
+    body.push('    <h2>More ways to browse</h2>', renderLinkList(facetIndexes));
+  }
+  if (root.items.length > 0) {
+    body.push(`    <h2>General</h2>\n${renderItemList(root.items)}`);
+  }
+
+  return renderPage({
+    title,
+    description,
+    path: root.path,
+    crumbs: [{ name: 'Home', path: '/' }, { name: 'Browse' }],
+    mainEntity: pageListJsonLd(sectors),
+    body: body.join('\n')
+  });
+}
+
+// Index of a facet's landing pages, e.g. browse/tags/
+function renderFacetIndexPage(key, facetPages) {
+  const config = FACET_PAGES[key];
+  const path = `/browse/${config.segment}/`;
+  const description = `Curated climate solutions by ${config.noun}: ${plural(facetPages.length, config.noun)} ` +
+    `from the ${SITE_NAME} by Climate Drift.`;
+
+  const body = [
+    `    <h1>${config.heading}</h1>`,
+    `    <p class="lede">${plural(facetPages.length, config.noun)} — ${config.about}.</p>`,
+    renderLinkList(facetPages.map(page => ({ path: page.path, name: page.name, count: resources(page.listings.length) })))
+  ];
+
+  return renderPage({
+    title: `${config.heading} — ${SITE_NAME}`,
+    description,
+    path,
+    crumbs: [{ name: 'Home', path: '/' }, { name: 'Browse', path: '/browse/' }, { name: config.heading }],
+    mainEntity: pageListJsonLd(facetPages),
+    body: body.join('\n')
+  });
+}
+
+// Landing page of one tag or author
+function renderFacetPage(key, page) {
+  const config = FACET_PAGES[key];
+  const count = page.listings.length;
+  const phrase = config.phrase(page.name);
+  // Sectors the listings are filed under, in dataset order
+  const sectors = [];
+  page.listings.forEach(({ pages }) => pages.forEach(({ names }) => {
+    if (names.length > 0 && !sectors.includes(names[0])) sectors.push(names[0]);
+  }));
+  const hash = explorerHash(page.values.map(value => [key, value]));
+  const description = `${resources(count)} on climate solutions ${phrase}` +
+    (sectors.length > 0 ? `, in ${sectors.join(', ')}` : '') +
+    `. From the ${SITE_NAME} by Climate Drift.`;
+
+  const body = [
+    `    <h1>${escapeHtml(page.name)}</h1>`,
+    `    <p class="lede">${resources(count)} ${escapeHtml(phrase)}` +
+      (sectors.length > 0 ? ` across ${plural(sectors.length, 'sector')}` : '') + '.</p>',
+    `    <a class="cta" href="/#${escapeHtml(hash)}">Open in the explorer →</a>`,
+    '    <ul class="items">',
+    ...page.listings.map(({ item, pages }) => renderItem(item, pages)),
+    '    </ul>'
+  ];
+
+  return renderPage({
+    title: `Climate solutions ${phrase} — ${SITE_NAME}`,
+    description,
+    path: page.path,
+    crumbs: [
+      { name: 'Home', path: '/' },
+      { name: 'Browse', path: '/browse/' },
+      { name: config.heading, path: `/browse/${config.segment}/` },
+      { name: page.name }
+    ],
+    mainEntity: itemListJsonLd(page.listings.map(({ item }) => item)),
+    body: body.join('\n')
+  });
+}
+
+// ============================================================================
+// PAGE INDEX
+// ============================================================================
+
+// Explorer URL hash showing a page's listings (keys as parseURL in main.js reads them)
+function explorerHash(pairs) {
+  return new URLSearchParams(pairs).toString();
+}
+
+/**
+ * browse/index.json: the category, tag and author pages, one per line
+ * @param {Array<Object>} entries - [{ path, name, kind, label, count, explore }]
+ */
+function renderPageIndex(entries) {
+  return `[\n${entries.map(entry => JSON.stringify(entry)).join(',\n')}\n]\n`;
+}
+
+// ============================================================================
+// SITEMAP
+// ============================================================================
+
+function sitemapEntry(path, lastmod, priority) {
+  return [
+    '  <url>',
+    `    <loc>${SITE_URL}${path}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    `    <priority>${priority}</priority>`,
+    '  </url>'
+  ].join('\n');
+}
+
+// <url> entries of the current sitemap that are not generated here (docs pages)
+async function readKeptSitemapEntries() {
+  let xml;
+  try {
+    xml = await readFile(SITEMAP_FILE, 'utf8');
+  } catch (error) {
+    return [];
+  }
+  return (xml.match(/ *<url>[\s\S]*?<\/url>/g) || []).filter(entry => {
+    const loc = (/<loc>([^<]*)<\/loc>/.exec(entry) || [])[1] || '';
+    const path = loc.startsWith(SITE_URL) ? loc.slice(SITE_URL.length) : loc;
+    return path !== '/' && !path.startsWith('/browse/');
+  });
+}
+
+// Generated pages: [{ path, lastmod, priority }], the browse index first
+function renderSitemap(outputs, keptEntries) {
+  const entries = [
+    sitemapEntry('/', outputs[0].lastmod, '1.0'),
+    ...outputs.map(output => sitemapEntry(output.path, output.lastmod, output.priority)),
+    ...keptEntries
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const { values } = parseArgs({
+    options: { data: { type: 'string', default: DEFAULT_DATA } }
+  });
+
+  const data = normalizeDataset(JSON.parse(await readFile(values.data, 'utf8')));
+  const root = buildPageTree(preprocessDataForD3(data));
+  const pages = flattenPages(root);
+  const listings = collectListings(pages);
+
+  const outputs = []; // { path, html, lastmod, priority, entry (page index, see renderPageIndex) }
+  const facetIndexes = [];
+  const skipped = []; // Summary lines for facet values below minListings
+  Object.keys(FACET_PAGES).forEach(key => {
+    const { segment, noun, minListings } = FACET_PAGES[key];
+    if (root.children.some(sector => sector.path === `/browse/${segment}/`)) {
+      throw new Error(`Category "${segment}" clashes with the ${noun} pages at /browse/${segment}/`);
+    }
+    const allPages = buildFacetPages(listings, key);
+    const facetPages = allPages.filter(page => page.listings.length >= minListings);
+    const left = allPages.filter(page => page.listings.length < minListings);
+    if (left.length > 0) {
+      skipped.push(`No page for ${plural(left.length, noun)} with fewer than ${plural(minListings, 'listing')}: ` +
+        left.map(page => page.name).join(', '));
+    }
+    if (facetPages.length === 0) return;
+
+    const path = `/browse/${segment}/`;
+    facetIndexes.push({ path, name: `By ${noun}`, count: plural(facetPages.length, noun) });
+    outputs.push({
+      path,
+      html: renderFacetIndexPage(key, facetPages),
+      lastmod: facetPages.map(page => page.lastmod).sort().pop(),
+      priority: '0.6'
+    }, ...facetPages.map(page => ({
+      path: page.path,
+      html: renderFacetPage(key, page),
+      lastmod: page.lastmod,
+      priority: '0.5',
+      entry: {
+        path: page.path,
+        name: page.name,
+        kind: key,
+        label: FACET_PAGES[key].heading.replace(/s$/, ''),
+        count: page.listings.length,
+        explore: explorerHash(page.values.map(value => [key, value]))
+      }
+    })));
+  });
+
+  const ancestorsOf = new Map([[root, []]]);
+  const categoryOutputs = pages.map(page => {
+    const html = page === root
+      ? renderIndexPage(root, facetIndexes)
+      : renderCategoryPage(page, ancestorsOf.get(page));
+    page.children.forEach(child => {
+      ancestorsOf.set(child, page === root ? [] : [...ancestorsOf.get(page), page]);
+    });
+    return {
+      path: page.path,
+      html,
+      lastmod: page.lastmod,
+      priority: ['0.8', '0.7'][page.names.length] || '0.6',
+      entry: page === root ? null : {
+        path: page.path,
+        name: page.name,
+        kind: 'category',
+        label: page.names.join(' › '),
+        count: page.itemIds.size,
+        explore: explorerHash([['focus', page.id]])
+      }
+    };
+  });
+  outputs.unshift(...categoryOutputs);
+
+  const keptEntries = await readKeptSitemapEntries();
+  await rm(BROWSE_DIR, { recursive: true, force: true });
+  for (const output of outputs) {
+    const dir = `${ROOT_DIR}${output.path.slice(1)}`;
+    await mkdir(dir, { recursive: true });
+    await writeFile(`${dir}index.html`, output.html);
+  }
+
+  await writeFile(PAGE_INDEX_FILE, renderPageIndex(outputs.map(output => output.entry).filter(Boolean)));
+  await writeFile(SITEMAP_FILE, renderSitemap(outputs, keptEntries));
+  console.log(`Wrote ${outputs.length} browse pages and sitemap.xml (${resources(root.itemIds.size)})`);
+  skipped.forEach(line => console.log(line));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+/**
+ * check-links.mjs
+ * Check every item URL of the dataset and write a link report the Audit view
+ * (#viz=audit, js/visualizations/auditView.js) reads to list dead and moved links.
+ *
+ *   node scripts/check-links.mjs
+ *   node scripts/check-links.mjs --refresh --concurrency 4 --out /tmp/links.json
+ *
+ * Requests run a few at a time (and fewer per host), redirects are followed by
+ * hand so every hop is recorded, and results are kept in a cache file so reruns
+ * only check what is new or stale. The HTTP fetcher is pluggable: pass a module
+ * with --fetcher, or import checkLinks() with your own (e.g. against a stub server).
+ * Needs Node 20+, no packages.
+ * Exit codes: 0 no dead links, 1 dead links found, 2 invalid options or dataset.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { normalizeDataset } from '../js/normalize.js';
+import { getItemId, preprocessDataForD3 } from '../js/utilities.js';
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const DEFAULT_DATA = `${ROOT_DIR}db/latest/CD_Solution_map_2_content.json`;
+// Deployed next to the dataset: the Audit view fetches it from there
+const DEFAULT_REPORT = `${ROOT_DIR}db/latest/link-report.json`;
+// Outside db/latest/, so it stays private
+const DEFAULT_CACHE = `${ROOT_DIR}db/link-check-cache.json`;
+
+const REPORT_VERSION = 1;
+const MAX_REDIRECTS = 10;
+const USER_AGENT = 'Mozilla/5.0 (compatible; ClimateSolutionsExplorer-LinkCheck/1.0; +https://climatesolutionsmap.earth)';
+
+const DEFAULTS = {
+  concurrency: 8,
+  perHost: 2,
+  timeout: 15, // seconds per request
+  maxAge: 7 // days a cached result is reused
+};
+
+// Statuses of sites that refuse automated requests (LinkedIn answers 999): not dead, just unverified
+const BLOCKED_STATUSES = [401, 403, 429, 999];
+const PERMANENT_REDIRECTS = [301, 308];
+// Network errors that mean the link is gone rather than the request failed
+const DEAD_ERROR_CODES = ['ENOTFOUND'];
+
+const USAGE = `Usage: node scripts/check-links.mjs [options]
+
+Options:
+  --data <file>         Dataset JSON (default: db/latest/CD_Solution_map_2_content.json)
+  --out <file>          Link report (default: db/latest/link-report.json)
+  --cache <file>        Result cache (default: db/link-check-cache.json)
+  --max-age <days>      Reuse cached results younger than this (default: ${DEFAULTS.maxAge})
+  --refresh             Ignore the cache and check every URL again
+  --concurrency <n>     Requests at a time (default: ${DEFAULTS.concurrency})
+  --per-host <n>        Requests at a time to one host (default: ${DEFAULTS.perHost})
+  --timeout <seconds>   Per request (default: ${DEFAULTS.timeout})
+  --fetcher <module>    Module whose default export replaces the HTTP fetcher
+  -h, --help            Show this help
+
+Exit codes: 0 no dead links, 1 dead links found, 2 invalid options or dataset.`;
+
+// Invalid options: reported with the usage, exit status 2
+class UsageError extends Error {}
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+/**
+ * Default fetcher: one request, redirects not followed
+ * A fetcher is async (url, { method, signal }) => { status, location }
+ * and throws (with error.code when known) on network failure.
+ */
+export async function httpFetcher(url, { method, signal }) {
+  let response;
+  try {
+    response = await fetch(url, { method, signal, redirect: 'manual', headers: { 'User-Agent': USER_AGENT } });
+  } catch (error) {
+    // Node's fetch hides the socket error (ENOTFOUND, ECONNREFUSED...) in cause
+    if (error.cause && error.cause.code) {
+      error.code = error.cause.code;
+      error.message = error.cause.message;
+    }
+    throw error;
+  }
+  // Only the status matters: don't download bodies
+  if (response.body) response.body.cancel().catch(() => {});
+  return { status: response.status, location: response.headers.get('location') };
+}
+
+// Run at most `limit` tasks at a time
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve: done, reject } = queue.shift();
+    task().then(done, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return task => new Promise((done, reject) => {
+    queue.push({ task, resolve: done, reject });
+    next();
+  });
+}
+
+// One request with a timeout; HEAD first, GET when HEAD fails (many servers mishandle HEAD)
+async function request(fetcher, url, timeout) {
+  for (const method of ['HEAD', 'GET']) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetcher(url, { method, signal: controller.signal });
+      if (method === 'GET' || response.status < 400) return response;
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timeoutError = new Error(`No response within ${timeout / 1000}s`);
+        timeoutError.code = 'TIMEOUT';
+        throw timeoutError;
+      }
+      if (method === 'GET') throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Check one URL, following redirects
+ * @returns {Promise<Object>} { outcome: 'ok'|'redirected'|'blocked'|'dead'|'error', status,
+ *   finalUrl, redirects: [{ status, url }], permanent (every hop was 301/308), error, checkedAt }
+ */
+async function checkUrl(url, { fetcher, timeout, now }) {
+  const redirects = [];
+  const result = (outcome, fields) => ({ outcome, redirects, ...fields, checkedAt: now().toISOString() });
+
+  let current = url;
+  try {
+    for (;;) {
+      const { status, location } = await request(fetcher, current, timeout);
+      if (status >= 300 && status < 400) {
+        // Nowhere to go: a server problem rather than a dead link, so checked again next run
+        if (!location) {
+          return result('error', { status, finalUrl: current, error: `HTTP ${status} redirect without a Location header` });
+        }
+        if (redirects.length >= MAX_REDIRECTS) {
+          return result('dead', { status, finalUrl: current, error: `More than ${MAX_REDIRECTS} redirects` });
+        }
+        current = new URL(location, current).href;
+        redirects.push({ status, url: current });
+        continue;
+      }
+
+      const fields = { status, finalUrl: current };
+      if (status >= 200 && status < 300) {
+        if (redirects.length === 0) return result('ok', fields);
+        return result('redirected', { ...fields, permanent: redirects.every(hop => PERMANENT_REDIRECTS.includes(hop.status)) });
+      }
+      if (BLOCKED_STATUSES.includes(status)) return result('blocked', fields);
+      // Server errors may pass: check again next run
+      return result(status >= 500 ? 'error' : 'dead', fields);
+    }
+  } catch (error) {
+    const message = error.code && !error.message.includes(error.code) ? `${error.code}: ${error.message}` : error.message;
+    return result(DEAD_ERROR_CODES.includes(error.code) ? 'dead' : 'error', { status: null, finalUrl: current, error: message });
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Check URLs with concurrency limits, reusing fresh cached results
+ * @param {Array<string>} urls
+ * @param {Object} [options]
+ * @param {Function} [options.fetcher] - See httpFetcher (default)
+ * @param {Object} [options.cache] - { [url]: result } from an earlier run
+ * @param {number} [options.maxAge] - Days a cached result stays fresh (errors are always rechecked)
+ * @param {number} [options.concurrency] - Requests at a time
+ * @param {number} [options.perHost] - Requests at a time to one host
+ * @param {number} [options.timeout] - Seconds per request
+ * @param {Function} [options.onProgress] - (done, total, url, result) after each URL
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Promise<Map>} url -> result (with cached: true when reused)
+ */
+export async function checkLinks(urls, options = {}) {
+  const {
+    fetcher = httpFetcher,
+    cache = {},
+    maxAge = DEFAULTS.maxAge,
+    concurrency = DEFAULTS.concurrency,
+    perHost = DEFAULTS.perHost,
+    timeout = DEFAULTS.timeout,
+    onProgress = () => {},
+    now = () => new Date()
+  } = options;
+
+  const results = new Map();
+  const limit = createLimiter(concurrency);
+  const hostLimits = new Map(); // host -> limiter
+  let done = 0;
+
+  await Promise.all(urls.map(async url => {
+    const cached = cache[url];
+    const age = cached ? now() - new Date(cached.checkedAt) : Infinity;
+    let result;
+    if (cached && cached.outcome !== 'error' && age < maxAge * 24 * 60 * 60 * 1000) {
+      result = { ...cached, cached: true };
+    } else {
+      const host = hostOf(url);
+      if (!hostLimits.has(host)) hostLimits.set(host, createLimiter(perHost));
+      result = await hostLimits.get(host)(() => limit(() => checkUrl(url, { fetcher, timeout: timeout * 1000, now })));
+    }
+    results.set(url, result);
+    onProgress(++done, urls.length, url, result);
+  }));
+  return results;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Items with a web URL, once each, with the categories they are filed under
+ * @returns {Array<Object>} [{ id, title, url, locations: [{ path (category names), nodeId }] }]
+ */
+export function collectLinks(tree) {
+  const links = new Map(); // item id -> link
+  (function walk(node, names) {
+    (node.children || []).forEach(child => {
+      if (!(child.isLeaf && !child.isEmpty)) {
+        walk(child, [...names, child.name]);
+        return;
+      }
+      const item = child.urls[0];
+      if (!/^https?:\/\//i.test(item.url || '')) return;
+      const id = getItemId(item);
+      if (!links.has(id)) links.set(id, { id, title: item.title, url: item.url, locations: [] });
+      links.get(id).locations.push({ path: names, nodeId: node.id });
+    });
+  })(tree, []);
+  return Array.from(links.values());
+}
+
+/**
+ * The link report: results keyed by item id, with each item's category paths
+ * @returns {Object} { version, generatedAt, dataset, summary: { items, urls, cached, [outcome]: count },
+ *   items: { [itemId]: { title, url, locations, outcome, status, finalUrl, redirects, permanent?, error?, checkedAt } } }
+ */
+export function buildLinkReport(links, results, { dataset, now = () => new Date() } = {}) {
+  const summary = { items: links.length, urls: results.size, cached: 0, ok: 0, redirected: 0, blocked: 0, dead: 0, error: 0 };
+  results.forEach(result => {
+    summary[result.outcome]++;
+    if (result.cached) summary.cached++;
+  });
+
+  const items = {};
+  links.forEach(link => {
+    const { cached, ...result } = results.get(link.url);
+    items[link.id] = { title: link.title, url: link.url, locations: link.locations, ...result };
+  });
+  return { version: REPORT_VERSION, generatedAt: now().toISOString(), dataset, summary, items };
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        data: { type: 'string', default: DEFAULT_DATA },
+        out: { type: 'string', default: DEFAULT_REPORT },
+        cache: { type: 'string', default: DEFAULT_CACHE },
+        'max-age': { type: 'string', default: String(DEFAULTS.maxAge) },
+        refresh: { type: 'boolean', default: false },
+        concurrency: { type: 'string', default: String(DEFAULTS.concurrency) },
+        'per-host': { type: 'string', default: String(DEFAULTS.perHost) },
+        timeout: { type: 'string', default: String(DEFAULTS.timeout) },
+        fetcher: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values } = parsed;
+  const number = (key, { whole = true, min = 1 } = {}) => {
+    const value = Number(values[key]);
+    if (!(Number.isFinite(value) && value >= min && (!whole || Number.isInteger(value)))) {
+      throw new UsageError(`--${key} expects a ${whole ? 'whole ' : ''}number of at least ${min}, got "${values[key]}"`);
+    }
+    return value;
+  };
+  return {
+    ...values,
+    maxAge: number('max-age', { whole: false, min: 0 }),
+    concurrency: number('concurrency'),
+    perHost: number('per-host'),
+    timeout: number('timeout', { whole: false, min: 0.1 })
+  };
+}
+
+async function loadFetcher(specifier) {
+  if (!specifier) return httpFetcher;
+  const module = await import(pathToFileURL(resolve(specifier)).href);
+  if (typeof module.default !== 'function') {
+    throw new UsageError(`${specifier} has no default export to use as the fetcher`);
+  }
+  return module.default;
+}
+
+// Cached results by URL; a missing or unreadable cache starts empty
+async function readCache(file) {
+  try {
+    const cache = JSON.parse(await readFile(file, 'utf8'));
+    return cache.version === REPORT_VERSION ? cache.results : {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') process.stderr.write(`Ignoring unreadable cache ${file}: ${error.message}\n`);
+    return {};
+  }
+}
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+  const fetcher = await loadFetcher(options.fetcher);
+
+  let links;
+  try {
+    const data = normalizeDataset(JSON.parse(await readFile(options.data, 'utf8')));
+    links = collectLinks(preprocessDataForD3(data));
+  } catch (error) {
+    process.stderr.write(`Could not read dataset ${options.data}: ${error.message}\n`);
+    return 2;
+  }
+
+  const cache = options.refresh ? {} : await readCache(options.cache);
+  const urls = [...new Set(links.map(link => link.url))];
+  const results = await checkLinks(urls, {
+    fetcher,
+    cache,
+    maxAge: options.maxAge,
+    concurrency: options.concurrency,
+    perHost: options.perHost,
+    timeout: options.timeout,
+    onProgress: (done, total, url, result) => {
+      if (!result.cached && result.outcome !== 'ok') {
+        process.stderr.write(`${result.outcome.padEnd(10)} ${result.status ?? '-'} ${url}${result.error ? ` (${result.error})` : ''}\n`);
+      }
+      if (done === total || done % 25 === 0) process.stderr.write(`Checked ${done}/${total}\n`);
+    }
+  });
+
+  const dataset = resolve(options.data).startsWith(ROOT_DIR) ? resolve(options.data).slice(ROOT_DIR.length) : options.data;
+  const report = buildLinkReport(links, results, { dataset });
+  await writeFile(options.out, JSON.stringify(report, null, 2) + '\n');
+  // URLs no longer in the dataset drop out of the cache
+  const cacheResults = {};
+  results.forEach(({ cached, ...result }, url) => { cacheResults[url] = result; });
+  await writeFile(options.cache, JSON.stringify({ version: REPORT_VERSION, results: cacheResults }, null, 2) + '\n');
+
+  const { summary } = report;
+  process.stderr.write(`${summary.urls} URLs: ${summary.ok} ok, ${summary.redirected} redirected, ` +
+    `${summary.blocked} blocked, ${summary.dead} dead, ${summary.error} errors (${summary.cached} from cache). ` +
+    `Report: ${options.out}\n`);
+  return summary.dead > 0 ? 1 : 0;
+}
+
+// Run as a command; importing the module (to inject a fetcher) runs nothing
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    if (!(error instanceof UsageError)) throw error;
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exitCode = 2;
+  });
+}
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * query.mjs
+ * Run the explorer's search language and filters against the dataset from a
+ * terminal. Uses the same engine as the web app (js/search.js).
+ *
+ *   node scripts/query.mjs '"carbon capture" type:podcast date:2025'
+ *   node scripts/query.mjs --type Podcast --from 2024-01-01 --format csv solar > solar.csv
+ *
+ * Needs Node 20+, no packages: MiniSearch is the build vendored with the web app.
+ * Exit codes: 0 matches found, 1 no matches, 2 invalid query, options or dataset.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import MiniSearch from '../js/vendor/minisearch.js';
+import { normalizeDataset } from '../js/normalize.js';
+import { FACET_KEYS, getItemId, preprocessDataForD3 } from '../js/utilities.js';
+import { collectFieldValues, createSearchIndex, getFilteredData } from '../js/search.js';
+
+const DEFAULT_DATA = fileURLToPath(new URL('../db/latest/CD_Solution_map_2_content.json', import.meta.url));
+const FORMATS = ['table', 'json', 'csv', 'tsv'];
+
+// Columns of the CSV/TSV output (multi-value fields are joined with "; ")
+const COLUMNS = ['id', 'title', 'url', 'type', 'author', 'date', 'tags', 'keywords', 'affiliation', 'location', 'driftie', 'description', 'paths'];
+
+const USAGE = `Usage: node scripts/query.mjs [options] [query]
+
+Query: the explorer's search syntax, e.g. '"carbon capture" type:podcast date:2025'
+(AND/OR/NOT, -term, "phrases", author: type: tag: keyword: affiliation: location: driftie: date:)
+
+Options:
+  --type, --tag, --author, --location <value>
+                      Keep items with this value (repeat for any of several)
+  --exclude-type, --exclude-tag, --exclude-author, --exclude-location <value>
+                      Drop items with this value (repeatable)
+  --from, --to <YYYY-MM-DD>
+                      Date range
+  --format <table|json|csv|tsv>
+                      Output format (default: table)
+  --limit <n>         Print at most n matches
+  --data <file>       Dataset JSON (default: db/latest/CD_Solution_map_2_content.json)
+  -h, --help          Show this help
+
+Exit codes: 0 matches found, 1 no matches, 2 invalid query, options or dataset.`;
+
+// Invalid options: reported with the usage, exit status 2
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  const facetOptions = {};
+  FACET_KEYS.forEach(key => {
+    facetOptions[key] = { type: 'string', multiple: true };
+    facetOptions[`exclude-${key}`] = { type: 'string', multiple: true };
+  });
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        ...facetOptions,
+        from: { type: 'string' },
+        to: { type: 'string' },
+        format: { type: 'string', default: 'table' },
+        limit: { type: 'string' },
+        data: { type: 'string', default: DEFAULT_DATA },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+  ['from', 'to'].forEach(key => {
+    if (values[key] && !/^\d{4}-\d{2}-\d{2}$/.test(values[key])) {
+      throw new UsageError(`--${key} expects a YYYY-MM-DD date, got "${values[key]}"`);
+    }
+  });
+  const limit = values.limit === undefined ? Infinity : Number(values.limit);
+  if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 0)) {
+    throw new UsageError(`--limit expects a whole number, got "${values.limit}"`);
+  }
+
+  return { ...values, limit, query: positionals.join(' ') };
+}
+
+// Facet selection for a key, with values matched to the dataset's own spelling
+function facetSelection(options, key, fieldValues) {
+  const include = options[key] || [];
+  const exclude = options[`exclude-${key}`] || [];
+  if (include.length > 0 && exclude.length > 0) {
+    throw new UsageError(`Use either --${key} or --exclude-${key}, not both`);
+  }
+  const requested = include.length > 0 ? include : exclude;
+  if (requested.length === 0) return 'all';
+
+  const known = Array.from(fieldValues.get(key));
+  const values = requested.map(value => {
+    const match = known.find(v => v.toLowerCase() === value.toLowerCase());
+    if (!match) throw new UsageError(`No ${key} "${value}" in the dataset`);
+    return match;
+  });
+  return { mode: include.length > 0 ? 'include' : 'exclude', values };
+}
+
+// Matched items (the filtered tree's item leaves) with the taxonomy paths they are filed under
+function collectMatches(tree) {
+  const matches = new Map();
+  (function walk(node, names) {
+    if (node.isLeaf && !node.isEmpty && !node.children) {
+      const item = node.urls[0];
+      const id = getItemId(item);
+      if (!matches.has(id)) matches.set(id, { id, ...item, paths: [] });
+      const path = names.slice(0, -1).join(' > '); // Without the leaf (the item's own title)
+      if (!matches.get(id).paths.includes(path)) matches.get(id).paths.push(path);
+      return;
+    }
+    (node.children || []).forEach(child => walk(child, [...names, child.name]));
+  })(tree, [tree.name]);
+  return Array.from(matches.values());
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function cellValue(match, column) {
+  const value = match[column];
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'boolean') return value ? 'yes' : '';
+  return value == null ? '' : String(value);
+}
+
+function formatDelimited(matches, format) {
+  const escape = format === 'csv'
+    ? value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+    : value => value.replace(/[\t\r\n]+/g, ' ');
+  const separator = format === 'csv' ? ',' : '\t';
+  return [COLUMNS, ...matches.map(match => COLUMNS.map(column => cellValue(match, column)))]
+    .map(row => row.map(escape).join(separator))
+    .join('\n') + '\n';
+}
+
+// Fit a cell to a column width (keepEnd: cut from the start, for paths)
+function fit(text, width, keepEnd = false) {
+  const flat = text.replace(/\s+/g, ' ');
+  if (flat.length <= width) return flat.padEnd(width);
+  return keepEnd ? `…${flat.slice(flat.length - width + 1)}` : `${flat.slice(0, width - 1)}…`;
+}
+
+function formatTable(matches) {
+  if (matches.length === 0) return '';
+  const width = process.stdout.columns || 120;
+  const fixed = { title: 48, type: 20, date: 10 };
+  const pathWidth = Math.max(20, width - fixed.title - fixed.type - fixed.date - 6);
+  const path = match => match.paths[0] + (match.paths.length > 1 ? ` (+${match.paths.length - 1})` : '');
+
+  const header = [fit('TITLE', fixed.title), fit('TYPE', fixed.type), fit('DATE', fixed.date), 'PATH'].join('  ');
+  const rows = matches.map(match => [
+    fit(match.title || '(untitled)', fixed.title),
+    fit(match.type, fixed.type),
+    fit(match.date, fixed.date),
+    fit(path(match), pathWidth, true).trimEnd()
+  ].join('  '));
+  return [header, ...rows].join('\n') + '\n';
+}
+
+function formatMatches(matches, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(matches, null, 2) + '\n';
+    case 'csv':
+    case 'tsv': return formatDelimited(matches, format);
+    default: return formatTable(matches);
+  }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  let data;
+  try {
+    data = normalizeDataset(JSON.parse(await readFile(options.data, 'utf8')));
+  } catch (error) {
+    process.stderr.write(`Could not read dataset ${options.data}: ${error.message}\n`);
+    return 2;
+  }
+
+  const fieldValues = collectFieldValues(data);
+  const state = {
+    query: options.query,
+    dateFrom: options.from || '',
+    dateTo: options.to || ''
+  };
+  FACET_KEYS.forEach(key => { state[key] = facetSelection(options, key, fieldValues); });
+
+  const searchIndex = createSearchIndex(data, { MiniSearch });
+  const { data: filtered, searchError } = getFilteredData(preprocessDataForD3(data), state, searchIndex);
+
+  if (searchError) {
+    process.stderr.write(`Search syntax error: ${searchError.message}\n  ${options.query}\n  ${' '.repeat(searchError.position)}^\n`);
+    return 2;
+  }
+
+  const matches = filtered ? collectMatches(filtered) : [];
+  process.stdout.write(formatMatches(matches.slice(0, options.limit), options.format));
+  if (options.format === 'table') {
+    const shown = Math.min(matches.length, options.limit);
+    process.stderr.write(`${matches.length} matching item${matches.length !== 1 ? 's' : ''}` +
+      (shown < matches.length ? ` (${shown} shown)` : '') + '\n');
+  }
+  return matches.length > 0 ? 0 : 1;
+}
+
+// Piped into head & co.: stop quietly once the reader is gone
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(process.exitCode ?? 0);
+});
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, error => {
+  if (!(error instanceof UsageError)) throw error;
+  process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+  process.exitCode = 2;
+});
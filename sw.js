@@ -0,0 +1,237 @@
+/**
+ * sw.js
+ * Service worker: keeps the explorer usable offline.
+ *
+ * - App shell (HTML, CSS, modules) and the CDN libraries are precached on
+ *   install and served stale-while-revalidate, so a deploy shows up on the
+ *   next load. Changing this file (SHELL_VERSION, the lists) installs a new
+ *   worker, which waits until the page's "update available" prompt is accepted.
+ * - The dataset is served from cache and refreshed in the background when
+ *   db/latest/version.txt changes; open pages are told so they can offer a reload.
+ * - Archived snapshots (What's New) never change: cached on first use. Their
+ *   index (versions.json) and page loads go to the network first.
+ */
+
+// Bump with the ?v= cache-busters in index.html
+const SHELL_VERSION = '20261020';
+const SHELL_CACHE = `cse-shell-${SHELL_VERSION}`;
+const DATA_CACHE = 'cse-data';
+const ARCHIVE_CACHE = 'cse-archive';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  `styles.css?v=${SHELL_VERSION}`,
+  `js/ui.js?v=${SHELL_VERSION}`,
+  `js/main.js?v=${SHELL_VERSION}`,
+  'js/analytics.js',
+  'js/audit.js',
+  'js/datasetImport.js',
+  'js/diagnostics.js',
+  'js/normalize.js',
+  'js/notFound.js',
+  'js/pwa.js',
+  'js/search.js',
+  'js/searchClient.js',
+  'js/searchUI.js',
+  'js/searchWorker.js',
+  'js/urlState.js',
+  'js/utilities.js',
+  'js/validate.js',
+  'js/versionDiff.js',
+  'js/visualizations/index.js',
+  'js/visualizations/registry.js',
+  'js/visualizations/shared.js',
+  'js/visualizations/circlePacking.js',
+  'js/visualizations/dendrogram.js',
+  'js/visualizations/treemap.js',
+  'js/visualizations/sunburst.js',
+  'js/visualizations/forceNetwork.js',
+  'js/visualizations/timeline.js',
+  'js/visualizations/tableView.js',
+  'js/visualizations/whatsNew.js',
+  'js/visualizations/stats.js',
+  'js/visualizations/auditView.js',
+  'js/vendor/count.js',
+  'js/vendor/minisearch.js',
+  'manifest.webmanifest',
+  'cd_logo_crop_green.png',
+  '404.html'
+];
+
+// Same URLs as the <script> tags in index.html (fetched with CORS so SRI still checks them)
+const LIBRARY_FILES = [
+  'https://cdn.jsdelivr.net/npm/d3@7.9.0/dist/d3.min.js',
+  'https://cdn.jsdelivr.net/npm/compromise@14.14.0/builds/compromise.min.js',
+  'https://cdn.jsdelivr.net/npm/compromise-dates@3.4.0/builds/compromise-dates.min.js',
+  'https://cdn.jsdelivr.net/npm/minisearch@7.1.2/dist/umd/index.min.js',
+  'https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js',
+  'https://cdn.jsdelivr.net/npm/dompurify@3.0.6/dist/purify.min.js'
+];
+
+const VERSION_URL = new URL('db/latest/version.txt', self.location).href;
+const DATA_URL = new URL('db/latest/CD_Solution_map_2_content.json', self.location).href;
+const ARCHIVE_PATH = new URL('db/archive/', self.location).pathname;
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    await shell.addAll(LIBRARY_FILES.map(url => new Request(url, { mode: 'cors' })));
+    await refreshDataset();
+  })());
+  // No skipWaiting(): the page asks first (see js/pwa.js)
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('cse-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// ============================================================================
+// DATASET (keyed on version.txt)
+// ============================================================================
+
+/**
+ * Fetch version.txt and, when it differs from the cached one, the dataset.
+ * Both are stored together so the cached pair always matches.
+ * @returns {Promise<string|null>} The new version when a cached dataset was replaced
+ */
+async function refreshDataset() {
+  const cache = await caches.open(DATA_CACHE);
+  const versionResponse = await fetch(VERSION_URL, { cache: 'no-store' });
+  if (!versionResponse.ok) return null;
+  const version = (await versionResponse.clone().text()).trim();
+
+  const cachedVersionResponse = await cache.match(VERSION_URL);
+  const cachedVersion = cachedVersionResponse ? (await cachedVersionResponse.text()).trim() : '';
+  if (version === cachedVersion && await cache.match(DATA_URL)) return null;
+
+  const dataResponse = await fetch(DATA_URL, { cache: 'no-store' });
+  if (!dataResponse.ok) return null;
+  await cache.put(DATA_URL, dataResponse);
+  await cache.put(VERSION_URL, versionResponse);
+  return cachedVersion ? version : null;
+}
+
+// Tell open pages that a newer dataset is cached
+async function announceDataset(version) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'DATA_UPDATED', version }));
+}
+
+// One refresh at a time: pages ask for version.txt and the dataset together
+let pendingRefresh = null;
+function refreshInBackground() {
+  if (!pendingRefresh) {
+    pendingRefresh = refreshDataset()
+      .then(version => version && announceDataset(version))
+      .catch(() => {}) // Offline: keep what is cached
+      .finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+}
+
+// Cached dataset file right away; version check (and download) in the background
+async function serveDataset(event, url) {
+  const cache = await caches.open(DATA_CACHE);
+  const refresh = refreshInBackground();
+
+  const cached = await cache.match(url);
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  await refresh;
+  return (await cache.match(url)) || fetch(event.request);
+}
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+// Cache first, refreshing the entry in the background (stale-while-revalidate)
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request)
+    .then(response => {
+      if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// Network first, the cached copy when offline
+async function networkFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) await cache.put(event.request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(event.request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Archived snapshots never change once published
+async function cacheFirst(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+  const response = await fetch(event.request);
+  if (response.ok) await cache.put(event.request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.href === DATA_URL || url.href === VERSION_URL) {
+    event.respondWith(serveDataset(event, url.href));
+    return;
+  }
+
+  if (url.origin === self.location.origin && url.pathname.startsWith(ARCHIVE_PATH)) {
+    event.respondWith(url.pathname.endsWith('/versions.json')
+      ? networkFirst(event, ARCHIVE_CACHE)
+      : cacheFirst(event, ARCHIVE_CACHE));
+    return;
+  }
+
+  // Page loads: fresh when online, else the cached page or the app shell
+  // (permalinks only differ in the hash)
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, SHELL_CACHE)
+      .catch(async () => (await caches.match('index.html')) || Response.error()));
+    return;
+  }
+
+  if (url.origin === self.location.origin || LIBRARY_FILES.includes(url.href)) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,55 @@
+/**
+ * audit.test.mjs
+ * Checks js/audit.js against the published dataset.
+ *
+ *   node --test tests/unit/
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+
+import { auditDataset } from '../../js/audit.js';
+import { normalizeDataset } from '../../js/normalize.js';
+import { preprocessDataForD3 } from '../../js/utilities.js';
+import { validateDataset } from '../../js/validate.js';
+
+const DATA_FILE = new URL('../../db/latest/CD_Solution_map_2_content.json', import.meta.url);
+
+const rawData = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+const tree = preprocessDataForD3(normalizeDataset(rawData));
+
+// Type spellings the validator flags, as { spelling: suggestion }
+function typeCaseProblems() {
+  const problems = {};
+  validateDataset(rawData).issues
+    .filter(issue => issue.code === 'type-case')
+    .forEach(issue => { problems[issue.value] = issue.message.match(/"([^"]+)"$/)[1]; });
+  return problems;
+}
+
+test('reports the type spellings the validator flags', () => {
+  const expected = typeCaseProblems();
+  assert.ok(Object.keys(expected).length > 0, 'the dataset has type-case problems to find');
+
+  const issues = auditDataset(tree).issues.filter(issue => issue.kind === 'type-variant');
+  const found = Object.fromEntries(issues.map(issue => [issue.value, issue.suggestion]));
+  assert.deepEqual(found, expected);
+  issues.forEach(issue => assert.ok(issue.locations.length > 0));
+});
+
+test('reads type spellings from the source hierarchy when auditing a worker copy', () => {
+  // Copies from the search worker lose the non-enumerable raw records
+  const copy = structuredClone(tree);
+  assert.equal(auditDataset(copy).counts['type-variant'], 0);
+  assert.deepEqual(
+    auditDataset(copy, { source: tree }).issues.filter(issue => issue.kind === 'type-variant').map(issue => issue.value),
+    Object.keys(typeCaseProblems())
+  );
+});
+
+test('finds the near-duplicate tag "dlimate drift"', () => {
+  const issue = auditDataset(tree).issues.find(issue => issue.kind === 'tag-variant' && issue.value === 'dlimate drift');
+  assert.ok(issue);
+  assert.equal(issue.suggestion, 'climate drift');
+});
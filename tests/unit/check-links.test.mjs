@@ -0,0 +1,156 @@
+/**
+ * check-links.test.mjs
+ * Checks scripts/check-links.mjs against a local stub server, through the
+ * default HTTP fetcher.
+ *
+ *   node --test tests/unit/
+ */
+
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, test } from 'node:test';
+
+import { buildLinkReport, checkLinks, collectLinks } from '../../scripts/check-links.mjs';
+import { normalizeDataset } from '../../js/normalize.js';
+import { preprocessDataForD3 } from '../../js/utilities.js';
+
+// Stub routes: path -> (request, response)
+const ROUTES = {
+  '/ok': (req, res) => res.writeHead(200),
+  '/moved': (req, res) => res.writeHead(301, { Location: '/ok' }),
+  '/temporary': (req, res) => res.writeHead(302, { Location: '/moved' }),
+  '/no-location': (req, res) => res.writeHead(302),
+  '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }),
+  '/gone': (req, res) => res.writeHead(404),
+  '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200),
+  '/blocked': (req, res) => res.writeHead(999),
+  '/unavailable': (req, res) => res.writeHead(503),
+  '/slow': (req, res) => setTimeout(() => res.writeHead(200).end(), 1000)
+};
+
+let server;
+let base;
+let hits = []; // { method, path } per request
+let active = 0;
+let maxActive = 0;
+
+before(async () => {
+  server = createServer((req, res) => {
+    hits.push({ method: req.method, path: req.url });
+    maxActive = Math.max(maxActive, ++active);
+    res.on('close', () => { active--; });
+    // A little latency so concurrent requests overlap
+    setTimeout(() => {
+      const route = ROUTES[req.url.split('?')[0]];
+      if (route) route(req, res);
+      else res.writeHead(404);
+      if (req.url !== '/slow') res.end();
+    }, 20);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const url = path => `${base}${path}`;
+
+async function check(paths, options = {}) {
+  hits = [];
+  const results = await checkLinks(paths.map(url), { timeout: 0.3, ...options });
+  return path => results.get(url(path));
+}
+
+test('classifies responses', async () => {
+  const result = await check(Object.keys(ROUTES));
+
+  assert.equal(result('/ok').outcome, 'ok');
+  assert.equal(result('/no-head').outcome, 'ok');
+  assert.equal(result('/gone').outcome, 'dead');
+  assert.equal(result('/gone').status, 404);
+  assert.equal(result('/blocked').outcome, 'blocked');
+  assert.equal(result('/unavailable').outcome, 'error');
+  assert.equal(result('/slow').outcome, 'error');
+  assert.match(result('/slow').error, /^TIMEOUT/);
+});
+
+test('tracks redirects', async () => {
+  const result = await check(['/moved', '/temporary', '/loop', '/no-location']);
+
+  assert.equal(result('/moved').outcome, 'redirected');
+  assert.equal(result('/moved').permanent, true);
+  assert.equal(result('/moved').finalUrl, url('/ok'));
+
+  assert.equal(result('/temporary').outcome, 'redirected');
+  assert.equal(result('/temporary').permanent, false);
+  assert.deepEqual(result('/temporary').redirects, [{ status: 302, url: url('/moved') }, { status: 301, url: url('/ok') }]);
+
+  assert.equal(result('/loop').outcome, 'dead');
+  assert.match(result('/loop').error, /redirects/);
+
+  // A redirect with nowhere to go is not a dead link
+  assert.equal(result('/no-location').outcome, 'error');
+  assert.equal(result('/no-location').status, 302);
+});
+
+test('reuses fresh cached results and rechecks errors', async () => {
+  const first = await check(['/ok', '/gone', '/unavailable']);
+  const cache = {
+    [url('/ok')]: first('/ok'),
+    [url('/gone')]: first('/gone'),
+    [url('/unavailable')]: first('/unavailable')
+  };
+
+  const second = await check(['/ok', '/gone', '/unavailable'], { cache });
+  assert.equal(second('/ok').cached, true);
+  assert.equal(second('/gone').cached, true);
+  assert.equal(second('/unavailable').cached, undefined);
+  assert.deepEqual([...new Set(hits.map(hit => hit.path))], ['/unavailable']);
+
+  // Past max-age everything is checked again
+  const later = () => new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+  await check(['/ok', '/gone'], { cache, now: later });
+  assert.deepEqual([...new Set(hits.map(hit => hit.path))].sort(), ['/gone', '/ok']);
+});
+
+test('limits requests per host', async () => {
+  maxActive = 0;
+  const paths = Array.from({ length: 8 }, (_, i) => `/ok?page=${i}`);
+  await check(paths, { concurrency: 8, perHost: 2 });
+  assert.equal(hits.length, 8);
+  assert.ok(maxActive <= 2, `at most 2 requests at a time, saw ${maxActive}`);
+});
+
+test('uses an injected fetcher', async () => {
+  const calls = [];
+  const fetcher = async (target, { method }) => {
+    calls.push(`${method} ${target}`);
+    return target.endsWith('/a') ? { status: 308, location: '/b' } : { status: 200 };
+  };
+  const results = await checkLinks(['https://example.test/a'], { fetcher });
+  assert.deepEqual(calls, ['HEAD https://example.test/a', 'HEAD https://example.test/b']);
+  assert.equal(results.get('https://example.test/a').finalUrl, 'https://example.test/b');
+});
+
+test('reports results by item with their category paths', async () => {
+  const tree = preprocessDataForD3(normalizeDataset({
+    name: 'Root',
+    children: [
+      { name: 'Power', url_data: [{ title: 'Gone', url: url('/gone') }] },
+      { name: 'Finance', url_data: [{ title: 'Gone', url: url('/gone') }, { title: 'Fine', url: url('/ok') }] }
+    ]
+  }));
+  const links = collectLinks(tree);
+  const results = await checkLinks([...new Set(links.map(link => link.url))], { timeout: 0.3 });
+  const report = buildLinkReport(links, results, { dataset: 'stub.json' });
+
+  assert.equal(report.summary.items, 2);
+  assert.equal(report.summary.dead, 1);
+  const gone = Object.values(report.items).find(item => item.url === url('/gone'));
+  assert.equal(gone.outcome, 'dead');
+  assert.deepEqual(gone.locations.map(location => location.path), [['Power'], ['Finance']]);
+  assert.deepEqual(gone.locations.map(location => location.nodeId), ['power', 'finance']);
+});
@@ -0,0 +1,53 @@
+/**
+ * forceNetwork.test.mjs
+ * Checks which categories the Network view highlights as search matches.
+ *
+ *   node --test tests/unit/
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import MiniSearch from '../../js/vendor/minisearch.js';
+import { normalizeDataset } from '../../js/normalize.js';
+import { createSearchIndex, getFilteredData } from '../../js/search.js';
+import { preprocessDataForD3 } from '../../js/utilities.js';
+import { collectCategories } from '../../js/visualizations/forceNetwork.js';
+
+const data = normalizeDataset({
+  name: 'Root',
+  children: [
+    {
+      name: 'Energy',
+      children: [
+        { name: 'Solar', url_data: [{ title: 'Rooftop solar', url: 'https://example.test/rooftop', type: 'Article' }] },
+        { name: 'Wind', url_data: [{ title: 'Offshore turbines', url: 'https://example.test/offshore', type: 'Podcast' }] }
+      ]
+    },
+    {
+      name: 'Finance',
+      url_data: [
+        { title: 'Rooftop solar', url: 'https://example.test/rooftop', type: 'Article' },
+        { title: 'Green bonds', url: 'https://example.test/bonds', type: 'Article' }
+      ]
+    }
+  ]
+});
+const tree = preprocessDataForD3(data);
+const searchIndex = createSearchIndex(data, { MiniSearch });
+
+// Category name -> whether the view draws it as a search match
+function highlighted(state) {
+  const { data: filtered } = getFilteredData(tree, state, searchIndex);
+  return Object.fromEntries(collectCategories(filtered).map(cat => [cat.name, cat.searchMatch]));
+}
+
+test('highlights the categories holding matched items', () => {
+  assert.deepEqual(highlighted({ query: 'turbines' }), { Wind: true });
+  assert.deepEqual(highlighted({ query: 'rooftop' }), { Solar: true, Finance: true });
+});
+
+test('highlights nothing without a search', () => {
+  assert.deepEqual(highlighted({ type: 'Article' }), { Solar: false, Finance: false });
+  assert.deepEqual(highlighted({}), { Solar: false, Wind: false, Finance: false });
+});
@@ -0,0 +1,38 @@
+/**
+ * registry.test.mjs
+ * Checks the render context of js/visualizations/registry.js.
+ *
+ *   node --test tests/unit/
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  createRenderContext,
+  describeRenderContext,
+  provideRenderContext
+} from '../../js/visualizations/registry.js';
+
+let query = 'solar';
+provideRenderContext('searchQuery', () => query, 'The current search query');
+provideRenderContext('setSearchQuery', () => value => { query = value; }, 'setSearchQuery(query)');
+
+test('builds the context from the providers on each render', () => {
+  const first = createRenderContext();
+  assert.deepEqual(Object.keys(first), ['searchQuery', 'setSearchQuery']);
+  assert.equal(first.searchQuery, 'solar');
+
+  first.setSearchQuery('wind');
+  assert.equal(createRenderContext().searchQuery, 'wind');
+});
+
+test('documents every member it passes', () => {
+  assert.deepEqual(describeRenderContext().map(member => member.key), Object.keys(createRenderContext()));
+  describeRenderContext().forEach(member => assert.ok(member.description));
+});
+
+test('rejects members provided twice or undocumented', () => {
+  assert.throws(() => provideRenderContext('searchQuery', () => '', 'Again'), /already provided/);
+  assert.throws(() => provideRenderContext('facets', () => ({})), /description/);
+});
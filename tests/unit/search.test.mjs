@@ -0,0 +1,118 @@
+/**
+ * search.test.mjs
+ * Checks js/search.js: the query parser and filtering the published dataset.
+ *
+ *   node --test tests/unit/
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+
+import MiniSearch from '../../js/vendor/minisearch.js';
+import { normalizeDataset } from '../../js/normalize.js';
+import { SearchSyntaxError, createSearchIndex, getFilteredData, parseSearchQuery } from '../../js/search.js';
+import { getItemId, preprocessDataForD3 } from '../../js/utilities.js';
+
+const DATA_FILE = new URL('../../db/latest/CD_Solution_map_2_content.json', import.meta.url);
+
+const data = normalizeDataset(JSON.parse(await readFile(DATA_FILE, 'utf8')));
+const tree = preprocessDataForD3(data);
+const searchIndex = createSearchIndex(data, { MiniSearch });
+
+// Distinct items of a (filtered) tree, read from the item leaves
+function itemsOf(node, items = new Map()) {
+  if (!node) return [];
+  if (node.isLeaf && !node.isEmpty && !node.children) {
+    items.set(getItemId(node.urls[0]), node.urls[0]);
+  }
+  (node.children || []).forEach(child => itemsOf(child, items));
+  return [...items.values()];
+}
+
+const term = value => ({ type: 'term', value });
+
+test('AND binds tighter than OR, adjacent terms are ANDed', () => {
+  const expected = {
+    type: 'or',
+    children: [{ type: 'and', children: [term('solar'), term('wind')] }, term('hydro')]
+  };
+  assert.deepEqual(parseSearchQuery('solar AND wind OR hydro'), expected);
+  assert.deepEqual(parseSearchQuery('solar wind or hydro'), expected);
+});
+
+test('parentheses group', () => {
+  assert.deepEqual(parseSearchQuery('solar AND (wind OR hydro)'), {
+    type: 'and',
+    children: [term('solar'), { type: 'or', children: [term('wind'), term('hydro')] }]
+  });
+  assert.deepEqual(parseSearchQuery('((solar))'), term('solar'));
+});
+
+test('NOT and "-" negate the next term or group', () => {
+  assert.deepEqual(parseSearchQuery('solar NOT wind'), {
+    type: 'and',
+    children: [term('solar'), { type: 'not', child: term('wind') }]
+  });
+  assert.deepEqual(parseSearchQuery('-(wind OR hydro)'), {
+    type: 'not',
+    child: { type: 'or', children: [term('wind'), term('hydro')] }
+  });
+});
+
+test('quoted phrases and field:value', () => {
+  assert.deepEqual(parseSearchQuery('"carbon capture" tag:solar author:"Jane Doe"'), {
+    type: 'and',
+    children: [
+      { type: 'phrase', value: 'carbon capture' },
+      { type: 'field', field: 'tag', value: 'solar' },
+      { type: 'field', field: 'author', value: 'Jane Doe' }
+    ]
+  });
+  // Unknown fields are plain terms
+  assert.deepEqual(parseSearchQuery('foo:bar'), term('foo:bar'));
+  assert.equal(parseSearchQuery('   '), null);
+});
+
+test('syntax errors report where they were detected', () => {
+  const cases = [
+    ['(solar OR', 'Expected a search term after "OR"', 9],
+    ['AND wind', 'Expected a search term before "AND"', 0],
+    ['(solar', 'Missing closing parenthesis', 0],
+    ['solar)', 'Unexpected ")"', 5],
+    ['solar "wind', 'Missing closing quote', 6],
+    ['tag:', 'Missing value after "tag:"', 0],
+    ['driftie:maybe', '"driftie:" expects yes or no', 0]
+  ];
+  for (const [query, message, position] of cases) {
+    assert.throws(() => parseSearchQuery(query), error => {
+      assert.ok(error instanceof SearchSyntaxError);
+      assert.equal(error.message, message, query);
+      assert.equal(error.position, position, query);
+      return true;
+    });
+  }
+});
+
+const filter = state => getFilteredData(tree, state, searchIndex).data;
+
+test('refinements filter by exact value on top of the other filters', () => {
+  const solar = itemsOf(filter({ tag: 'solar' }));
+  const refined = itemsOf(filter({ tag: 'solar', refinements: [{ key: 'tag', value: 'wind' }] }));
+
+  assert.ok(refined.length > 0);
+  assert.deepEqual(refined, solar.filter(item => item.tags.includes('wind')));
+
+  const affiliation = solar.find(item => item.affiliation).affiliation;
+  const byAffiliation = itemsOf(filter({ tag: 'solar', refinements: [{ key: 'affiliation', value: affiliation }] }));
+  assert.deepEqual(byAffiliation, solar.filter(item => item.affiliation === affiliation));
+});
+
+test('a sector refinement keeps only that depth-1 category', () => {
+  const sector = tree.children.find(child => !child.isLeaf);
+  const refined = filter({ refinements: [{ key: 'sector', value: sector.id }] });
+
+  assert.deepEqual(refined.children.map(child => child.id), [sector.id]);
+  assert.deepEqual(itemsOf(refined), itemsOf(sector));
+  assert.equal(filter({ refinements: [{ key: 'sector', value: 'no-such-sector' }] }), null);
+});
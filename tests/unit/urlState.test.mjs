@@ -0,0 +1,55 @@
+/**
+ * urlState.test.mjs
+ * Checks js/urlState.js: reading the view state from the URL hash.
+ *
+ *   node --test tests/unit/
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { completeURLState, parseURLState } from '../../js/urlState.js';
+
+const UNFILTERED = {
+  viz: null,
+  search: '',
+  type: { mode: 'include', values: [] },
+  tag: { mode: 'include', values: [] },
+  author: { mode: 'include', values: [] },
+  location: { mode: 'include', values: [] },
+  dateFrom: '',
+  dateTo: '',
+  refinements: [],
+  since: '',
+  focus: null,
+  item: null
+};
+
+test('parses the fields present in the hash', () => {
+  assert.deepEqual(parseURLState('#viz=treemap&search=solar&type=Podcast&type=Video&notTag=AI&refine=sector:finance&refine=bogus:x&focus=power'), {
+    viz: 'treemap',
+    search: 'solar',
+    type: { mode: 'include', values: ['Podcast', 'Video'] },
+    tag: { mode: 'exclude', values: ['AI'] },
+    refinements: [{ key: 'sector', value: 'finance' }],
+    focus: 'power'
+  });
+  assert.equal(parseURLState(''), null);
+  assert.equal(parseURLState('#'), null);
+});
+
+test('going back to a bare hash gives the unfiltered state', () => {
+  const filtered = completeURLState(parseURLState('#search=solar&type=Paper&dateFrom=2024-01-01&refine=tag:wind'));
+  assert.equal(filtered.search, 'solar');
+  assert.deepEqual(filtered.type, { mode: 'include', values: ['Paper'] });
+
+  // Back navigation: the previous entry has no hash at all
+  assert.deepEqual(completeURLState(parseURLState('')), UNFILTERED);
+});
+
+test('filters left out of the hash are reset, the others kept', () => {
+  assert.deepEqual(completeURLState(parseURLState('#tag=solar')), {
+    ...UNFILTERED,
+    tag: { mode: 'include', values: ['solar'] }
+  });
+});